@@ -0,0 +1,97 @@
+/**
+ * Asset definitions. Every cryptocurrency the platform knows about is listed
+ * here; adding one is a matter of adding an entry, no code changes needed.
+ *
+ * - id: name used in API requests, wallets and stored records
+ * - ticker: short symbol shown to players
+ * - decimals: decimal places of the base unit amounts are stored in
+ * - priceFeeds: symbol of the asset on each price provider; providers without
+ *   an entry don't quote the asset
+ * - fallbackPrice: USD price quoted by the mock provider, and used when every
+ *   provider is unreachable and nothing is cached
+ * - minBet / maxBet: USD bet limits for the asset, applied on top of game and room limits
+ * - maxPriceAge: oldest price in milliseconds bets, swaps and withdrawals may use
+ *   (default: MAX_PRICE_AGE)
+ * - enabled: whether players can bet, deposit, withdraw and transfer the asset
+ *
+ * Records in a disabled asset stay readable; its wallet balances are kept and
+ * reappear when it is enabled again.
+ */
+const ASSETS = [
+  {
+    id: 'bitcoin',
+    ticker: 'BTC',
+    name: 'Bitcoin',
+    decimals: 8, // 1 BTC = 100,000,000 satoshis
+    priceFeeds: { coingecko: 'bitcoin', binance: 'BTCUSDT', kraken: 'XBTUSD' },
+    fallbackPrice: 67000,
+    minBet: 0.01,
+    maxBet: 100000,
+    enabled: true
+  },
+  {
+    id: 'ethereum',
+    ticker: 'ETH',
+    name: 'Ethereum',
+    decimals: 18, // 1 ETH = 10^18 wei
+    priceFeeds: { coingecko: 'ethereum', binance: 'ETHUSDT', kraken: 'ETHUSD' },
+    fallbackPrice: 3500,
+    minBet: 0.01,
+    maxBet: 100000,
+    enabled: true
+  },
+  {
+    id: 'tether',
+    ticker: 'USDT',
+    name: 'Tether',
+    decimals: 6,
+    priceFeeds: { coingecko: 'tether', kraken: 'USDTUSD' },
+    fallbackPrice: 1,
+    minBet: 0.01,
+    maxBet: 10000,
+    maxPriceAge: 300000, // A stablecoin's price can be trusted for longer
+    enabled: false
+  },
+  {
+    id: 'solana',
+    ticker: 'SOL',
+    name: 'Solana',
+    decimals: 9, // 1 SOL = 10^9 lamports
+    priceFeeds: { coingecko: 'solana', binance: 'SOLUSDT', kraken: 'SOLUSD' },
+    fallbackPrice: 150,
+    minBet: 0.01,
+    maxBet: 10000,
+    enabled: false
+  },
+  {
+    id: 'litecoin',
+    ticker: 'LTC',
+    name: 'Litecoin',
+    decimals: 8, // 1 LTC = 100,000,000 litoshis
+    priceFeeds: { coingecko: 'litecoin', binance: 'LTCUSDT', kraken: 'LTCUSD' },
+    fallbackPrice: 70,
+    minBet: 0.01,
+    maxBet: 10000,
+    enabled: false
+  }
+];
+
+/**
+ * Get every asset definition, with the enabled flags optionally overridden by
+ * the ENABLED_ASSETS environment variable
+ * @returns {Object[]} Asset settings
+ */
+const getAssetConfigs = () => {
+  if (!process.env.ENABLED_ASSETS) {
+    return ASSETS;
+  }
+
+  const enabled = process.env.ENABLED_ASSETS.split(',').map(id => id.trim());
+
+  return ASSETS.map(asset => ({ ...asset, enabled: enabled.includes(asset.id) }));
+};
+
+module.exports = {
+  ASSETS,
+  getAssetConfigs
+};
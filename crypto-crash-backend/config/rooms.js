@@ -0,0 +1,59 @@
+/**
+ * Game room definitions. Every room runs its own game loop with its own bet
+ * limits, phase timings and seed chain. Settings a room leaves out fall back
+ * to the environment variables GameService reads, so the main room behaves
+ * like the single table did before rooms existed.
+ */
+const DEFAULT_ROOM_ID = 'main';
+
+const ROOMS = [
+  {
+    roomId: DEFAULT_ROOM_ID,
+    name: 'Main'
+  },
+  {
+    roomId: 'low-stakes',
+    name: 'Low Stakes',
+    minBet: 0.01,
+    maxBet: 10,
+    maxWinPerBet: 500,
+    maxWinPerRound: 5000
+  },
+  {
+    roomId: 'high-roller',
+    name: 'High Roller',
+    minBet: 100,
+    maxBet: 100000,
+    maxWinPerBet: 250000,
+    maxWinPerRound: 1000000,
+    bettingDuration: 8000
+  },
+  {
+    roomId: 'turbo',
+    name: 'Turbo',
+    bettingDuration: 1500,
+    cooldownDuration: 1000,
+    curveProfile: 'turbo'
+  }
+];
+
+/**
+ * Get the rooms to run, optionally limited by the GAME_ROOMS environment variable
+ * @returns {Object[]} Room settings
+ */
+const getRoomConfigs = () => {
+  if (!process.env.GAME_ROOMS) {
+    return ROOMS;
+  }
+
+  const enabled = process.env.GAME_ROOMS.split(',').map(roomId => roomId.trim());
+
+  // The default room always runs so clients that don't send a roomId keep working
+  return ROOMS.filter(room => room.roomId === DEFAULT_ROOM_ID || enabled.includes(room.roomId));
+};
+
+module.exports = {
+  DEFAULT_ROOM_ID,
+  ROOMS,
+  getRoomConfigs
+};
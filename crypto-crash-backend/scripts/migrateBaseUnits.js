@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Base unit migration for Crypto Crash
+ * Crypto amounts used to be stored as floating point whole coins. This script
+ * rewrites every amount still stored as a double into a Decimal128 integer of
+ * base units (satoshis or wei), rounding toward zero. Documents already
+ * migrated are skipped, so running it again is safe.
+ *
+ * Rounding can leave a wallet a few base units away from its ledger account;
+ * run the ledger migration afterwards to record that difference.
+ *
+ * Usage:
+ *   node scripts/migrateBaseUnits.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Player = require('../src/models/Player');
+const Transaction = require('../src/models/Transaction');
+const GameRound = require('../src/models/GameRound');
+const LimboBet = require('../src/models/LimboBet');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const AmountUtils = require('../src/utils/amountUtils');
+const AssetRegistry = require('../src/utils/assetRegistry');
+
+/**
+ * Convert a legacy whole-coin amount to Decimal128 base units
+ * @param {*} value - Stored value
+ * @param {string} cryptocurrency - Cryptocurrency of the amount
+ * @returns {*} Decimal128 for doubles, anything else unchanged
+ */
+function convert(value, cryptocurrency) {
+  if (typeof value !== 'number') {
+    return value;
+  }
+
+  const decimals = AmountUtils.getDecimals(cryptocurrency);
+  const sign = value < 0 ? -1n : 1n;
+  let text = Math.abs(value).toString();
+
+  // Small numbers print in exponent form, e.g. 1e-7
+  if (/e/i.test(text)) {
+    text = Math.abs(value).toFixed(Math.min(decimals + 1, 100));
+  }
+
+  const [whole, fraction = ''] = text.split('.');
+  const units = AmountUtils.parseAmount(`${whole}.${fraction.slice(0, decimals)}`, cryptocurrency);
+
+  return AmountUtils.toDecimal128(sign * units);
+}
+
+/**
+ * Convert the listed fields of an object in place
+ * @param {Object} target - Raw document or subdocument
+ * @param {string[]} fields - Amount fields
+ * @param {string} cryptocurrency - Cryptocurrency of the amounts
+ * @returns {boolean} True if any field changed
+ */
+function convertFields(target, fields, cryptocurrency) {
+  let changed = false;
+
+  for (const field of fields) {
+    if (typeof target[field] === 'number') {
+      target[field] = convert(target[field], cryptocurrency);
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+// Per collection: documents still holding doubles, and how to convert one.
+// convert returns the fields to $set, or null when nothing changed.
+const collections = [
+  {
+    model: Player,
+    filter: { $or: AssetRegistry.knownIds().map(cryptocurrency => ({ [`wallet.${cryptocurrency}`]: { $type: 'double' } })) },
+    convert: (doc) => {
+      const wallet = doc.wallet || {};
+      let changed = false;
+
+      for (const cryptocurrency of AssetRegistry.knownIds()) {
+        changed = convertFields(wallet, [cryptocurrency], cryptocurrency) || changed;
+      }
+
+      return changed ? { wallet } : null;
+    }
+  },
+  {
+    model: Transaction,
+    filter: { cryptoAmount: { $type: 'double' } },
+    convert: (doc) => (convertFields(doc, ['cryptoAmount'], doc.cryptocurrency) ? { cryptoAmount: doc.cryptoAmount } : null)
+  },
+  {
+    model: LimboBet,
+    filter: { $or: [{ cryptoAmount: { $type: 'double' } }, { payoutCryptoAmount: { $type: 'double' } }] },
+    convert: (doc) => (convertFields(doc, ['cryptoAmount', 'payoutCryptoAmount'], doc.cryptocurrency)
+      ? { cryptoAmount: doc.cryptoAmount, payoutCryptoAmount: doc.payoutCryptoAmount }
+      : null)
+  },
+  {
+    model: GameRound,
+    filter: {
+      $or: [
+        { 'bets.cryptoAmount': { $type: 'double' } },
+        { 'bets.cashoutAmount': { $type: 'double' } },
+        { 'bets.remainingCryptoAmount': { $type: 'double' } },
+        { 'bets.cashouts.stakeCryptoAmount': { $type: 'double' } },
+        { 'bets.cashouts.cryptoAmount': { $type: 'double' } }
+      ]
+    },
+    convert: (doc) => {
+      let changed = false;
+
+      for (const bet of doc.bets || []) {
+        changed = convertFields(bet, ['cryptoAmount', 'cashoutAmount', 'remainingCryptoAmount'], bet.cryptocurrency) || changed;
+
+        for (const exit of bet.cashouts || []) {
+          changed = convertFields(exit, ['stakeCryptoAmount', 'cryptoAmount'], bet.cryptocurrency) || changed;
+        }
+      }
+
+      return changed ? { bets: doc.bets } : null;
+    }
+  },
+  {
+    model: LedgerEntry,
+    filter: { 'postings.amount': { $type: 'double' } },
+    convert: (doc) => {
+      let changed = false;
+
+      // Postings round toward zero, so a balanced pair stays balanced
+      for (const posting of doc.postings || []) {
+        changed = convertFields(posting, ['amount'], doc.cryptocurrency) || changed;
+      }
+
+      return changed ? { postings: doc.postings } : null;
+    }
+  }
+];
+
+/**
+ * Convert one collection
+ * @param {Object} spec - Collection spec
+ * @param {boolean} dryRun - Only count the documents to convert
+ * @returns {Promise<number>} Number of documents converted
+ */
+async function migrateCollection({ model, filter, convert: convertDoc }, dryRun) {
+  // Raw documents: the models would read doubles through their BigInt getters
+  const cursor = model.collection.find(filter);
+  let converted = 0;
+
+  for await (const doc of cursor) {
+    const update = convertDoc(doc);
+    if (!update) {
+      continue;
+    }
+
+    if (!dryRun) {
+      await model.collection.updateOne({ _id: doc._id }, { $set: update });
+    }
+
+    converted++;
+  }
+
+  console.log(`${model.collection.collectionName}: ${dryRun ? 'found' : 'converted'} ${converted} document${converted === 1 ? '' : 's'}`);
+  return converted;
+}
+
+/**
+ * Main migration function
+ */
+async function migrateBaseUnits() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/crypto-crash';
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    let converted = 0;
+    for (const spec of collections) {
+      converted += await migrateCollection(spec, dryRun);
+    }
+
+    console.log(`${dryRun ? 'Found' : 'Converted'} ${converted} document${converted === 1 ? '' : 's'} with floating point amounts`);
+  } catch (error) {
+    console.error('Base unit migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  migrateBaseUnits();
+}
+
+module.exports = {
+  migrateBaseUnits,
+  convert
+};
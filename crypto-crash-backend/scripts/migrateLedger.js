@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Ledger migration for Crypto Crash
+ * Wallets created before the double-entry ledger hold balances with no ledger
+ * entries behind them. This script posts a migration entry from the external
+ * account for every difference between a wallet and its ledger account, so the
+ * wallet becomes a projection of the ledger. Wallets are left unchanged and
+ * running it again only posts new differences.
+ *
+ * Usage:
+ *   node scripts/migrateLedger.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Player = require('../src/models/Player');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const LedgerService = require('../src/services/LedgerService');
+const CryptoUtils = require('../src/utils/cryptoUtils');
+const AmountUtils = require('../src/utils/amountUtils');
+const AssetRegistry = require('../src/utils/assetRegistry');
+
+/**
+ * Post migration entries for one player
+ * @param {Object} player - Player document
+ * @param {LedgerService} ledgerService - Ledger service
+ * @param {boolean} dryRun - Only report the differences
+ * @returns {Promise<number>} Number of entries posted
+ */
+async function migratePlayer(player, ledgerService, dryRun) {
+  const account = LedgerService.playerAccount(player.playerId);
+  const balances = await ledgerService.getBalances(account);
+  let posted = 0;
+
+  for (const cryptocurrency of AssetRegistry.knownIds()) {
+    const difference = player.getBalance(cryptocurrency) - balances[cryptocurrency];
+    if (difference === 0n) {
+      continue;
+    }
+
+    console.log(`${player.playerId}: ${difference > 0n ? '+' : ''}${AmountUtils.format(difference, cryptocurrency)} ${cryptocurrency}`);
+
+    if (!dryRun) {
+      // Saved directly: the wallet already holds the balance, so it must not be applied again
+      await LedgerEntry.create({
+        entryId: `ledger_${Date.now()}_${CryptoUtils.generateSeed().substring(0, 12)}`,
+        entryType: 'migration',
+        cryptocurrency,
+        postings: [
+          { account: LedgerService.ACCOUNTS.EXTERNAL, amount: -difference },
+          { account, amount: difference }
+        ]
+      });
+    }
+
+    posted++;
+  }
+
+  return posted;
+}
+
+/**
+ * Main migration function
+ */
+async function migrateLedger() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/crypto-crash';
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    const ledgerService = new LedgerService();
+    const players = await Player.find({});
+    let posted = 0;
+
+    for (const player of players) {
+      posted += await migratePlayer(player, ledgerService, dryRun);
+    }
+
+    console.log(`${dryRun ? 'Found' : 'Posted'} ${posted} migration entr${posted === 1 ? 'y' : 'ies'} for ${players.length} players`);
+  } catch (error) {
+    console.error('Ledger migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  migrateLedger();
+}
+
+module.exports = {
+  migrateLedger,
+  migratePlayer
+};
@@ -10,9 +10,16 @@ const mongoose = require('mongoose');
 const Player = require('../src/models/Player');
 const GameRound = require('../src/models/GameRound');
 const Transaction = require('../src/models/Transaction');
+const Counter = require('../src/models/Counter');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const LedgerService = require('../src/services/LedgerService');
 const CryptoUtils = require('../src/utils/cryptoUtils');
+const AmountUtils = require('../src/utils/amountUtils');
+const AssetRegistry = require('../src/utils/assetRegistry');
 
-// Sample data
+const { ACCOUNTS } = LedgerService;
+
+// Sample data; wallet balances in whole coins
 const samplePlayers = [
   {
     playerId: 'player_alice',
@@ -82,6 +89,8 @@ async function clearDatabase() {
     await Player.deleteMany({});
     await GameRound.deleteMany({});
     await Transaction.deleteMany({});
+    await LedgerEntry.deleteMany({});
+    await Counter.deleteMany({ name: 'gameRound' });
     console.log('Database cleared');
   } catch (error) {
     console.error('Error clearing database:', error);
@@ -90,15 +99,57 @@ async function clearDatabase() {
 }
 
 /**
- * Create sample players
+ * Post a ledger entry for sample data, dated like the data it records.
+ * Wallets are rebuilt from the ledger once all entries are posted.
+ * @param {string} entryType - Ledger entry type
+ * @param {string} from - Account debited
+ * @param {string} to - Account credited
+ * @param {bigint} amount - Amount moved in base units
+ * @param {string} cryptocurrency - Cryptocurrency
+ * @param {Object|null} transaction - Transaction record settled by the entry
+ * @param {Date} createdAt - Entry date
+ */
+async function postLedgerEntry(entryType, from, to, amount, cryptocurrency, transaction = null, createdAt = new Date()) {
+  const entry = new LedgerEntry({
+    entryId: `ledger_${createdAt.getTime()}_${CryptoUtils.generateSeed().substring(0, 12)}`,
+    entryType,
+    cryptocurrency,
+    postings: [
+      { account: from, amount: -amount },
+      { account: to, amount }
+    ],
+    transactionIds: transaction ? [transaction.transactionId] : [],
+    roundId: transaction ? transaction.roundId : null,
+    usdAmount: transaction ? transaction.usdAmount : null,
+    priceAtTime: transaction ? transaction.priceAtTime : null,
+    multiplier: transaction ? transaction.multiplier : null,
+    createdAt
+  });
+
+  await entry.save();
+
+  if (transaction) {
+    transaction.ledgerEntryId = entry.entryId;
+  }
+}
+
+/**
+ * Create sample players, funding their starting balances from the bonus account
  */
 async function createPlayers() {
   try {
     console.log('Creating sample players...');
     
+    const openedAt = new Date(Date.now() - (8 * 24 * 60 * 60 * 1000)); // Before the sample history
+    
     for (const playerData of samplePlayers) {
-      const player = new Player(playerData);
+      const player = new Player({ ...playerData, wallet: {} });
       await player.save();
+      
+      for (const [cryptocurrency, amount] of Object.entries(playerData.wallet)) {
+        await postLedgerEntry('opening_balance', ACCOUNTS.BONUS, LedgerService.playerAccount(playerData.playerId), AmountUtils.parseAmount(amount, cryptocurrency), cryptocurrency, null, openedAt);
+      }
+      
       console.log(`Created player: ${playerData.username} (${playerData.playerId})`);
     }
     
@@ -120,10 +171,11 @@ async function createGameRounds() {
     const baseTime = Date.now() - (24 * 60 * 60 * 1000); // 24 hours ago
     
     for (let i = 1; i <= 20; i++) {
+      const roundNumber = await Counter.nextSequence('gameRound');
       const seed = CryptoUtils.generateSeed();
-      const crashPoint = CryptoUtils.generateCrashPoint(seed, i);
-      const hash = CryptoUtils.generateHash(seed, i);
-      const roundId = `round_${baseTime + (i * 60000)}_${i}`;
+      const crashPoint = CryptoUtils.generateCrashPoint(seed, roundNumber);
+      const hash = CryptoUtils.generateHash(seed, roundNumber);
+      const roundId = `round_${baseTime + (i * 60000)}_${roundNumber}`;
       
       const startTime = new Date(baseTime + (i * 60000));
       const endTime = new Date(startTime.getTime() + 30000); // 30 seconds later
@@ -136,8 +188,8 @@ async function createGameRounds() {
         const player = samplePlayers[Math.floor(Math.random() * samplePlayers.length)];
         const cryptocurrency = Math.random() > 0.5 ? 'bitcoin' : 'ethereum';
         const usdAmount = Math.floor(Math.random() * 100) + 10; // $10-$110
-        const priceAtTime = cryptocurrency === 'bitcoin' ? 67000 : 3500;
-        const cryptoAmount = usdAmount / priceAtTime;
+        const priceAtTime = AssetRegistry.get(cryptocurrency).fallbackPrice;
+        const cryptoAmount = AmountUtils.fromUsd(usdAmount, priceAtTime, cryptocurrency);
         
         // Determine if player cashed out
         const cashoutMultiplier = 1 + Math.random() * (crashPoint - 1);
@@ -151,7 +203,7 @@ async function createGameRounds() {
           priceAtTime,
           cashedOut: cashedOut && cashoutMultiplier < crashPoint,
           cashoutMultiplier: cashedOut && cashoutMultiplier < crashPoint ? cashoutMultiplier : null,
-          cashoutAmount: cashedOut && cashoutMultiplier < crashPoint ? cryptoAmount * cashoutMultiplier : null,
+          cashoutAmount: cashedOut && cashoutMultiplier < crashPoint ? AmountUtils.multiply(cryptoAmount, cashoutMultiplier) : null,
           timestamp: new Date(startTime.getTime() + (j * 1000))
         };
         
@@ -160,6 +212,7 @@ async function createGameRounds() {
       
       const round = new GameRound({
         roundId,
+        roundNumber,
         seed,
         hash,
         crashPoint,
@@ -209,6 +262,7 @@ async function createTransactions(rounds) {
           createdAt: bet.timestamp
         });
         
+        await postLedgerEntry('bet', LedgerService.playerAccount(bet.playerId), ACCOUNTS.HOUSE_BANKROLL, bet.cryptoAmount, bet.cryptocurrency, betTransaction, bet.timestamp);
         await betTransaction.save();
         transactionCount++;
         
@@ -228,6 +282,7 @@ async function createTransactions(rounds) {
             createdAt: new Date(bet.timestamp.getTime() + 5000) // 5 seconds after bet
           });
           
+          await postLedgerEntry('cashout', ACCOUNTS.HOUSE_BANKROLL, LedgerService.playerAccount(bet.playerId), bet.cashoutAmount, bet.cryptocurrency, cashoutTransaction, cashoutTransaction.createdAt);
           await cashoutTransaction.save();
           transactionCount++;
         }
@@ -241,11 +296,11 @@ async function createTransactions(rounds) {
       for (let i = 0; i < numDeposits; i++) {
         const cryptocurrency = Math.random() > 0.5 ? 'bitcoin' : 'ethereum';
         const cryptoAmount = cryptocurrency === 'bitcoin' ? 
-          (Math.random() * 0.01 + 0.005) : // 0.005-0.015 BTC
-          (Math.random() * 0.5 + 0.1); // 0.1-0.6 ETH
+          AmountUtils.parseAmount((Math.random() * 0.01 + 0.005).toFixed(8), cryptocurrency) : // 0.005-0.015 BTC
+          AmountUtils.parseAmount((Math.random() * 0.5 + 0.1).toFixed(6), cryptocurrency); // 0.1-0.6 ETH
         
-        const priceAtTime = cryptocurrency === 'bitcoin' ? 67000 : 3500;
-        const usdAmount = cryptoAmount * priceAtTime;
+        const priceAtTime = AssetRegistry.get(cryptocurrency).fallbackPrice;
+        const usdAmount = AmountUtils.toUsd(cryptoAmount, priceAtTime, cryptocurrency);
         
         const depositTransaction = new Transaction({
           transactionId: CryptoUtils.generateTransactionHash(),
@@ -260,6 +315,7 @@ async function createTransactions(rounds) {
           createdAt: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000) // Random time in last week
         });
         
+        await postLedgerEntry('deposit', ACCOUNTS.EXTERNAL, LedgerService.playerAccount(player.playerId), cryptoAmount, cryptocurrency, depositTransaction, depositTransaction.createdAt);
         await depositTransaction.save();
         transactionCount++;
       }
@@ -273,13 +329,17 @@ async function createTransactions(rounds) {
 }
 
 /**
- * Update player statistics based on transactions
+ * Update player wallets from the ledger and statistics from transactions
  */
 async function updatePlayerStats() {
   try {
     console.log('Updating player statistics...');
     
+    const ledgerService = new LedgerService();
+    
     for (const playerData of samplePlayers) {
+      await ledgerService.rebuildWallet(playerData.playerId);
+      
       const player = await Player.findOne({ playerId: playerData.playerId });
       if (!player) continue;
       
@@ -327,12 +387,12 @@ async function displaySummary() {
     const players = await Player.find().sort({ totalBets: -1 });
     
     for (const player of players) {
-      const btcValue = player.wallet.bitcoin * 67000;
-      const ethValue = player.wallet.ethereum * 3500;
-      const totalValue = btcValue + ethValue;
+      const assets = AssetRegistry.list();
+      const totalValue = assets.reduce((total, asset) => total + AmountUtils.toUsd(player.getBalance(asset.id), asset.fallbackPrice, asset.id), 0);
+      const balances = assets.map(asset => `${AmountUtils.format(player.getBalance(asset.id), asset.id)} ${asset.ticker}`);
       
       console.log(`${player.username} (${player.playerId}):`);
-      console.log(`  Wallet: ${player.wallet.bitcoin.toFixed(6)} BTC, ${player.wallet.ethereum.toFixed(4)} ETH (~$${totalValue.toFixed(2)})`);
+      console.log(`  Wallet: ${balances.join(', ')} (~$${totalValue.toFixed(2)})`);
       console.log(`  Stats: ${player.totalBets} bets, ${player.totalWins} wins, ${player.totalLosses} losses`);
       console.log('');
     }
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Return-to-player simulator for Crypto Crash
+ * Runs seeded rounds through CryptoUtils.generateCrashPoint, the same function
+ * the game uses, and reports RTP, variance and a crash point histogram.
+ *
+ * Usage:
+ *   node scripts/simulateRtp.js [--rounds=1000000] [--targets=1.5,2,5,10]
+ *     [--house-edge=0.01] [--instant-crash=0] [--max=120]
+ *     [--server-seed=<hex>] [--client-seed=<string>]
+ *
+ * Unset options fall back to HOUSE_EDGE, INSTANT_CRASH_PROBABILITY and
+ * MAX_CRASH_MULTIPLIER, so the defaults match the running game.
+ */
+
+require('dotenv').config();
+const CryptoUtils = require('../src/utils/cryptoUtils');
+
+// Lower bounds of the histogram buckets; the first bucket is instant crashes at 1.00x
+const HISTOGRAM_EDGES = [1, 1.01, 1.5, 2, 3, 5, 10, 20, 50, 100];
+
+/**
+ * Parse --key=value command line options
+ * @param {string[]} argv - Command line arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([a-z-]+)=(.*)$/);
+    if (match) {
+      options[match[1]] = match[2];
+    }
+  }
+  return options;
+}
+
+/**
+ * Build the simulation settings from command line options and the environment
+ * @param {Object} options - Parsed command line options
+ * @returns {Object} Simulation settings
+ */
+function buildSettings(options) {
+  const envConfig = CryptoUtils.getCrashConfig();
+
+  const config = {
+    houseEdge: options['house-edge'] !== undefined ? parseFloat(options['house-edge']) : envConfig.houseEdge,
+    instantCrashProbability: options['instant-crash'] !== undefined
+      ? parseFloat(options['instant-crash'])
+      : envConfig.instantCrashProbability,
+    maxMultiplier: options.max !== undefined ? parseFloat(options.max) : envConfig.maxMultiplier
+  };
+
+  if (!(config.houseEdge >= 0 && config.houseEdge < 1)) {
+    throw new Error('House edge must be between 0 and 1');
+  }
+
+  if (!(config.instantCrashProbability >= 0 && config.instantCrashProbability < 1)) {
+    throw new Error('Instant crash probability must be between 0 and 1');
+  }
+
+  const targets = (options.targets || '1.5,2,3,5,10,50')
+    .split(',')
+    .map(target => parseFloat(target))
+    .filter(target => target > 1);
+
+  return {
+    rounds: parseInt(options.rounds) || 1000000,
+    serverSeed: options['server-seed'] || CryptoUtils.generateSeed(),
+    clientSeed: options['client-seed'] || 'simulation',
+    targets,
+    config
+  };
+}
+
+/**
+ * Run the simulation
+ * @param {Object} settings - Simulation settings
+ * @returns {Object} Histogram, crash point totals and per-target results
+ */
+function simulate(settings) {
+  const { rounds, serverSeed, clientSeed, targets, config } = settings;
+
+  const histogram = new Array(HISTOGRAM_EDGES.length).fill(0);
+  const strategies = targets.map(target => ({ target, wins: 0 }));
+  let crashSum = 0;
+
+  for (let nonce = 1; nonce <= rounds; nonce++) {
+    const crashPoint = CryptoUtils.generateCrashPoint(serverSeed, nonce, clientSeed, config);
+    crashSum += crashPoint;
+
+    let bucket = HISTOGRAM_EDGES.length - 1;
+    while (crashPoint < HISTOGRAM_EDGES[bucket]) {
+      bucket--;
+    }
+    histogram[bucket]++;
+
+    // A cashout target pays when the round crashes above it, as auto cashouts do in the game
+    for (const strategy of strategies) {
+      if (strategy.target < crashPoint) {
+        strategy.wins++;
+      }
+    }
+  }
+
+  // Each bet stakes 1 and returns either the target or nothing
+  const results = strategies.map(({ target, wins }) => {
+    const winRate = wins / rounds;
+    const rtp = winRate * target;
+    const variance = winRate * target * target - rtp * rtp;
+
+    return {
+      target,
+      winRate,
+      rtp,
+      variance,
+      standardError: Math.sqrt(variance / rounds)
+    };
+  });
+
+  return {
+    histogram,
+    meanCrashPoint: crashSum / rounds,
+    results
+  };
+}
+
+/**
+ * Print the simulation report
+ * @param {Object} settings - Simulation settings
+ * @param {Object} report - Simulation results
+ */
+function printReport(settings, report) {
+  const { rounds, serverSeed, clientSeed, config } = settings;
+  const expectedRtp = (1 - config.instantCrashProbability) * (1 - config.houseEdge);
+
+  console.log('=== SETTINGS ===');
+  console.log(`Rounds: ${rounds}`);
+  console.log(`Server seed: ${serverSeed}`);
+  console.log(`Client seed: ${clientSeed}`);
+  console.log(`House edge: ${(config.houseEdge * 100).toFixed(2)}%`);
+  console.log(`Instant crash probability: ${(config.instantCrashProbability * 100).toFixed(2)}%`);
+  console.log(`Max multiplier: ${config.maxMultiplier}x`);
+  console.log(`Expected RTP (before rounding and cap): ${(expectedRtp * 100).toFixed(4)}%`);
+
+  console.log('\n=== CRASH POINT HISTOGRAM ===');
+  HISTOGRAM_EDGES.forEach((edge, index) => {
+    const next = HISTOGRAM_EDGES[index + 1];
+    const label = index === 0
+      ? '1.00x'
+      : next ? `${edge.toFixed(2)}x - ${next.toFixed(2)}x` : `>= ${edge.toFixed(2)}x`;
+    const share = report.histogram[index] / rounds;
+    const bar = '#'.repeat(Math.round(share * 50));
+    console.log(`${label.padEnd(18)} ${(share * 100).toFixed(3).padStart(7)}%  ${bar}`);
+  });
+  console.log(`Mean crash point: ${report.meanCrashPoint.toFixed(4)}x`);
+
+  console.log('\n=== CASHOUT STRATEGIES (stake 1) ===');
+  console.log('Target     Win rate    RTP         Variance     Std error');
+  for (const result of report.results) {
+    console.log(
+      `${(result.target.toFixed(2) + 'x').padEnd(10)} ` +
+      `${(result.winRate * 100).toFixed(3).padStart(7)}%   ` +
+      `${(result.rtp * 100).toFixed(3).padStart(7)}%   ` +
+      `${result.variance.toFixed(4).padStart(10)}   ` +
+      `${(result.standardError * 100).toFixed(3)}%`
+    );
+  }
+}
+
+/**
+ * Main simulation function
+ */
+function runSimulation() {
+  try {
+    const settings = buildSettings(parseArgs(process.argv.slice(2)));
+    const startedAt = Date.now();
+
+    const report = simulate(settings);
+    printReport(settings, report);
+
+    console.log(`\nSimulated ${settings.rounds} rounds in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+  } catch (error) {
+    console.error('❌ Simulation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the simulation script
+if (require.main === module) {
+  runSimulation();
+}
+
+module.exports = {
+  simulate,
+  buildSettings
+};
@@ -0,0 +1,90 @@
+class AdminController {
+  /**
+   * Get the latest finished reconciliation report, or one by ID
+   */
+  static async getReconciliationReport(req, res) {
+    try {
+      const { reportId = null } = req.params;
+
+      const reconciliationService = req.app.locals.reconciliationService;
+      const report = await reconciliationService.getReport(reportId);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error getting reconciliation report:', error);
+      const statusCode = error.message === 'Reconciliation report not found' ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List reconciliation reports, newest first, without their discrepancies
+   */
+  static async listReconciliationReports(req, res) {
+    try {
+      const { limit = 20, page = 1 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const reconciliationService = req.app.locals.reconciliationService;
+      const { reports, total } = await reconciliationService.getReports(parseInt(limit), skip);
+
+      res.json({
+        success: true,
+        data: {
+          reports,
+          running: reconciliationService.isRunning(),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error listing reconciliation reports:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Run a reconciliation now and return its report
+   */
+  static async runReconciliation(req, res) {
+    try {
+      const reconciliationService = req.app.locals.reconciliationService;
+
+      if (reconciliationService.isRunning()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Reconciliation is already running'
+        });
+      }
+
+      const report = await reconciliationService.run('manual');
+
+      res.status(201).json({
+        success: true,
+        message: `Reconciliation ${report.status} with ${report.discrepancyCount} discrepancies`,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error running reconciliation:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = AdminController;
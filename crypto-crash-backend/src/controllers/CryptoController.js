@@ -1,4 +1,5 @@
 const CryptoService = require('../services/CryptoService');
+const AssetRegistry = require('../utils/assetRegistry');
 
 class CryptoController {
   /**
@@ -6,15 +7,23 @@ class CryptoController {
    */
   static async getCurrentPrices(req, res) {
     try {
-      const cryptoService = new CryptoService();
-      const prices = await cryptoService.getCurrentPrices();
+      const cryptoService = CryptoService.getInstance();
+      const quotes = await cryptoService.getPriceQuotes();
+
+      const prices = {};
+      const sources = {};
+      for (const [crypto, quote] of Object.entries(quotes)) {
+        prices[crypto] = quote.price;
+        sources[crypto] = quote.sources;
+      }
       
       res.json({
         success: true,
         data: {
           prices,
+          sources,
           timestamp: new Date().toISOString(),
-          cacheDuration: process.env.CACHE_DURATION || 10000
+          cacheDuration: cryptoService.cacheDuration
         }
       });
     } catch (error) {
@@ -33,22 +42,25 @@ class CryptoController {
     try {
       const { cryptocurrency } = req.params;
       
-      if (!['bitcoin', 'ethereum'].includes(cryptocurrency)) {
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
         return res.status(400).json({
           success: false,
-          message: 'Unsupported cryptocurrency. Supported: bitcoin, ethereum'
+          message: `Unsupported cryptocurrency. Supported: ${AssetRegistry.ids().join(', ')}`
         });
       }
 
-      const cryptoService = new CryptoService();
-      const price = await cryptoService.getCurrentPrice(cryptocurrency);
+      const cryptoService = CryptoService.getInstance();
+      const quote = await cryptoService.getPriceQuote(cryptocurrency);
       
       res.json({
         success: true,
         data: {
           cryptocurrency,
-          price,
+          price: quote.price,
           currency: 'usd',
+          sources: quote.sources,
+          outliers: quote.outliers,
+          lastUpdated: quote.lastUpdated ? new Date(quote.lastUpdated).toISOString() : null,
           timestamp: new Date().toISOString()
         }
       });
@@ -82,16 +94,16 @@ class CryptoController {
         });
       }
 
-      if (!['bitcoin', 'ethereum'].includes(cryptocurrency)) {
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
         return res.status(400).json({
           success: false,
-          message: 'Unsupported cryptocurrency. Supported: bitcoin, ethereum'
+          message: `Unsupported cryptocurrency. Supported: ${AssetRegistry.ids().join(', ')}`
         });
       }
 
-      const cryptoService = new CryptoService();
+      const cryptoService = CryptoService.getInstance();
       const cryptoAmount = await cryptoService.convertUsdToCrypto(usdAmount, cryptocurrency);
-      const price = await cryptoService.getCurrentPrice(cryptocurrency);
+      const quote = await cryptoService.getPriceQuote(cryptocurrency);
       
       res.json({
         success: true,
@@ -99,7 +111,8 @@ class CryptoController {
           usdAmount,
           cryptoAmount,
           cryptocurrency,
-          priceAtTime: price,
+          priceAtTime: quote.price,
+          priceSources: quote.sources,
           timestamp: new Date().toISOString()
         }
       });
@@ -133,16 +146,16 @@ class CryptoController {
         });
       }
 
-      if (!['bitcoin', 'ethereum'].includes(cryptocurrency)) {
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
         return res.status(400).json({
           success: false,
-          message: 'Unsupported cryptocurrency. Supported: bitcoin, ethereum'
+          message: `Unsupported cryptocurrency. Supported: ${AssetRegistry.ids().join(', ')}`
         });
       }
 
-      const cryptoService = new CryptoService();
+      const cryptoService = CryptoService.getInstance();
       const usdAmount = await cryptoService.convertCryptoToUsd(cryptoAmount, cryptocurrency);
-      const price = await cryptoService.getCurrentPrice(cryptocurrency);
+      const quote = await cryptoService.getPriceQuote(cryptocurrency);
       
       res.json({
         success: true,
@@ -150,7 +163,8 @@ class CryptoController {
           cryptoAmount,
           usdAmount,
           cryptocurrency,
-          priceAtTime: price,
+          priceAtTime: quote.price,
+          priceSources: quote.sources,
           timestamp: new Date().toISOString()
         }
       });
@@ -168,13 +182,14 @@ class CryptoController {
    */
   static async getSupportedCryptocurrencies(req, res) {
     try {
-      const cryptoService = new CryptoService();
+      const cryptoService = CryptoService.getInstance();
       const supported = cryptoService.getSupportedCryptocurrencies();
       
       res.json({
         success: true,
         data: {
           cryptocurrencies: supported,
+          assets: supported.map(id => AssetRegistry.describe(AssetRegistry.get(id))),
           count: supported.length
         }
       });
@@ -192,14 +207,15 @@ class CryptoController {
    */
   static async getCacheStatus(req, res) {
     try {
-      const cryptoService = new CryptoService();
+      const cryptoService = CryptoService.getInstance();
       const cacheStatus = cryptoService.getCacheStatus();
       
       res.json({
         success: true,
         data: {
           cache: cacheStatus,
-          cacheDuration: process.env.CACHE_DURATION || 10000,
+          cacheDuration: cryptoService.cacheDuration,
+          refresh: cryptoService.getRefreshStatus(),
           timestamp: new Date().toISOString()
         }
       });
@@ -217,7 +233,7 @@ class CryptoController {
    */
   static async clearCache(req, res) {
     try {
-      const cryptoService = new CryptoService();
+      const cryptoService = CryptoService.getInstance();
       cryptoService.clearCache();
       
       res.json({
@@ -1,22 +1,80 @@
 const GameRound = require('../models/GameRound');
 const CryptoUtils = require('../utils/cryptoUtils');
+const SeedChainService = require('../services/SeedChainService');
+const AssetRegistry = require('../utils/assetRegistry');
 
 class GameController {
   /**
-   * Get current game state
+   * Find the game service of the room a request targets (roomId in the body or
+   * query, the main room if neither has one). Sends the error response and
+   * returns null if the room can't be found.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Object|null} Game service of the room
    */
-  static async getGameState(req, res) {
+  static resolveGameService(req, res) {
+    // This will be injected by the server when the game rooms are available
+    const gameRooms = req.app.locals.gameRooms;
+
+    if (!gameRooms) {
+      res.status(500).json({
+        success: false,
+        message: 'Game service not available'
+      });
+      return null;
+    }
+
+    const roomId = (req.body && req.body.roomId) || req.query.roomId;
+    const gameService = gameRooms.get(roomId);
+
+    if (!gameService) {
+      res.status(404).json({
+        success: false,
+        message: `Game room ${roomId} not found`
+      });
+      return null;
+    }
+
+    return gameService;
+  }
+
+  /**
+   * List the game rooms and their settings
+   */
+  static async getRooms(req, res) {
     try {
-      // This will be injected by the server when GameService is available
-      const gameService = req.app.locals.gameService;
-      
-      if (!gameService) {
+      const gameRooms = req.app.locals.gameRooms;
+
+      if (!gameRooms) {
         return res.status(500).json({
           success: false,
           message: 'Game service not available'
         });
       }
 
+      res.json({
+        success: true,
+        data: {
+          rooms: gameRooms.list()
+        }
+      });
+    } catch (error) {
+      console.error('Error getting game rooms:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get current game state
+   */
+  static async getGameState(req, res) {
+    try {
+      const gameService = GameController.resolveGameService(req, res);
+      if (!gameService) return;
+
       const gameState = gameService.getCurrentGameState();
       
       res.json({
@@ -37,7 +95,7 @@ class GameController {
    */
   static async placeBet(req, res) {
     try {
-      const { playerId, usdAmount, cryptocurrency } = req.body;
+      const { playerId, usdAmount, cryptocurrency, autoCashoutAt = null, clientSeed = null } = req.body;
 
       // Validation
       if (!playerId || !usdAmount || !cryptocurrency) {
@@ -54,22 +112,17 @@ class GameController {
         });
       }
 
-      if (!['bitcoin', 'ethereum'].includes(cryptocurrency)) {
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
         return res.status(400).json({
           success: false,
-          message: 'Cryptocurrency must be bitcoin or ethereum'
+          message: AssetRegistry.unsupportedMessage()
         });
       }
 
-      const gameService = req.app.locals.gameService;
-      if (!gameService) {
-        return res.status(500).json({
-          success: false,
-          message: 'Game service not available'
-        });
-      }
+      const gameService = GameController.resolveGameService(req, res);
+      if (!gameService) return;
 
-      const result = await gameService.placeBet(playerId, usdAmount, cryptocurrency);
+      const result = await gameService.placeBet(playerId, usdAmount, cryptocurrency, autoCashoutAt, clientSeed);
       
       res.json({
         success: true,
@@ -78,6 +131,40 @@ class GameController {
       });
     } catch (error) {
       console.error('Error placing bet:', error);
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+        ...(error.code && { code: error.code })
+      });
+    }
+  }
+
+  /**
+   * Cancel a bet
+   */
+  static async cancelBet(req, res) {
+    try {
+      const { playerId, betId } = req.body;
+
+      if (!playerId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required field: playerId'
+        });
+      }
+
+      const gameService = GameController.resolveGameService(req, res);
+      if (!gameService) return;
+
+      const result = await gameService.cancelBet(playerId, betId || null);
+
+      res.json({
+        success: true,
+        message: 'Bet cancelled successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error cancelling bet:', error);
       res.status(400).json({
         success: false,
         message: error.message
@@ -89,8 +176,11 @@ class GameController {
    * Cash out
    */
   static async cashOut(req, res) {
+    // Cashouts are priced at the moment the request was received
+    const receivedAt = Date.now();
+
     try {
-      const { playerId } = req.body;
+      const { playerId, betId, fraction } = req.body;
 
       if (!playerId) {
         return res.status(400).json({
@@ -99,19 +189,14 @@ class GameController {
         });
       }
 
-      const gameService = req.app.locals.gameService;
-      if (!gameService) {
-        return res.status(500).json({
-          success: false,
-          message: 'Game service not available'
-        });
-      }
+      const gameService = GameController.resolveGameService(req, res);
+      if (!gameService) return;
 
-      const result = await gameService.cashOut(playerId);
+      const result = await gameService.cashOut(playerId, receivedAt, betId || null, fraction || 1);
       
       res.json({
         success: true,
-        message: 'Cashed out successfully',
+        message: result.partial ? 'Partially cashed out successfully' : 'Cashed out successfully',
         data: result
       });
     } catch (error) {
@@ -128,16 +213,21 @@ class GameController {
    */
   static async getGameHistory(req, res) {
     try {
-      const { limit = 20, page = 1 } = req.query;
+      const { limit = 20, page = 1, roomId } = req.query;
       const skip = (page - 1) * limit;
+      const filter = { status: 'completed' };
 
-      const rounds = await GameRound.find({ status: 'completed' })
+      if (roomId) {
+        filter.roomId = roomId;
+      }
+
+      const rounds = await GameRound.find(filter)
         .sort({ createdAt: -1 })
         .limit(parseInt(limit))
         .skip(skip)
-        .select('roundId crashPoint startTime endTime bets maxMultiplier');
+        .select('roundId roomId crashPoint startTime endTime bets maxMultiplier');
 
-      const total = await GameRound.countDocuments({ status: 'completed' });
+      const total = await GameRound.countDocuments(filter);
 
       res.json({
         success: true,
@@ -176,9 +266,15 @@ class GameController {
         });
       }
 
+      // Keep the seed secret until the round has crashed
+      const details = round.toJSON();
+      if (['waiting', 'active'].includes(round.status)) {
+        delete details.seed;
+      }
+
       res.json({
         success: true,
-        data: round
+        data: details
       });
     } catch (error) {
       console.error('Error getting round details:', error);
@@ -212,12 +308,31 @@ class GameController {
         });
       }
 
-      // Extract round number from roundId
-      const roundNumber = parseInt(roundId.split('_')[2]) || 0;
+      // Use the provided client seed and nonce, falling back to the stored client seed and round number
+      const clientSeed = req.body.clientSeed !== undefined ? req.body.clientSeed : round.clientSeed;
+      let roundNumber = req.body.nonce !== undefined ? parseInt(req.body.nonce) : round.roundNumber;
+
+      // Rounds from before round numbers were stored kept their own nonce, or derived it from the round ID
+      if (req.body.nonce === undefined && (roundNumber === undefined || roundNumber === null)) {
+        const legacyNonce = round.get('nonce');
+        roundNumber = legacyNonce !== undefined && legacyNonce !== null ? legacyNonce : parseInt(roundId.split('_')[2]) || 0;
+      }
+
+      if (isNaN(roundNumber)) {
+        return res.status(400).json({
+          success: false,
+          message: 'nonce must be an integer'
+        });
+      }
       
+      // Verify with the distribution settings the round was played with
+      const crashConfig = round.crashConfig && round.crashConfig.houseEdge !== null
+        ? round.crashConfig.toObject()
+        : CryptoUtils.getCrashConfig();
+
       // Verify the crash point
-      const isValid = CryptoUtils.verifyCrashPoint(seed, roundNumber, crashPoint);
-      const calculatedCrashPoint = CryptoUtils.generateCrashPoint(seed, roundNumber);
+      const isValid = CryptoUtils.verifyCrashPoint(seed, roundNumber, crashPoint, clientSeed, crashConfig);
+      const calculatedCrashPoint = CryptoUtils.generateCrashPoint(seed, roundNumber, clientSeed, crashConfig);
       const calculatedHash = CryptoUtils.generateHash(seed, roundNumber);
 
       res.json({
@@ -227,6 +342,11 @@ class GameController {
           isValid,
           providedSeed: seed,
           providedCrashPoint: crashPoint,
+          clientSeed,
+          nonce: roundNumber,
+          crashConfig,
+          storedRoundNumber: round.roundNumber,
+          clientSeedContributors: round.clientSeedContributors,
           calculatedCrashPoint,
           calculatedHash,
           storedHash: round.hash,
@@ -243,6 +363,60 @@ class GameController {
       });
     }
   }
+
+  /**
+   * Get published seed chain commitments
+   */
+  static async getSeedChains(req, res) {
+    try {
+      const seedChainService = new SeedChainService();
+      const chains = await seedChainService.getCommitments(req.query.roomId || null);
+
+      res.json({
+        success: true,
+        data: {
+          chains
+        }
+      });
+    } catch (error) {
+      console.error('Error getting seed chains:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Verify a revealed seed against its seed chain commitment (provably fair)
+   */
+  static async verifySeedChain(req, res) {
+    try {
+      const { seed, chainId } = req.body;
+
+      if (!seed || !chainId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: seed, chainId'
+        });
+      }
+
+      const seedChainService = new SeedChainService();
+      const result = await seedChainService.verifySeed(seed, chainId);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error verifying seed chain:', error);
+      const statusCode = error.message === 'Seed chain not found' ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: statusCode === 404 ? error.message : 'Internal server error'
+      });
+    }
+  }
 }
 
 module.exports = GameController;
@@ -0,0 +1,138 @@
+const LimboService = require('../services/LimboService');
+
+class LimboController {
+  /**
+   * Play a limbo bet
+   */
+  static async play(req, res) {
+    try {
+      const { playerId, usdAmount, cryptocurrency, target } = req.body;
+
+      const limboService = new LimboService();
+      const result = await limboService.play(playerId, usdAmount, cryptocurrency, target);
+
+      res.json({
+        success: true,
+        message: result.won ? `Won at ${result.target}x` : `Lost, outcome was ${result.outcome}x`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error playing limbo:', error);
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+        ...(error.code && { code: error.code })
+      });
+    }
+  }
+
+  /**
+   * Get the player's active seed pair
+   */
+  static async getSeed(req, res) {
+    try {
+      const { playerId } = req.params;
+
+      const limboService = new LimboService();
+      const seed = await limboService.getActiveSeed(playerId);
+
+      res.json({
+        success: true,
+        data: seed
+      });
+    } catch (error) {
+      console.error('Error getting limbo seed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Reveal the player's server seed and start a new seed pair
+   */
+  static async rotateSeed(req, res) {
+    try {
+      const { playerId, clientSeed = null } = req.body;
+
+      const limboService = new LimboService();
+      const result = await limboService.rotateSeed(playerId, clientSeed);
+
+      res.json({
+        success: true,
+        message: 'Seed pair rotated successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error rotating limbo seed:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a player's limbo bets
+   */
+  static async getHistory(req, res) {
+    try {
+      const { playerId } = req.params;
+      const { limit = 20, page = 1 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const limboService = new LimboService();
+      const bets = await limboService.getHistory(playerId, parseInt(limit), skip);
+
+      res.json({
+        success: true,
+        data: {
+          bets,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error getting limbo history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Verify a limbo bet (provably fair)
+   */
+  static async verifyBet(req, res) {
+    try {
+      const { betId, serverSeed = null } = req.body;
+
+      if (!betId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required field: betId'
+        });
+      }
+
+      const limboService = new LimboService();
+      const result = await limboService.verifyBet(betId, serverSeed);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error verifying limbo bet:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = LimboController;
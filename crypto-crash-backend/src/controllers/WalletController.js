@@ -1,4 +1,6 @@
 const WalletService = require('../services/WalletService');
+const SwapService = require('../services/SwapService');
+const AssetRegistry = require('../utils/assetRegistry');
 
 class WalletController {
   /**
@@ -100,10 +102,10 @@ class WalletController {
         });
       }
 
-      if (!['bitcoin', 'ethereum'].includes(cryptocurrency)) {
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
         return res.status(400).json({
           success: false,
-          message: 'Cryptocurrency must be bitcoin or ethereum'
+          message: AssetRegistry.unsupportedMessage()
         });
       }
 
@@ -146,10 +148,10 @@ class WalletController {
         });
       }
 
-      if (!['bitcoin', 'ethereum'].includes(cryptocurrency)) {
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
         return res.status(400).json({
           success: false,
-          message: 'Cryptocurrency must be bitcoin or ethereum'
+          message: AssetRegistry.unsupportedMessage()
         });
       }
 
@@ -163,10 +165,11 @@ class WalletController {
       });
     } catch (error) {
       console.error('Error withdrawing crypto:', error);
-      const statusCode = error.message.includes('not found') ? 404 : 400;
+      const statusCode = error.statusCode || (error.message.includes('not found') ? 404 : 400);
       res.status(statusCode).json({
         success: false,
-        message: error.message
+        message: error.message,
+        ...(error.code && { code: error.code })
       });
     }
   }
@@ -192,10 +195,10 @@ class WalletController {
         });
       }
 
-      if (!['bitcoin', 'ethereum'].includes(cryptocurrency)) {
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
         return res.status(400).json({
           success: false,
-          message: 'Cryptocurrency must be bitcoin or ethereum'
+          message: AssetRegistry.unsupportedMessage()
         });
       }
 
@@ -217,6 +220,65 @@ class WalletController {
     }
   }
 
+  /**
+   * Quote a swap from one asset to another
+   */
+  static async createSwapQuote(req, res) {
+    try {
+      const { playerId, fromCryptocurrency, toCryptocurrency, amount } = req.body;
+
+      const swapService = new SwapService();
+      const quote = await swapService.createQuote(playerId, fromCryptocurrency, toCryptocurrency, amount);
+
+      res.status(201).json({
+        success: true,
+        message: 'Swap quoted',
+        data: quote
+      });
+    } catch (error) {
+      console.error('Error quoting swap:', error);
+      const statusCode = error.statusCode || (error.message.includes('not found') ? 404 : 400);
+      res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.code && { code: error.code })
+      });
+    }
+  }
+
+  /**
+   * Execute a swap quote
+   */
+  static async executeSwap(req, res) {
+    try {
+      const { playerId, quoteId } = req.body;
+
+      const swapService = new SwapService();
+      const result = await swapService.executeQuote(playerId, quoteId);
+
+      res.json({
+        success: true,
+        message: 'Swap successful',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error executing swap:', error);
+      let statusCode = 400;
+      if (error.statusCode) {
+        statusCode = error.statusCode; // No fresh price to check the quote against
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('expired') || error.message.includes('already executed') || error.message.includes('slippage')) {
+        statusCode = 409; // The quote can no longer be executed; ask for a new one
+      }
+      res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.code && { code: error.code })
+      });
+    }
+  }
+
   /**
    * Get transaction history
    */
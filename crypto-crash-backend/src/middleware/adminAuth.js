@@ -0,0 +1,40 @@
+/**
+ * Admin authentication middleware
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Require the ADMIN_API_KEY in the X-Admin-Key header. Without a configured
+ * key the admin API is open in development and disabled in production.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(503).json({
+        success: false,
+        message: 'Admin API is disabled: ADMIN_API_KEY is not set'
+      });
+    }
+    return next();
+  }
+
+  const provided = Buffer.from(req.get('X-Admin-Key') || '');
+  const expected = Buffer.from(adminKey);
+
+  // Constant-time comparison so the key can't be guessed from response timings
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or missing admin key'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
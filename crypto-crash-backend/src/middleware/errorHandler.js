@@ -136,7 +136,7 @@ const wsErrorHandler = (ws, error) => {
 /**
  * Graceful shutdown handler
  */
-const gracefulShutdown = (server, gameService, webSocketService) => {
+const gracefulShutdown = (server, gameRooms, webSocketService, reconciliationService, cryptoService) => {
   const shutdown = (signal) => {
     console.log(`Received ${signal}. Starting graceful shutdown...`);
     
@@ -144,10 +144,22 @@ const gracefulShutdown = (server, gameService, webSocketService) => {
     server.close(() => {
       console.log('HTTP server closed');
       
-      // Stop game service
-      if (gameService) {
-        gameService.stopGameLoop();
-        console.log('Game service stopped');
+      // Stop the game loop of every room
+      if (gameRooms) {
+        gameRooms.stopAll();
+        console.log('Game rooms stopped');
+      }
+      
+      // Stop scheduled reconciliation
+      if (reconciliationService) {
+        reconciliationService.stop();
+        console.log('Reconciliation job stopped');
+      }
+      
+      // Stop the background price refresh
+      if (cryptoService) {
+        cryptoService.stop();
+        console.log('Price refresh stopped');
       }
       
       // Close WebSocket connections
@@ -0,0 +1,69 @@
+/**
+ * Idempotency middleware for money-moving endpoints
+ */
+
+const IdempotencyService = require('../services/IdempotencyService');
+
+const idempotencyService = new IdempotencyService();
+
+/**
+ * Replay the stored response when a request repeats an Idempotency-Key header.
+ * Requests without the header run as usual.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!idempotencyService.isValidKey(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 1-255 printable ASCII characters'
+    });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+
+  try {
+    const result = await idempotencyService.begin(key, scope, req.body);
+
+    if (result.status === 'mismatch') {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key was already used for a different request'
+      });
+    }
+
+    if (result.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    if (result.status === 'replay') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(result.statusCode).json(result.response);
+    }
+
+    // Store the response before sending it, so a retry never finds the key still processing
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      idempotencyService.complete(key, scope, res.statusCode, body)
+        .catch(error => console.error(`Error storing response for idempotency key ${key}:`, error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotency
+};
@@ -1,6 +1,7 @@
 /**
  * Validation middleware for API endpoints
  */
+const AssetRegistry = require('../utils/assetRegistry');
 
 /**
  * Validate player ID format
@@ -14,6 +15,33 @@ const isValidPlayerId = (playerId) => {
          /^[a-zA-Z0-9_-]+$/.test(playerId);
 };
 
+/**
+ * Validate bet ID format
+ * @param {string} betId - Bet ID to validate
+ * @returns {boolean} True if valid
+ */
+const isValidBetId = (betId) => {
+  return typeof betId === 'string' && /^[a-f0-9]{24}$/.test(betId);
+};
+
+/**
+ * Validate swap quote ID format
+ * @param {string} quoteId - Quote ID to validate
+ * @returns {boolean} True if valid
+ */
+const isValidQuoteId = (quoteId) => {
+  return typeof quoteId === 'string' && /^quote_\d+_[a-f0-9]{12}$/.test(quoteId);
+};
+
+/**
+ * Validate game room ID format
+ * @param {string} roomId - Room ID to validate
+ * @returns {boolean} True if valid
+ */
+const isValidRoomId = (roomId) => {
+  return typeof roomId === 'string' && /^[a-z0-9-]{1,32}$/.test(roomId);
+};
+
 /**
  * Validate username format
  * @param {string} username - Username to validate
@@ -32,7 +60,7 @@ const isValidUsername = (username) => {
  * @returns {boolean} True if valid
  */
 const isValidCryptocurrency = (cryptocurrency) => {
-  return ['bitcoin', 'ethereum'].includes(cryptocurrency);
+  return AssetRegistry.isEnabled(cryptocurrency);
 };
 
 /**
@@ -67,7 +95,7 @@ const sanitizeString = (str) => {
  * Middleware to validate bet placement request
  */
 const validateBetRequest = (req, res, next) => {
-  const { playerId, usdAmount, cryptocurrency } = req.body;
+  const { playerId, usdAmount, cryptocurrency, autoCashoutAt, clientSeed, roomId } = req.body;
 
   const errors = [];
 
@@ -81,8 +109,6 @@ const validateBetRequest = (req, res, next) => {
     errors.push('USD amount is required');
   } else if (!isPositiveNumber(usdAmount)) {
     errors.push('USD amount must be a positive number');
-  } else if (usdAmount > 10000) {
-    errors.push('USD amount cannot exceed $10,000 per bet');
   } else if (usdAmount < 0.01) {
     errors.push('USD amount must be at least $0.01');
   }
@@ -90,7 +116,23 @@ const validateBetRequest = (req, res, next) => {
   if (!cryptocurrency) {
     errors.push('Cryptocurrency is required');
   } else if (!isValidCryptocurrency(cryptocurrency)) {
-    errors.push('Cryptocurrency must be bitcoin or ethereum');
+    errors.push(AssetRegistry.unsupportedMessage());
+  }
+
+  if (autoCashoutAt !== undefined && autoCashoutAt !== null) {
+    if (!isPositiveNumber(autoCashoutAt) || autoCashoutAt < 1.01) {
+      errors.push('Auto cashout multiplier must be a number of at least 1.01');
+    }
+  }
+
+  if (clientSeed !== undefined && clientSeed !== null) {
+    if (typeof clientSeed !== 'string' || clientSeed.length < 1 || clientSeed.length > 64) {
+      errors.push('Client seed must be a string of 1-64 characters');
+    }
+  }
+
+  if (roomId !== undefined && roomId !== null && !isValidRoomId(roomId)) {
+    errors.push('Room ID must be 1-32 lowercase letters, numbers or hyphens');
   }
 
   if (errors.length > 0) {
@@ -112,7 +154,47 @@ const validateBetRequest = (req, res, next) => {
  * Middleware to validate cashout request
  */
 const validateCashoutRequest = (req, res, next) => {
-  const { playerId } = req.body;
+  const { playerId, betId, fraction, roomId } = req.body;
+
+  const errors = [];
+
+  if (!playerId) {
+    errors.push('Player ID is required');
+  } else if (!isValidPlayerId(playerId)) {
+    errors.push('Player ID must be 3-50 characters long and contain only letters, numbers, underscores, and hyphens');
+  }
+
+  if (betId !== undefined && betId !== null && !isValidBetId(betId)) {
+    errors.push('Bet ID must be a 24-character hex string');
+  }
+
+  if (fraction !== undefined && fraction !== null && (!isPositiveNumber(fraction) || fraction > 1)) {
+    errors.push('Cashout fraction must be a number greater than 0 and at most 1');
+  }
+
+  if (roomId !== undefined && roomId !== null && !isValidRoomId(roomId)) {
+    errors.push('Room ID must be 1-32 lowercase letters, numbers or hyphens');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  // Sanitize inputs
+  req.body.playerId = sanitizeString(playerId);
+
+  next();
+};
+
+/**
+ * Middleware to validate bet cancellation request
+ */
+const validateCancelBetRequest = (req, res, next) => {
+  const { playerId, betId, roomId } = req.body;
 
   const errors = [];
 
@@ -122,6 +204,14 @@ const validateCashoutRequest = (req, res, next) => {
     errors.push('Player ID must be 3-50 characters long and contain only letters, numbers, underscores, and hyphens');
   }
 
+  if (betId !== undefined && betId !== null && !isValidBetId(betId)) {
+    errors.push('Bet ID must be a 24-character hex string');
+  }
+
+  if (roomId !== undefined && roomId !== null && !isValidRoomId(roomId)) {
+    errors.push('Room ID must be 1-32 lowercase letters, numbers or hyphens');
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -157,11 +247,12 @@ const validatePlayerCreation = (req, res, next) => {
   }
 
   if (initialBalance) {
-    if (initialBalance.bitcoin !== undefined && !isNonNegativeNumber(initialBalance.bitcoin)) {
-      errors.push('Initial Bitcoin balance must be a non-negative number');
-    }
-    if (initialBalance.ethereum !== undefined && !isNonNegativeNumber(initialBalance.ethereum)) {
-      errors.push('Initial Ethereum balance must be a non-negative number');
+    for (const [cryptocurrency, balance] of Object.entries(initialBalance)) {
+      if (!isValidCryptocurrency(cryptocurrency)) {
+        errors.push(`Initial balance given for unsupported cryptocurrency ${cryptocurrency}`);
+      } else if (!isNonNegativeNumber(balance)) {
+        errors.push(`Initial ${AssetRegistry.get(cryptocurrency).name} balance must be a non-negative number`);
+      }
     }
   }
 
@@ -205,7 +296,7 @@ const validateWalletTransaction = (req, res, next) => {
   if (!cryptocurrency) {
     errors.push('Cryptocurrency is required');
   } else if (!isValidCryptocurrency(cryptocurrency)) {
-    errors.push('Cryptocurrency must be bitcoin or ethereum');
+    errors.push(AssetRegistry.unsupportedMessage());
   }
 
   if (errors.length > 0) {
@@ -258,7 +349,7 @@ const validateTransferRequest = (req, res, next) => {
   if (!cryptocurrency) {
     errors.push('Cryptocurrency is required');
   } else if (!isValidCryptocurrency(cryptocurrency)) {
-    errors.push('Cryptocurrency must be bitcoin or ethereum');
+    errors.push(AssetRegistry.unsupportedMessage());
   }
 
   if (errors.length > 0) {
@@ -277,6 +368,93 @@ const validateTransferRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to validate swap quote request
+ */
+const validateSwapQuote = (req, res, next) => {
+  const { playerId, fromCryptocurrency, toCryptocurrency, amount } = req.body;
+
+  const errors = [];
+
+  if (!playerId) {
+    errors.push('Player ID is required');
+  } else if (!isValidPlayerId(playerId)) {
+    errors.push('Player ID must be 3-50 characters long and contain only letters, numbers, underscores, and hyphens');
+  }
+
+  if (amount === undefined || amount === null) {
+    errors.push('Amount is required');
+  } else if (!isPositiveNumber(amount)) {
+    errors.push('Amount must be a positive number');
+  } else if (amount > 1000) {
+    errors.push('Amount cannot exceed 1000 crypto units per swap');
+  }
+
+  if (!fromCryptocurrency) {
+    errors.push('From cryptocurrency is required');
+  } else if (!isValidCryptocurrency(fromCryptocurrency)) {
+    errors.push(AssetRegistry.unsupportedMessage());
+  }
+
+  if (!toCryptocurrency) {
+    errors.push('To cryptocurrency is required');
+  } else if (!isValidCryptocurrency(toCryptocurrency)) {
+    errors.push(AssetRegistry.unsupportedMessage());
+  }
+
+  if (fromCryptocurrency && fromCryptocurrency === toCryptocurrency) {
+    errors.push('Cannot swap an asset into itself');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  // Sanitize inputs
+  req.body.playerId = sanitizeString(playerId);
+  req.body.fromCryptocurrency = sanitizeString(fromCryptocurrency);
+  req.body.toCryptocurrency = sanitizeString(toCryptocurrency);
+
+  next();
+};
+
+/**
+ * Middleware to validate swap execution request
+ */
+const validateSwapExecution = (req, res, next) => {
+  const { playerId, quoteId } = req.body;
+
+  const errors = [];
+
+  if (!playerId) {
+    errors.push('Player ID is required');
+  } else if (!isValidPlayerId(playerId)) {
+    errors.push('Player ID must be 3-50 characters long and contain only letters, numbers, underscores, and hyphens');
+  }
+
+  if (!quoteId) {
+    errors.push('Quote ID is required');
+  } else if (!isValidQuoteId(quoteId)) {
+    errors.push('Quote ID is not valid');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  req.body.playerId = sanitizeString(playerId);
+
+  next();
+};
+
 /**
  * Middleware to validate crypto conversion request
  */
@@ -300,7 +478,55 @@ const validateCryptoConversion = (req, res, next) => {
   if (!cryptocurrency) {
     errors.push('Cryptocurrency is required');
   } else if (!isValidCryptocurrency(cryptocurrency)) {
-    errors.push('Cryptocurrency must be bitcoin or ethereum');
+    errors.push(AssetRegistry.unsupportedMessage());
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  // Sanitize inputs
+  req.body.cryptocurrency = sanitizeString(cryptocurrency);
+
+  next();
+};
+
+/**
+ * Middleware to validate limbo bet request
+ */
+const validateLimboBetRequest = (req, res, next) => {
+  const { playerId, usdAmount, cryptocurrency, target } = req.body;
+
+  const errors = [];
+
+  if (!playerId) {
+    errors.push('Player ID is required');
+  } else if (!isValidPlayerId(playerId)) {
+    errors.push('Player ID must be 3-50 characters long and contain only letters, numbers, underscores, and hyphens');
+  }
+
+  if (usdAmount === undefined || usdAmount === null) {
+    errors.push('USD amount is required');
+  } else if (!isPositiveNumber(usdAmount)) {
+    errors.push('USD amount must be a positive number');
+  } else if (usdAmount < 0.01) {
+    errors.push('USD amount must be at least $0.01');
+  }
+
+  if (!cryptocurrency) {
+    errors.push('Cryptocurrency is required');
+  } else if (!isValidCryptocurrency(cryptocurrency)) {
+    errors.push(AssetRegistry.unsupportedMessage());
+  }
+
+  if (target === undefined || target === null) {
+    errors.push('Target multiplier is required');
+  } else if (!isPositiveNumber(target) || target < 1.01) {
+    errors.push('Target multiplier must be a number of at least 1.01');
   }
 
   if (errors.length > 0) {
@@ -312,11 +538,46 @@ const validateCryptoConversion = (req, res, next) => {
   }
 
   // Sanitize inputs
+  req.body.playerId = sanitizeString(playerId);
   req.body.cryptocurrency = sanitizeString(cryptocurrency);
 
   next();
 };
 
+/**
+ * Middleware to validate limbo seed rotation request
+ */
+const validateLimboSeedRotation = (req, res, next) => {
+  const { playerId, clientSeed } = req.body;
+
+  const errors = [];
+
+  if (!playerId) {
+    errors.push('Player ID is required');
+  } else if (!isValidPlayerId(playerId)) {
+    errors.push('Player ID must be 3-50 characters long and contain only letters, numbers, underscores, and hyphens');
+  }
+
+  if (clientSeed !== undefined && clientSeed !== null) {
+    if (typeof clientSeed !== 'string' || clientSeed.length < 1 || clientSeed.length > 64) {
+      errors.push('Client seed must be a string of 1-64 characters');
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  // Sanitize inputs
+  req.body.playerId = sanitizeString(playerId);
+
+  next();
+};
+
 /**
  * Middleware to validate pagination parameters
  */
@@ -351,12 +612,20 @@ const validatePagination = (req, res, next) => {
 module.exports = {
   validateBetRequest,
   validateCashoutRequest,
+  validateCancelBetRequest,
+  validateLimboBetRequest,
+  validateLimboSeedRotation,
   validatePlayerCreation,
   validateWalletTransaction,
   validateTransferRequest,
+  validateSwapQuote,
+  validateSwapExecution,
   validateCryptoConversion,
   validatePagination,
   isValidPlayerId,
+  isValidBetId,
+  isValidQuoteId,
+  isValidRoomId,
   isValidUsername,
   isValidCryptocurrency,
   isPositiveNumber,
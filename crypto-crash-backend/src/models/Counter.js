@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Atomically allocate the next value of a named sequence
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} Next sequence value, starting at 1
+ */
+counterSchema.statics.nextSequence = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,24 +1,61 @@
 const mongoose = require('mongoose');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+
+const cashoutSchema = new mongoose.Schema({
+  fraction: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1 // Share of the stake that was still riding
+  },
+  stakeCryptoAmount: AmountUtils.unitsType({ required: true }), // Base units
+  stakeUsdAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  multiplier: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  cryptoAmount: AmountUtils.unitsType({ required: true }), // Base units
+  usdAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  auto: {
+    type: Boolean,
+    default: false
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const betSchema = new mongoose.Schema({
   playerId: {
     type: String,
     required: true
   },
-  usdAmount: {
+  slot: {
     type: Number,
-    required: true,
-    min: 0
+    default: 1,
+    min: 1 // Position among the player's bets in the round
   },
-  cryptoAmount: {
+  usdAmount: {
     type: Number,
     required: true,
     min: 0
   },
+  cryptoAmount: AmountUtils.unitsType({ required: true }), // Base units
   cryptocurrency: {
     type: String,
     required: true,
-    enum: ['bitcoin', 'ethereum']
+    enum: AssetRegistry.knownIds()
   },
   priceAtTime: {
     type: Number,
@@ -34,15 +71,46 @@ const betSchema = new mongoose.Schema({
     default: null,
     min: 1
   },
-  cashoutAmount: {
+  cashoutAmount: AmountUtils.unitsType({ default: null }), // Base units
+  cashoutAt: {
+    type: Date,
+    default: null // Moment the latest cashout was priced at on the multiplier curve
+  },
+  remainingCryptoAmount: AmountUtils.unitsType({ default: null }), // Base units still riding; null on bets placed before partial cashouts
+  remainingUsdAmount: {
     type: Number,
     default: null,
     min: 0
   },
+  cashouts: [cashoutSchema],
+  refunded: {
+    type: Boolean,
+    default: false
+  },
+  autoCashoutAt: {
+    type: Number,
+    default: null,
+    min: 1.01
+  },
+  clientSeed: {
+    type: String,
+    default: null,
+    maxlength: 64
+  },
   timestamp: {
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      AmountUtils.present(ret, ['cryptoAmount', 'cashoutAmount', 'remainingCryptoAmount'], ret.cryptocurrency);
+      for (const exit of ret.cashouts || []) {
+        AmountUtils.present(exit, ['stakeCryptoAmount', 'cryptoAmount'], ret.cryptocurrency);
+      }
+      return ret;
+    }
+  }
 });
 
 const gameRoundSchema = new mongoose.Schema({
@@ -51,6 +119,16 @@ const gameRoundSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  roomId: {
+    type: String,
+    default: 'main',
+    index: true
+  },
+  roundNumber: {
+    type: Number,
+    unique: true,
+    sparse: true // Rounds created before round numbers were persisted don't have one
+  },
   seed: {
     type: String,
     required: true
@@ -59,24 +137,70 @@ const gameRoundSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  chainId: {
+    type: String,
+    default: null
+  },
+  chainIndex: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  clientSeed: {
+    type: String,
+    default: null
+  },
+  clientSeedContributors: [{
+    type: String
+  }],
   crashPoint: {
     type: Number,
-    required: true,
+    default: null, // Set once betting closes and the client seed is known
     min: 1
   },
+  crashConfig: {
+    houseEdge: {
+      type: Number,
+      default: null
+    },
+    instantCrashProbability: {
+      type: Number,
+      default: null
+    },
+    maxMultiplier: {
+      type: Number,
+      default: null
+    }
+  },
   startTime: {
     type: Date,
     required: true
   },
+  multiplierStartTime: {
+    type: Date,
+    default: null // Set when the multiplier starts rising
+  },
+  curveProfile: {
+    type: String,
+    default: null // Curve profile the growth rate came from
+  },
+  growthRate: {
+    type: Number,
+    default: null // Multiplier curve growth rate per millisecond
+  },
   endTime: {
     type: Date,
     default: null
   },
   status: {
     type: String,
-    enum: ['waiting', 'active', 'crashed', 'completed'],
+    enum: ['waiting', 'active', 'crashed', 'completed', 'voided'],
     default: 'waiting'
   },
+  voidReason: {
+    type: String,
+    default: null
+  },
   bets: [betSchema],
   maxMultiplier: {
     type: Number,
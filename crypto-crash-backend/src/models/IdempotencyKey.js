@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true // Endpoint or WebSocket message type the key was used for
+  },
+  requestHash: {
+    type: String,
+    required: true // SHA-256 of the request payload, to catch a key reused for another request
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null // While processing, when another request may take the key over
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Claim a key for a request. Only one request can claim a key; later requests
+ * get the stored record so they can replay its response. A claim is a lease:
+ * if the request holding it dies before completing or releasing the key, the
+ * same request can take the key over once the lease has run out.
+ * @param {string} key - Idempotency key sent by the client
+ * @param {string} scope - Endpoint or message type
+ * @param {string} requestHash - Hash of the request payload
+ * @param {number} retentionMs - How long the key and its response are kept
+ * @param {number} leaseMs - How long a claim blocks retries while processing
+ * @returns {Promise<Object>} { claimed, record }
+ */
+idempotencyKeySchema.statics.claim = async function(key, scope, requestHash, retentionMs, leaseMs) {
+  const now = Date.now();
+
+  try {
+    const record = await this.create({
+      key,
+      scope,
+      requestHash,
+      lockedUntil: new Date(now + leaseMs),
+      expiresAt: new Date(now + retentionMs)
+    });
+
+    return { claimed: true, record };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Take over a claim whose lease has run out, or that was made without one
+    const takenOver = await this.findOneAndUpdate(
+      { key, scope, requestHash, status: 'processing', lockedUntil: { $not: { $gt: new Date(now) } } },
+      { lockedUntil: new Date(now + leaseMs), expiresAt: new Date(now + retentionMs) },
+      { new: true }
+    );
+    if (takenOver) {
+      return { claimed: true, record: takenOver };
+    }
+
+    const record = await this.findOne({ key, scope });
+    if (!record) {
+      // Expired between the insert and the lookup
+      return this.claim(key, scope, requestHash, retentionMs, leaseMs);
+    }
+
+    return { claimed: false, record };
+  }
+};
+
+/**
+ * Store the response of a claimed key
+ * @param {string} key - Idempotency key
+ * @param {string} scope - Endpoint or message type
+ * @param {number} statusCode - HTTP status code of the response
+ * @param {Object} response - Response body
+ * @returns {Promise<void>}
+ */
+idempotencyKeySchema.statics.complete = async function(key, scope, statusCode, response) {
+  await this.updateOne(
+    { key, scope },
+    { status: 'completed', statusCode, response, lockedUntil: null }
+  );
+};
+
+/**
+ * Release a claimed key so the request can be retried
+ * @param {string} key - Idempotency key
+ * @param {string} scope - Endpoint or message type
+ * @returns {Promise<void>}
+ */
+idempotencyKeySchema.statics.release = async function(key, scope) {
+  await this.deleteOne({ key, scope, status: 'processing' });
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
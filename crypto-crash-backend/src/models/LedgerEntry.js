@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+
+const postingSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true // player:<playerId>, house:bankroll, house:bonus, house:fees, house:exchange or external
+  },
+  // Base units; positive credits the account, negative debits it
+  amount: AmountUtils.unitsType({ required: true, signed: true })
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  entryType: {
+    type: String,
+    enum: ['bet', 'bet_cancelled', 'cashout', 'refund', 'deposit', 'withdrawal', 'transfer', 'opening_balance', 'migration', 'swap'],
+    required: true
+  },
+  cryptocurrency: {
+    type: String,
+    required: true,
+    enum: AssetRegistry.knownIds()
+  },
+  postings: {
+    type: [postingSchema],
+    required: true
+  },
+  transactionIds: {
+    type: [String],
+    default: [] // Transaction records this entry settles
+  },
+  game: {
+    type: String,
+    enum: ['crash', 'limbo', null],
+    default: null
+  },
+  roundId: {
+    type: String,
+    default: null
+  },
+  betId: {
+    type: String,
+    default: null
+  },
+  usdAmount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  priceAtTime: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  multiplier: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      for (const posting of ret.postings) {
+        AmountUtils.present(posting, ['amount'], ret.cryptocurrency);
+      }
+      return ret;
+    }
+  }
+});
+
+ledgerEntrySchema.index({ 'postings.account': 1, createdAt: -1 });
+
+// Every entry must move value between accounts without creating or destroying any
+ledgerEntrySchema.pre('validate', function(next) {
+  if (this.postings.length < 2) {
+    return next(new Error('Ledger entry needs at least two postings'));
+  }
+
+  const total = this.postings.reduce((sum, posting) => sum + AmountUtils.toUnits(posting.amount), 0n);
+  if (total !== 0n) {
+    return next(new Error(`Ledger entry ${this.entryId} is not balanced`));
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+
+const limboBetSchema = new mongoose.Schema({
+  betId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  playerId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  usdAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  cryptoAmount: AmountUtils.unitsType({ required: true }), // Base units
+  cryptocurrency: {
+    type: String,
+    required: true,
+    enum: AssetRegistry.knownIds()
+  },
+  priceAtTime: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  target: {
+    type: Number,
+    required: true,
+    min: 1.01 // Multiplier the player needs the outcome to reach
+  },
+  outcome: {
+    type: Number,
+    required: true,
+    min: 1 // Drawn with CryptoUtils.generateCrashPoint
+  },
+  won: {
+    type: Boolean,
+    required: true
+  },
+  payoutCryptoAmount: AmountUtils.unitsType({ default: 0n }), // Base units
+  payoutUsdAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  seedId: {
+    type: String,
+    required: true
+  },
+  serverSeedHash: {
+    type: String,
+    required: true
+  },
+  clientSeed: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  crashConfig: {
+    houseEdge: {
+      type: Number,
+      required: true
+    },
+    instantCrashProbability: {
+      type: Number,
+      required: true
+    },
+    maxMultiplier: {
+      type: Number,
+      required: true
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => AmountUtils.present(ret, ['cryptoAmount', 'payoutCryptoAmount'], ret.cryptocurrency)
+  }
+});
+
+module.exports = mongoose.model('LimboBet', limboBetSchema);
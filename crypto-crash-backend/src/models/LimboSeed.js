@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A player's limbo seed pair. The server seed stays secret while the pair is
+// active; only its hash is shown. Rotating the pair reveals the server seed so
+// every limbo bet played with it can be verified.
+const limboSeedSchema = new mongoose.Schema({
+  seedId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  playerId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  serverSeed: {
+    type: String,
+    required: true,
+    select: false
+  },
+  serverSeedHash: {
+    type: String,
+    required: true
+  },
+  clientSeed: {
+    type: String,
+    required: true,
+    maxlength: 64
+  },
+  nonce: {
+    type: Number,
+    default: 0,
+    min: 0 // Number of bets played with the pair
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revealed'],
+    default: 'active'
+  },
+  revealedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A player has at most one active seed pair
+limboSeedSchema.index(
+  { playerId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' }, name: 'one_active_seed_per_player' }
+);
+
+module.exports = mongoose.model('LimboSeed', limboSeedSchema);
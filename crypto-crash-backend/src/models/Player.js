@@ -1,17 +1,6 @@
 const mongoose = require('mongoose');
-
-const walletSchema = new mongoose.Schema({
-  bitcoin: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
-  ethereum: {
-    type: Number,
-    default: 0,
-    min: 0
-  }
-});
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
 
 const playerSchema = new mongoose.Schema({
   playerId: {
@@ -24,7 +13,13 @@ const playerSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  wallet: walletSchema,
+  // Balance per asset ID in base units. An asset with no entry has a zero
+  // balance; use player.getBalance() rather than reading the map directly.
+  wallet: {
+    type: Map,
+    of: AmountUtils.unitsType(),
+    default: () => ({})
+  },
   totalBets: {
     type: Number,
     default: 0
@@ -42,8 +37,78 @@ const playerSchema = new mongoose.Schema({
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      // Every enabled asset is listed, with zero for assets never held
+      const wallet = ret.wallet || {};
+      ret.wallet = {};
+      for (const cryptocurrency of AssetRegistry.ids()) {
+        ret.wallet[cryptocurrency] = AmountUtils.toUnits(wallet[cryptocurrency]);
+        AmountUtils.present(ret.wallet, [cryptocurrency], cryptocurrency);
+      }
+      return ret;
+    }
+  }
 });
 
+/**
+ * Balance of one asset in the player's wallet
+ * @param {string} cryptocurrency - Asset ID
+ * @returns {bigint} Balance in base units
+ */
+playerSchema.methods.getBalance = function(cryptocurrency) {
+  return AmountUtils.toUnits(this.wallet && this.wallet.get(cryptocurrency));
+};
+
+// The wallet is a projection of the player's ledger account. Balances change
+// through LedgerService.post, which calls debit/credit alongside the ledger entry.
+
+/**
+ * Atomically take an amount from a player's wallet. The update only matches
+ * while the balance covers the amount, so concurrent debits can't overdraw it.
+ * @param {string} playerId - Player ID
+ * @param {string} cryptocurrency - Wallet currency
+ * @param {bigint} amount - Amount to take in base units
+ * @param {Object} options - session, and stats to $inc alongside the balance
+ * @returns {Promise<Object>} Updated player
+ */
+playerSchema.statics.debit = async function(playerId, cryptocurrency, amount, { session = null, stats = {} } = {}) {
+  const player = await this.findOneAndUpdate(
+    { playerId, [`wallet.${cryptocurrency}`]: { $gte: AmountUtils.toDecimal128(amount) } },
+    { $inc: { [`wallet.${cryptocurrency}`]: AmountUtils.toDecimal128(-amount), ...stats } },
+    { new: true, session }
+  );
+
+  if (!player) {
+    const exists = await this.exists({ playerId }).session(session);
+    throw new Error(exists ? 'Insufficient balance' : 'Player not found');
+  }
+
+  return player;
+};
+
+/**
+ * Atomically add an amount to a player's wallet
+ * @param {string} playerId - Player ID
+ * @param {string} cryptocurrency - Wallet currency
+ * @param {bigint} amount - Amount to add in base units
+ * @param {Object} options - session, and stats to $inc alongside the balance
+ * @returns {Promise<Object>} Updated player
+ */
+playerSchema.statics.credit = async function(playerId, cryptocurrency, amount, { session = null, stats = {} } = {}) {
+  const player = await this.findOneAndUpdate(
+    { playerId },
+    { $inc: { [`wallet.${cryptocurrency}`]: AmountUtils.toDecimal128(amount), ...stats } },
+    { new: true, session }
+  );
+
+  if (!player) {
+    throw new Error('Player not found');
+  }
+
+  return player;
+};
+
 module.exports = mongoose.model('Player', playerSchema);
 
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'wallet_mismatch',       // Wallet differs from its replayed transactions
+      'ledger_mismatch',       // Wallet differs from its ledger account
+      'unknown_player',        // Transactions for a player that doesn't exist
+      'missing_bet_transaction',
+      'duplicate_bet_transaction',
+      'bet_amount_mismatch',
+      'cashout_mismatch',      // Cashout rows don't add up to the bet's cashout amount
+      'refund_mismatch',       // Refund rows don't match the refunded stake
+      'orphan_transaction'     // Rows for a bet that isn't in its round
+    ],
+    required: true
+  },
+  playerId: {
+    type: String,
+    default: null
+  },
+  roundId: {
+    type: String,
+    default: null
+  },
+  betId: {
+    type: String,
+    default: null
+  },
+  cryptocurrency: {
+    type: String,
+    enum: [...AssetRegistry.knownIds(), null],
+    default: null
+  },
+  // Base units; expected comes from the records, actual from the wallet or bet
+  expected: AmountUtils.unitsType({ signed: true, default: null }),
+  actual: AmountUtils.unitsType({ signed: true, default: null }),
+  message: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false,
+  toJSON: {
+    transform: (doc, ret) => {
+      if (ret.cryptocurrency) {
+        AmountUtils.present(ret, ['expected', 'actual'], ret.cryptocurrency);
+      }
+      return ret;
+    }
+  }
+});
+
+const reconciliationReportSchema = new mongoose.Schema({
+  reportId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  roundsSince: {
+    type: Date,
+    default: null // Earliest round end time checked; null when every round was checked
+  },
+  playersChecked: {
+    type: Number,
+    default: 0
+  },
+  playersSkipped: {
+    type: Number,
+    default: 0 // Wallets that kept changing while they were checked
+  },
+  roundsChecked: {
+    type: Number,
+    default: 0
+  },
+  betsChecked: {
+    type: Number,
+    default: 0
+  },
+  discrepancyCount: {
+    type: Number,
+    default: 0
+  },
+  discrepancies: [discrepancySchema],
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
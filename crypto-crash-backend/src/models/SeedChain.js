@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const seedChainSchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  roomId: {
+    type: String,
+    default: 'main',
+    index: true
+  },
+  terminalSecret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  commitment: {
+    type: String,
+    required: true
+  },
+  length: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  checkpointInterval: {
+    type: Number,
+    default: null
+  },
+  checkpoints: {
+    type: [String],
+    default: undefined,
+    select: false // Every checkpointInterval-th link from the terminal secret, so seeds can be recomputed without the whole chain
+  },
+  nextIndex: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['active', 'exhausted'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SeedChain', seedChainSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+
+const swapQuoteSchema = new mongoose.Schema({
+  quoteId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  playerId: {
+    type: String,
+    required: true
+  },
+  fromCryptocurrency: {
+    type: String,
+    required: true,
+    enum: AssetRegistry.knownIds()
+  },
+  toCryptocurrency: {
+    type: String,
+    required: true,
+    enum: AssetRegistry.knownIds()
+  },
+  // Base units; fromAmount leaves the wallet, toAmount arrives after the spread
+  fromAmount: AmountUtils.unitsType({ required: true }),
+  toAmount: AmountUtils.unitsType({ required: true }),
+  fromPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  toPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Price providers each price was the median of, or ['fallback']
+  fromPriceSources: {
+    type: [String],
+    default: []
+  },
+  toPriceSources: {
+    type: [String],
+    default: []
+  },
+  spread: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  usdValue: {
+    type: Number,
+    required: true,
+    min: 0 // USD value of fromAmount at fromPrice
+  },
+  status: {
+    type: String,
+    enum: ['open', 'executed'],
+    default: 'open'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  executedAt: {
+    type: Date,
+    default: null
+  },
+  transactionIds: {
+    type: [String],
+    default: [] // Debit and credit transactions of an executed swap
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      AmountUtils.present(ret, ['fromAmount'], ret.fromCryptocurrency);
+      AmountUtils.present(ret, ['toAmount'], ret.toCryptocurrency);
+      return ret;
+    }
+  }
+});
+
+swapQuoteSchema.index({ playerId: 1, createdAt: -1 });
+// Quotes that were never executed are cleaned up a day after they expire
+swapQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60, partialFilterExpression: { status: 'open' } });
+
+module.exports = mongoose.model('SwapQuote', swapQuoteSchema);
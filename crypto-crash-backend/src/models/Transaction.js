@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
 
 const transactionSchema = new mongoose.Schema({
   transactionId: {
@@ -14,9 +16,18 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  betId: {
+    type: String,
+    default: null
+  },
+  game: {
+    type: String,
+    enum: ['crash', 'limbo'],
+    default: 'crash' // Limbo transactions store the limbo bet ID as their roundId
+  },
   transactionType: {
     type: String,
-    enum: ['bet', 'cashout', 'deposit', 'withdrawal'],
+    enum: ['bet', 'bet_cancelled', 'cashout', 'deposit', 'withdrawal', 'refund', 'swap_out', 'swap_in'],
     required: true
   },
   usdAmount: {
@@ -24,15 +35,11 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
-  cryptoAmount: {
-    type: Number,
-    required: true,
-    min: 0
-  },
+  cryptoAmount: AmountUtils.unitsType({ required: true }), // Base units
   cryptocurrency: {
     type: String,
     required: true,
-    enum: ['bitcoin', 'ethereum']
+    enum: AssetRegistry.knownIds()
   },
   priceAtTime: {
     type: Number,
@@ -48,13 +55,20 @@ const transactionSchema = new mongoose.Schema({
     default: null,
     min: 1
   },
+  ledgerEntryId: {
+    type: String,
+    default: null // Ledger entry that moved the funds
+  },
   status: {
     type: String,
     enum: ['pending', 'completed', 'failed'],
     default: 'completed'
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => AmountUtils.present(ret, ['cryptoAmount'], ret.cryptocurrency)
+  }
 });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const AdminController = require('../controllers/AdminController');
+const { validatePagination } = require('../middleware/validation');
+const { limiters } = require('../middleware/rateLimiter');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+router.use(requireAdmin);
+
+// List wallet reconciliation reports
+router.get('/reconciliation/reports', limiters.general, validatePagination, AdminController.listReconciliationReports);
+
+// Get the latest finished reconciliation report
+router.get('/reconciliation/latest', limiters.general, AdminController.getReconciliationReport);
+
+// Get a reconciliation report with its discrepancies
+router.get('/reconciliation/reports/:reportId', limiters.general, AdminController.getReconciliationReport);
+
+// Run a reconciliation now
+router.post('/reconciliation/run', limiters.strict, AdminController.runReconciliation);
+
+module.exports = router;
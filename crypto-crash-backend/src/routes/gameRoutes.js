@@ -1,17 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const GameController = require('../controllers/GameController');
-const { validateBetRequest, validateCashoutRequest, validatePagination } = require('../middleware/validation');
+const { validateBetRequest, validateCashoutRequest, validateCancelBetRequest, validatePagination } = require('../middleware/validation');
 const { limiters } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
+
+// List the game rooms and their settings
+router.get('/rooms', limiters.general, GameController.getRooms);
 
 // Get current game state
 router.get('/state', limiters.general, GameController.getGameState);
 
 // Place a bet
-router.post('/bet', limiters.gameActions, validateBetRequest, GameController.placeBet);
+router.post('/bet', limiters.gameActions, validateBetRequest, idempotency, GameController.placeBet);
+
+// Cancel a bet during the betting phase
+router.post('/bet/cancel', limiters.gameActions, validateCancelBetRequest, idempotency, GameController.cancelBet);
 
 // Cash out
-router.post('/cashout', limiters.gameActions, validateCashoutRequest, GameController.cashOut);
+router.post('/cashout', limiters.gameActions, validateCashoutRequest, idempotency, GameController.cashOut);
 
 // Get game history
 router.get('/history', limiters.general, validatePagination, GameController.getGameHistory);
@@ -22,5 +29,11 @@ router.get('/round/:roundId', limiters.general, GameController.getRoundDetails);
 // Verify round (provably fair)
 router.post('/verify', limiters.strict, GameController.verifyRound);
 
+// Get published seed chain commitments
+router.get('/seed-chain', limiters.general, GameController.getSeedChains);
+
+// Verify a revealed seed against its seed chain (provably fair)
+router.post('/verify-chain', limiters.strict, GameController.verifySeedChain);
+
 module.exports = router;
 
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const LimboController = require('../controllers/LimboController');
+const { validateLimboBetRequest, validateLimboSeedRotation, validatePagination } = require('../middleware/validation');
+const { limiters } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
+
+// Play a limbo bet, settled immediately
+router.post('/play', limiters.gameActions, validateLimboBetRequest, idempotency, LimboController.play);
+
+// Get the player's active seed pair (server seed hash, client seed, nonce)
+router.get('/seed/:playerId', limiters.general, LimboController.getSeed);
+
+// Reveal the server seed and start a new seed pair
+router.post('/seed/rotate', limiters.strict, validateLimboSeedRotation, LimboController.rotateSeed);
+
+// Get a player's limbo bets
+router.get('/history/:playerId', limiters.general, validatePagination, LimboController.getHistory);
+
+// Verify a limbo bet (provably fair)
+router.post('/verify', limiters.strict, LimboController.verifyBet);
+
+module.exports = router;
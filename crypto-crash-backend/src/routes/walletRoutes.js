@@ -5,9 +5,12 @@ const {
   validatePlayerCreation, 
   validateWalletTransaction, 
   validateTransferRequest,
+  validateSwapQuote,
+  validateSwapExecution,
   validatePagination 
 } = require('../middleware/validation');
 const { limiters } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
 
 // Create new player
 router.post('/player', limiters.strict, validatePlayerCreation, WalletController.createPlayer);
@@ -16,13 +19,19 @@ router.post('/player', limiters.strict, validatePlayerCreation, WalletController
 router.get('/balance/:playerId', limiters.general, WalletController.getWalletBalance);
 
 // Deposit cryptocurrency
-router.post('/deposit', limiters.walletOperations, validateWalletTransaction, WalletController.depositCrypto);
+router.post('/deposit', limiters.walletOperations, validateWalletTransaction, idempotency, WalletController.depositCrypto);
 
 // Withdraw cryptocurrency
-router.post('/withdraw', limiters.walletOperations, validateWalletTransaction, WalletController.withdrawCrypto);
+router.post('/withdraw', limiters.walletOperations, validateWalletTransaction, idempotency, WalletController.withdrawCrypto);
 
 // Transfer cryptocurrency between players
-router.post('/transfer', limiters.walletOperations, validateTransferRequest, WalletController.transferCrypto);
+router.post('/transfer', limiters.walletOperations, validateTransferRequest, idempotency, WalletController.transferCrypto);
+
+// Quote a swap between two assets
+router.post('/swap/quote', limiters.walletOperations, validateSwapQuote, WalletController.createSwapQuote);
+
+// Execute a swap quote
+router.post('/swap', limiters.walletOperations, validateSwapExecution, idempotency, WalletController.executeSwap);
 
 // Get transaction history
 router.get('/transactions/:playerId', limiters.general, validatePagination, WalletController.getTransactionHistory);
@@ -7,13 +7,17 @@ const connectDB = require('../config/database');
 
 // Import routes
 const gameRoutes = require('./routes/gameRoutes');
+const limboRoutes = require('./routes/limboRoutes');
 const walletRoutes = require('./routes/walletRoutes');
 const cryptoRoutes = require('./routes/cryptoRoutes');
 const websocketRoutes = require('./routes/websocketRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Import services
-const GameService = require('./services/GameService');
+const GameRoomRegistry = require('./services/GameRoomRegistry');
 const WebSocketService = require('./services/WebSocketService');
+const ReconciliationService = require('./services/ReconciliationService');
+const CryptoService = require('./services/CryptoService');
 
 // Import middleware
 const { errorHandler, notFoundHandler, gracefulShutdown } = require('./middleware/errorHandler');
@@ -39,9 +43,11 @@ app.set('trust proxy', 1);
 
 // Routes
 app.use('/api/game', gameRoutes);
+app.use('/api/limbo', limboRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/crypto', cryptoRoutes);
 app.use('/api/websocket', websocketRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -58,17 +64,24 @@ app.get('/health', (req, res) => {
 const wss = new WebSocket.Server({ server });
 const webSocketService = new WebSocketService(wss);
 
-// Initialize game service
-const gameService = new GameService(webSocketService);
+// Initialize a game service for every room
+const gameRooms = new GameRoomRegistry(webSocketService);
 
-// Make game service available to controllers
-app.locals.gameService = gameService;
+// Make game rooms available to controllers
+app.locals.gameRooms = gameRooms;
 
 // Make WebSocket service available to controllers
 app.locals.webSocketService = webSocketService;
 
-// Make game service available globally for WebSocket service
-global.gameService = gameService;
+// Make game rooms available globally for WebSocket service
+global.gameRooms = gameRooms;
+
+// Price service shared by every request and game room
+const cryptoService = CryptoService.getInstance();
+
+// Wallet reconciliation job, also run on demand from the admin API
+const reconciliationService = new ReconciliationService();
+app.locals.reconciliationService = reconciliationService;
 
 // Error handling middleware (must be last)
 app.use(notFoundHandler);
@@ -81,10 +94,16 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`WebSocket server ready`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   
-  // Start the game loop
-  gameService.startGameLoop();
+  // Keep prices fresh in the background
+  cryptoService.start();
+
+  // Start the game loop of every room
+  gameRooms.startAll();
+  
+  // Schedule wallet reconciliation
+  reconciliationService.start();
   
   // Setup graceful shutdown
-  gracefulShutdown(server, gameService, webSocketService);
+  gracefulShutdown(server, gameRooms, webSocketService, reconciliationService, cryptoService);
 });
 
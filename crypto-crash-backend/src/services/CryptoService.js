@@ -1,148 +1,344 @@
-const axios = require('axios');
+const AssetRegistry = require('../utils/assetRegistry');
+const { createPriceProviders } = require('./priceProviders');
 
+// Error code of a refused operation when an asset has no price recent enough to trade on
+const PRICE_UNAVAILABLE = 'PRICE_UNAVAILABLE';
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values, at least one
+ * @returns {number} Median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// The process-wide instance returned by getInstance
+let sharedInstance = null;
+
+/**
+ * Prices from the providers named in PRICE_PROVIDERS. Every provider is asked
+ * at once; an asset's price is the median of the answers left after dropping
+ * outliers, and each quote records the providers that backed it.
+ *
+ * One instance, from getInstance, serves the whole process so every consumer
+ * reads the same cache. Once started it refreshes every enabled asset in the
+ * background, so requests rarely wait on the providers.
+ */
 class CryptoService {
   constructor() {
-    this.baseURL = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+    this.providers = createPriceProviders();
     this.cache = new Map();
     this.cacheDuration = parseInt(process.env.CACHE_DURATION) || 10000; // 10 seconds
+    this.refreshInterval = parseInt(process.env.PRICE_REFRESH_INTERVAL) || this.cacheDuration;
+    this.outlierThreshold = parseFloat(process.env.PRICE_OUTLIER_THRESHOLD) || 0.02; // Largest deviation from the median a price may have
+    this.minSources = parseInt(process.env.PRICE_MIN_SOURCES) || 1; // Providers that must agree on a price
+    this.refreshTimer = null;
+    this.refreshing = null; // Fetch in progress: { cryptocurrencies, promise }
+    this.lastRefresh = null;
+  }
+
+  /**
+   * Get the price service shared by the whole process
+   * @returns {CryptoService} Shared instance
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new CryptoService();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Refresh every enabled asset now and then every refreshInterval
+   */
+  start() {
+    if (this.refreshTimer) {
+      return;
+    }
+
+    const refresh = () => this.refresh().catch(error => console.error('Price refresh failed:', error));
+
+    refresh();
+    this.refreshTimer = setInterval(refresh, this.refreshInterval);
+
+    console.log(`Price refresh started every ${this.refreshInterval}ms from ${this.providers.map(provider => provider.name).join(', ')}`);
+  }
+
+  /**
+   * Stop the background refresh
+   */
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Fetch prices from the providers into the cache. A caller asking only for
+   * assets a fetch in progress already covers waits for that fetch instead
+   * of starting another.
+   * @param {string[]} cryptocurrencies - Asset IDs, defaults to every enabled asset
+   * @returns {Promise<Object>} Map of asset ID to the quotes fetched
+   */
+  refresh(cryptocurrencies = AssetRegistry.ids()) {
+    const inFlight = this.refreshing;
+    if (inFlight && cryptocurrencies.every(crypto => inFlight.cryptocurrencies.includes(crypto))) {
+      return inFlight.promise;
+    }
+
+    const promise = this.fetchQuotes(cryptocurrencies)
+      .then(fetched => {
+        const timestamp = Date.now();
+        for (const [crypto, quote] of Object.entries(fetched)) {
+          this.cache.set(`price_${crypto}`, { ...quote, timestamp });
+        }
+
+        this.lastRefresh = {
+          timestamp,
+          priced: Object.keys(fetched),
+          missing: cryptocurrencies.filter(crypto => !fetched[crypto])
+        };
+
+        const summary = Object.entries(fetched).map(([crypto, quote]) => `${crypto} $${quote.price} (${quote.sources.join(', ')})`);
+        if (summary.length > 0) {
+          console.log(`Fetched fresh prices: ${summary.join(', ')}`);
+        }
+
+        return fetched;
+      })
+      .finally(() => {
+        if (this.refreshing && this.refreshing.promise === promise) {
+          this.refreshing = null;
+        }
+      });
+
+    this.refreshing = { cryptocurrencies, promise };
+    return promise;
   }
 
   /**
-   * Get current price for a cryptocurrency
-   * @param {string} cryptocurrency - 'bitcoin' or 'ethereum'
+   * Get current price for a cryptocurrency. The price may be stale; use
+   * getTradablePrice for anything that moves money at it.
+   * @param {string} cryptocurrency - Asset ID from the asset registry
    * @returns {Promise<number>} Price in USD
    */
   async getCurrentPrice(cryptocurrency) {
-    try {
-      // Check cache first
-      const cacheKey = `price_${cryptocurrency}`;
-      const cached = this.cache.get(cacheKey);
-      
-      if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
-        console.log(`Using cached price for ${cryptocurrency}: $${cached.price}`);
-        return cached.price;
-      }
+    const quote = await this.getPriceQuote(cryptocurrency);
+    return quote.price;
+  }
 
-      // Fetch from API
-      const response = await axios.get(`${this.baseURL}/simple/price`, {
-        params: {
-          ids: cryptocurrency,
-          vs_currencies: 'usd',
-          include_last_updated_at: true
-        },
-        timeout: 5000
-      });
+  /**
+   * Get current prices for multiple cryptocurrencies
+   * @param {string[]} cryptocurrencies - Asset IDs, defaults to every enabled asset
+   * @returns {Promise<Object>} Object with prices
+   */
+  async getCurrentPrices(cryptocurrencies = AssetRegistry.ids()) {
+    const quotes = await this.getPriceQuotes(cryptocurrencies);
 
-      if (!response.data[cryptocurrency] || !response.data[cryptocurrency].usd) {
-        throw new Error(`Price not found for ${cryptocurrency}`);
+    const prices = {};
+    for (const [crypto, quote] of Object.entries(quotes)) {
+      prices[crypto] = quote.price;
+    }
+
+    return prices;
+  }
+
+  /**
+   * Get a price recent enough to move money at
+   * @param {string} cryptocurrency - Asset ID from the asset registry
+   * @returns {Promise<number>} Price in USD
+   * @throws {Error} PRICE_UNAVAILABLE if the newest price is older than the asset's maxPriceAge
+   */
+  async getTradablePrice(cryptocurrency) {
+    const quotes = await this.getTradablePriceQuotes([cryptocurrency]);
+    return quotes[cryptocurrency].price;
+  }
+
+  /**
+   * Get price quotes that are all recent enough to move money at
+   * @param {string[]} cryptocurrencies - Asset IDs
+   * @returns {Promise<Object>} Map of asset ID to price quote
+   * @throws {Error} PRICE_UNAVAILABLE if any newest price is older than its asset's maxPriceAge
+   */
+  async getTradablePriceQuotes(cryptocurrencies) {
+    const quotes = await this.getPriceQuotes(cryptocurrencies);
+
+    const unavailable = cryptocurrencies.filter(crypto => this.isStale(quotes[crypto], crypto));
+    if (unavailable.length > 0) {
+      throw this.priceUnavailableError(unavailable);
+    }
+
+    return quotes;
+  }
+
+  /**
+   * Check if a price is too old to move money at. Fallback prices always are.
+   * A fresh fetch can still carry an old price, since a provider may report a
+   * price it last updated long ago, so the oldest kept reading counts as well.
+   * @param {Object} quote - Price quote
+   * @param {string} cryptocurrency - Asset ID
+   * @returns {boolean} True if the price was fetched, or its oldest reading updated,
+   * longer ago than the asset's maxPriceAge
+   */
+  isStale(quote, cryptocurrency) {
+    const asset = AssetRegistry.get(cryptocurrency);
+    if (!quote || quote.fetchedAt === null || !asset) return true;
+
+    const updatedAt = quote.lastUpdated !== null ? Math.min(quote.lastUpdated, quote.fetchedAt) : quote.fetchedAt;
+    return Date.now() - updatedAt > asset.maxPriceAge;
+  }
+
+  /**
+   * Error for an operation refused for lack of a fresh price
+   * @param {string[]} cryptocurrencies - Assets without a fresh price
+   * @returns {Error} Error with code PRICE_UNAVAILABLE and status code 503
+   */
+  priceUnavailableError(cryptocurrencies) {
+    const error = new Error(`Price unavailable for ${cryptocurrencies.join(', ')}: no recent price to trade at, try again once prices recover`);
+    error.code = PRICE_UNAVAILABLE;
+    error.statusCode = 503;
+    error.cryptocurrencies = cryptocurrencies;
+    return error;
+  }
+
+  /**
+   * Get the current price of a cryptocurrency with the sources behind it
+   * @param {string} cryptocurrency - Asset ID from the asset registry
+   * @returns {Promise<Object>} Price quote
+   */
+  async getPriceQuote(cryptocurrency) {
+    const quotes = await this.getPriceQuotes([cryptocurrency]);
+    return quotes[cryptocurrency];
+  }
+
+  /**
+   * Get current prices with the sources behind them. Prices come from the
+   * cache while fresh, then from the providers, then from an expired cache
+   * entry, and only as a last resort from the asset's fallback price.
+   * @param {string[]} cryptocurrencies - Asset IDs, defaults to every enabled asset
+   * @returns {Promise<Object>} Map of asset ID to { price, sources, outliers, lastUpdated, fetchedAt }.
+   * sources lists the providers the price is the median of, or is ['fallback'];
+   * fetchedAt is when the price was received, and null for a fallback price.
+   */
+  async getPriceQuotes(cryptocurrencies = AssetRegistry.ids()) {
+    const quotes = {};
+
+    // Check cache for all cryptocurrencies
+    const uncachedCryptos = [];
+    for (const crypto of cryptocurrencies) {
+      const cached = this.cache.get(`price_${crypto}`);
+
+      if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
+        quotes[crypto] = this.formatQuote(cached);
+      } else {
+        uncachedCryptos.push(crypto);
       }
+    }
 
-      const price = response.data[cryptocurrency].usd;
-      const lastUpdated = response.data[cryptocurrency].last_updated_at;
+    if (uncachedCryptos.length === 0) {
+      return quotes;
+    }
 
-      // Cache the result
-      this.cache.set(cacheKey, {
-        price,
-        timestamp: Date.now(),
-        lastUpdated: lastUpdated * 1000 // Convert to milliseconds
-      });
+    await this.refresh(uncachedCryptos);
 
-      console.log(`Fetched fresh price for ${cryptocurrency}: $${price}`);
-      return price;
+    for (const crypto of uncachedCryptos) {
+      const cached = this.cache.get(`price_${crypto}`);
+
+      if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
+        quotes[crypto] = this.formatQuote(cached);
+        continue;
+      }
 
-    } catch (error) {
-      console.error(`Error fetching price for ${cryptocurrency}:`, error.message);
-      
       // Return cached price if available, even if expired
-      const cacheKey = `price_${cryptocurrency}`;
-      const cached = this.cache.get(cacheKey);
       if (cached) {
-        console.log(`Using expired cached price for ${cryptocurrency}: $${cached.price}`);
-        return cached.price;
+        console.log(`Using expired cached price for ${crypto}: $${cached.price}`);
+        quotes[crypto] = this.formatQuote(cached);
+        continue;
       }
 
-      // Fallback prices if API is completely unavailable
-      const fallbackPrices = {
-        bitcoin: 67000,
-        ethereum: 3500
-      };
-
-      console.log(`Using fallback price for ${cryptocurrency}: $${fallbackPrices[cryptocurrency]}`);
-      return fallbackPrices[cryptocurrency] || 1;
+      const fallbackPrice = this.getFallbackPrice(crypto);
+      console.error(`No price source available for ${crypto}, using fallback price: $${fallbackPrice}`);
+      quotes[crypto] = { price: fallbackPrice, sources: ['fallback'], outliers: [], lastUpdated: null, fetchedAt: null };
     }
+
+    return quotes;
   }
 
   /**
-   * Get current prices for multiple cryptocurrencies
-   * @param {string[]} cryptocurrencies - Array of cryptocurrency names
-   * @returns {Promise<Object>} Object with prices
+   * Ask every provider for prices and aggregate their answers
+   * @param {string[]} cryptocurrencies - Asset IDs
+   * @returns {Promise<Object>} Map of asset ID to quote; assets without an agreed price are left out
    */
-  async getCurrentPrices(cryptocurrencies = ['bitcoin', 'ethereum']) {
-    try {
-      const prices = {};
-      
-      // Check cache for all cryptocurrencies
-      const uncachedCryptos = [];
-      for (const crypto of cryptocurrencies) {
-        const cacheKey = `price_${crypto}`;
-        const cached = this.cache.get(cacheKey);
-        
-        if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
-          prices[crypto] = cached.price;
-        } else {
-          uncachedCryptos.push(crypto);
-        }
+  async fetchQuotes(cryptocurrencies) {
+    const assets = cryptocurrencies.map(crypto => AssetRegistry.get(crypto)).filter(Boolean);
+    const results = await Promise.allSettled(this.providers.map(provider => provider.fetchPrices(assets)));
+
+    const readings = {};
+    for (const [index, result] of results.entries()) {
+      const source = this.providers[index].name;
+
+      if (result.status === 'rejected') {
+        console.error(`Price provider ${source} failed:`, result.reason.message);
+        continue;
       }
 
-      // Fetch uncached prices
-      if (uncachedCryptos.length > 0) {
-        const response = await axios.get(`${this.baseURL}/simple/price`, {
-          params: {
-            ids: uncachedCryptos.join(','),
-            vs_currencies: 'usd',
-            include_last_updated_at: true
-          },
-          timeout: 5000
-        });
-
-        for (const crypto of uncachedCryptos) {
-          if (response.data[crypto] && response.data[crypto].usd) {
-            const price = response.data[crypto].usd;
-            const lastUpdated = response.data[crypto].last_updated_at;
-
-            prices[crypto] = price;
-
-            // Cache the result
-            this.cache.set(`price_${crypto}`, {
-              price,
-              timestamp: Date.now(),
-              lastUpdated: lastUpdated * 1000
-            });
-          }
-        }
+      for (const [crypto, reading] of Object.entries(result.value)) {
+        (readings[crypto] = readings[crypto] || []).push({ source, ...reading });
       }
+    }
 
-      console.log('Current crypto prices:', prices);
-      return prices;
+    const quotes = {};
+    for (const [crypto, assetReadings] of Object.entries(readings)) {
+      const quote = this.aggregate(assetReadings);
 
-    } catch (error) {
-      console.error('Error fetching crypto prices:', error.message);
-      
-      // Return cached or fallback prices
-      const fallbackPrices = {
-        bitcoin: 67000,
-        ethereum: 3500
-      };
+      if (quote.sources.length < this.minSources) {
+        console.error(`Only ${quote.sources.length} of the required ${this.minSources} price sources agree on ${crypto}: ${assetReadings.map(reading => `${reading.source} $${reading.price}`).join(', ')}`);
+        continue;
+      }
 
-      const result = {};
-      for (const crypto of cryptocurrencies) {
-        const cacheKey = `price_${crypto}`;
-        const cached = this.cache.get(cacheKey);
-        result[crypto] = cached ? cached.price : fallbackPrices[crypto] || 1;
+      if (quote.outliers.length > 0) {
+        console.log(`Dropped outlying ${crypto} prices from ${quote.outliers.join(', ')}`);
       }
 
-      return result;
+      quotes[crypto] = quote;
     }
+
+    return quotes;
+  }
+
+  /**
+   * Combine one asset's readings from several providers. Readings further than
+   * the outlier threshold from the median are dropped and the median of the
+   * rest is the price.
+   * @param {Object[]} readings - { source, price, lastUpdated } per provider
+   * @returns {Object} Quote; sources is empty if every reading was an outlier
+   */
+  aggregate(readings) {
+    const center = median(readings.map(reading => reading.price));
+    const kept = readings.filter(reading => Math.abs(reading.price - center) / center <= this.outlierThreshold);
+    const outliers = readings.filter(reading => !kept.includes(reading));
+
+    return {
+      price: kept.length > 0 ? median(kept.map(reading => reading.price)) : null,
+      sources: kept.map(reading => reading.source),
+      outliers: outliers.map(reading => reading.source),
+      // A median is only as fresh as its oldest input
+      lastUpdated: kept.length > 0 ? Math.min(...kept.map(reading => reading.lastUpdated)) : null
+    };
+  }
+
+  /**
+   * Quote view of a cache entry
+   * @param {Object} cached - Cache entry
+   * @returns {Object} Price quote
+   */
+  formatQuote(cached) {
+    const { price, sources, outliers, lastUpdated, timestamp } = cached;
+    return { price, sources, outliers, lastUpdated, fetchedAt: timestamp };
   }
 
   /**
@@ -169,20 +365,48 @@ class CryptoService {
 
   /**
    * Get supported cryptocurrencies
-   * @returns {string[]} Array of supported cryptocurrency names
+   * @returns {string[]} IDs of the enabled assets
    */
   getSupportedCryptocurrencies() {
-    return ['bitcoin', 'ethereum'];
+    return AssetRegistry.ids();
+  }
+
+  /**
+   * Price to fall back on when every provider is unreachable and nothing is cached
+   * @param {string} cryptocurrency - Asset ID
+   * @returns {number} USD price
+   */
+  getFallbackPrice(cryptocurrency) {
+    const asset = AssetRegistry.get(cryptocurrency);
+    return asset && asset.fallbackPrice ? asset.fallbackPrice : 1;
   }
 
   /**
-   * Clear price cache
+   * Clear price cache. The next read or background refresh fetches every
+   * price again.
    */
   clearCache() {
     this.cache.clear();
     console.log('Price cache cleared');
   }
 
+  /**
+   * Get the state of the background refresh
+   * @returns {Object} Refresh information
+   */
+  getRefreshStatus() {
+    return {
+      running: this.refreshTimer !== null,
+      interval: this.refreshInterval,
+      providers: this.providers.map(provider => provider.name),
+      inProgress: this.refreshing !== null,
+      lastRefresh: this.lastRefresh && {
+        ...this.lastRefresh,
+        timestamp: new Date(this.lastRefresh.timestamp).toISOString()
+      }
+    };
+  }
+
   /**
    * Get cache status
    * @returns {Object} Cache information
@@ -194,8 +418,11 @@ class CryptoService {
       const isExpired = age > this.cacheDuration;
       cacheInfo[key] = {
         price: value.price,
+        sources: value.sources,
+        outliers: value.outliers,
         age: Math.round(age / 1000), // seconds
         expired: isExpired,
+        stale: this.isStale(this.formatQuote(value), key.replace(/^price_/, '')),
         lastUpdated: new Date(value.lastUpdated).toISOString()
       };
     }
@@ -203,5 +430,7 @@ class CryptoService {
   }
 }
 
+CryptoService.PRICE_UNAVAILABLE = PRICE_UNAVAILABLE;
+
 module.exports = CryptoService;
 
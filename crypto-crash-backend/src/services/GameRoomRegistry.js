@@ -0,0 +1,58 @@
+const GameService = require('./GameService');
+const { DEFAULT_ROOM_ID, getRoomConfigs } = require('../../config/rooms');
+
+/**
+ * Holds one GameService per game room. Rooms share the WebSocket server and
+ * the player wallets but run independent rounds, limits and seed chains.
+ */
+class GameRoomRegistry {
+  /**
+   * @param {Object} webSocketService - WebSocket service used for broadcasts
+   * @param {Object[]} rooms - Room settings, defaults to config/rooms.js
+   */
+  constructor(webSocketService, rooms = getRoomConfigs()) {
+    this.rooms = new Map();
+
+    for (const room of rooms) {
+      this.rooms.set(room.roomId, new GameService(webSocketService, room));
+    }
+  }
+
+  /**
+   * Get the game service of a room
+   * @param {string} roomId - Room ID, defaults to the main room
+   * @returns {GameService|null} Game service, or null if the room doesn't exist
+   */
+  get(roomId = DEFAULT_ROOM_ID) {
+    return this.rooms.get(roomId || DEFAULT_ROOM_ID) || null;
+  }
+
+  /**
+   * Get the settings of every room
+   * @returns {Object[]} Room settings and current phases
+   */
+  list() {
+    return Array.from(this.rooms.values()).map(gameService => gameService.getRoomInfo());
+  }
+
+  /**
+   * Start the game loop of every room
+   */
+  async startAll() {
+    // One room at a time so the startup recovery logs don't interleave
+    for (const gameService of this.rooms.values()) {
+      await gameService.startGameLoop();
+    }
+  }
+
+  /**
+   * Stop the game loop of every room
+   */
+  stopAll() {
+    for (const gameService of this.rooms.values()) {
+      gameService.stopGameLoop();
+    }
+  }
+}
+
+module.exports = GameRoomRegistry;
@@ -2,34 +2,120 @@ const cron = require('node-cron');
 const GameRound = require('../models/GameRound');
 const Player = require('../models/Player');
 const Transaction = require('../models/Transaction');
+const Counter = require('../models/Counter');
 const CryptoUtils = require('../utils/cryptoUtils');
+const DbUtils = require('../utils/dbUtils');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+const MultiplierUtils = require('../utils/multiplierUtils');
 const CryptoService = require('./CryptoService');
+const SeedChainService = require('./SeedChainService');
+const LedgerService = require('./LedgerService');
+const { DEFAULT_ROOM_ID } = require('../../config/rooms');
+
+// Round lifecycle: betting -> running -> crashed -> cooldown -> next round
+const PHASES = {
+  BETTING: 'betting',
+  RUNNING: 'running',
+  CRASHED: 'crashed',
+  COOLDOWN: 'cooldown'
+};
 
 class GameService {
-  constructor(webSocketService) {
+  /**
+   * @param {Object} webSocketService - WebSocket service used for broadcasts
+   * @param {Object} room - Room settings from config/rooms.js; unset settings fall back to the environment
+   */
+  constructor(webSocketService, room = {}) {
     this.webSocketService = webSocketService;
+    this.roomId = room.roomId || DEFAULT_ROOM_ID;
+    this.roomName = room.name || this.roomId;
+    this.seedChainService = new SeedChainService(this.roomId);
+    this.ledgerService = new LedgerService();
+    this.cryptoService = CryptoService.getInstance();
     this.currentRound = null;
-    this.roundCounter = 0;
-    this.gameInterval = null;
+    this.phase = null;
+    this.phaseStartedAt = null;
+    this.phaseDeadline = null;
+    this.phaseTimer = null;
+    this.isLoopRunning = false;
+    this.bettingDuration = room.bettingDuration || parseInt(process.env.BETTING_PHASE_DURATION) || 3000;
+    this.cooldownDuration = room.cooldownDuration || parseInt(process.env.COOLDOWN_PHASE_DURATION) || 3000;
+    this.minBet = room.minBet || 0.01; // USD
+    this.maxBet = room.maxBet || 10000; // USD
+    this.maxBetsPerPlayer = room.maxBetsPerPlayer || parseInt(process.env.MAX_BETS_PER_PLAYER) || 2;
+    this.maxWinPerBet = room.maxWinPerBet || parseFloat(process.env.MAX_WIN_PER_BET) || 10000; // USD profit
+    this.maxWinPerRound = room.maxWinPerRound || parseFloat(process.env.MAX_WIN_PER_ROUND) || 50000; // USD profit
+    this.curveProfile = MultiplierUtils.getCurveProfile(room.curveProfile);
+    this.growthRate = this.curveProfile.growthRate;
+    this.potentialPayout = 0;
     this.multiplierInterval = null;
     this.currentMultiplier = 1.0;
     this.gameStartTime = null;
+    this.crashTime = null;
     this.isGameActive = false;
+    this.suspendedCryptocurrencies = []; // Assets without a fresh price; bets in them are refused
   }
 
   /**
-   * Start the game loop - new round every 10 seconds
+   * Start the game loop - each round starts once the previous one has cooled down
    */
-  startGameLoop() {
-    console.log('Starting game loop...');
+  async startGameLoop() {
+    console.log(`Starting game loop in room ${this.roomId}...`);
+
+    // Clean up rounds a previous process left unfinished before starting a new one
+    await this.recoverUnfinishedRounds();
     
+    this.isLoopRunning = true;
+
     // Start first round immediately
     this.startNewRound();
-    
-    // Schedule new rounds every 10 seconds
-    this.gameInterval = setInterval(() => {
-      this.startNewRound();
-    }, parseInt(process.env.GAME_ROUND_DURATION) || 10000);
+  }
+
+  /**
+   * Move the round to a new phase and broadcast the transition
+   * @param {string} phase - One of PHASES
+   * @param {number|null} duration - Phase length in milliseconds, or null if it ends on an event
+   */
+  transitionTo(phase, duration = null) {
+    const previousPhase = this.phase;
+    const now = Date.now();
+
+    this.phase = phase;
+    this.phaseStartedAt = now;
+    this.phaseDeadline = duration !== null ? now + duration : null;
+
+    console.log(`Round ${this.currentRound ? this.currentRound.roundId : '-'} phase: ${previousPhase || 'none'} -> ${phase}`);
+
+    this.broadcast({
+      type: 'phase_changed',
+      data: {
+        roundId: this.currentRound ? this.currentRound.roundId : null,
+        phase,
+        previousPhase,
+        phaseStartedAt: this.phaseStartedAt,
+        deadline: this.phaseDeadline,
+        serverTime: now
+      }
+    });
+  }
+
+  /**
+   * Schedule the next phase step, replacing any pending one
+   * @param {Function} step - Step to run
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedulePhase(step, delay) {
+    if (this.phaseTimer) {
+      clearTimeout(this.phaseTimer);
+    }
+
+    this.phaseTimer = setTimeout(() => {
+      this.phaseTimer = null;
+      if (this.isLoopRunning) {
+        step();
+      }
+    }, delay);
   }
 
   /**
@@ -37,65 +123,93 @@ class GameService {
    */
   async startNewRound() {
     try {
-      // End current round if active
-      if (this.currentRound && this.isGameActive) {
-        await this.endCurrentRound();
-      }
-
-      this.roundCounter++;
-      const seed = CryptoUtils.generateSeed();
-      const crashPoint = CryptoUtils.generateCrashPoint(seed, this.roundCounter);
-      const hash = CryptoUtils.generateHash(seed, this.roundCounter);
-      const roundId = `round_${Date.now()}_${this.roundCounter}`;
+      const roundNumber = await Counter.nextSequence('gameRound');
+      const { seed, chainId, chainIndex } = await this.seedChainService.nextSeed();
+      const hash = CryptoUtils.generateHash(seed, roundNumber);
+      const roundId = `round_${Date.now()}_${roundNumber}`;
 
       // Create new round in database
       this.currentRound = new GameRound({
         roundId,
+        roomId: this.roomId,
+        roundNumber,
         seed,
         hash,
-        crashPoint,
+        chainId,
+        chainIndex,
+        curveProfile: this.curveProfile.name,
+        growthRate: this.growthRate,
         startTime: new Date(),
         status: 'waiting'
       });
 
-      await this.currentRound.save();
+      await this.saveRound();
+
+      console.log(`New round started: ${roundId}`);
 
-      console.log(`New round started: ${roundId}, Crash Point: ${crashPoint}x`);
+      this.transitionTo(PHASES.BETTING, this.bettingDuration);
 
       // Notify clients about new round
-      this.webSocketService.broadcast({
+      this.broadcast({
         type: 'round_started',
         data: {
           roundId,
           hash, // Clients can verify this later
+          chainId,
+          chainIndex,
+          curveProfile: this.curveProfile.name,
+          growthRate: this.growthRate,
           startTime: this.currentRound.startTime
         }
       });
 
-      // Wait 3 seconds for bets, then start multiplier
-      setTimeout(() => {
-        this.startMultiplier();
-      }, 3000);
+      // Suspend or resume betting per asset without holding up the round
+      this.checkPrices();
+
+      // Wait for bets, then start multiplier
+      this.schedulePhase(() => this.startMultiplier(), this.bettingDuration);
 
     } catch (error) {
       console.error('Error starting new round:', error);
+
+      // Try again after a cooldown rather than stalling the loop
+      this.schedulePhase(() => this.startNewRound(), this.cooldownDuration);
     }
   }
 
   /**
    * Start the multiplier increase
    */
-  startMultiplier() {
-    if (!this.currentRound) return;
+  async startMultiplier() {
+    const round = this.currentRound;
+    if (!round) return;
 
-    this.currentRound.status = 'active';
-    this.currentRound.save();
+    // Close betting and let bets already being placed or cancelled commit first
+    round.$locals.bettingClosed = true;
+    await this.queueRoundTask(round, () => {});
+
+    if (round !== this.currentRound || !this.isLoopRunning) return;
+
+    // Betting is closed, so the client seed and crash point can be fixed
+    this.lockClientSeed();
 
     this.isGameActive = true;
     this.currentMultiplier = 1.0;
+    this.potentialPayout = 0;
     this.gameStartTime = Date.now();
 
-    console.log(`Multiplier started for round ${this.currentRound.roundId}`);
+    // Everything needed to price a cashout is stored on the round; the growth rate was set when it was created
+    this.currentRound.multiplierStartTime = new Date(this.gameStartTime);
+    this.crashTime = this.getCrashTime(this.currentRound);
+
+    this.currentRound.status = 'active';
+    this.saveRound().catch(error => {
+      console.error('Error saving round status:', error);
+    });
+
+    this.transitionTo(PHASES.RUNNING);
+
+    console.log(`Multiplier started for round ${this.currentRound.roundId}, Crash Point: ${this.currentRound.crashPoint}x`);
 
     // Update multiplier every 100ms
     this.multiplierInterval = setInterval(() => {
@@ -103,39 +217,258 @@ class GameService {
     }, 100);
   }
 
+  /**
+   * Combine the client seeds of the first bettors and derive the crash point
+   * from the server seed, client seed and nonce
+   */
+  lockClientSeed() {
+    const maxContributors = parseInt(process.env.CLIENT_SEED_CONTRIBUTORS) || 3;
+
+    // Players with several bets only contribute their first one
+    const contributors = this.currentRound.bets
+      .filter((bet, index, bets) => bets.findIndex(b => b.playerId === bet.playerId) === index)
+      .slice(0, maxContributors);
+
+    // Bettors who didn't send a client seed contribute their player ID
+    const contributions = contributors.map(bet => bet.clientSeed || bet.playerId);
+    const clientSeed = CryptoUtils.combineClientSeeds(contributions);
+
+    // Store the distribution settings so the round stays verifiable if they change later
+    const crashConfig = CryptoUtils.getCrashConfig();
+
+    this.currentRound.clientSeed = clientSeed;
+    this.currentRound.clientSeedContributors = contributors.map(bet => bet.playerId);
+    this.currentRound.crashConfig = crashConfig;
+    this.currentRound.crashPoint = CryptoUtils.generateCrashPoint(
+      this.currentRound.seed,
+      this.currentRound.roundNumber,
+      clientSeed,
+      crashConfig
+    );
+  }
+
+  /**
+   * Get the moment a round's multiplier reaches its crash point
+   * @param {Object} round - Round with a crash point and a started multiplier
+   * @returns {number} Crash time in milliseconds since the epoch
+   */
+  getCrashTime(round) {
+    return this.getCurveTime(round, round.crashPoint);
+  }
+
+  /**
+   * Get the moment a round's multiplier curve reaches a multiplier
+   * @param {Object} round - Round with a started multiplier
+   * @param {number} multiplier - Target multiplier
+   * @returns {number|null} Milliseconds since the epoch, or null for rounds without a stored curve
+   */
+  getCurveTime(round, multiplier) {
+    if (!round.multiplierStartTime || !round.growthRate) return null;
+
+    return round.multiplierStartTime.getTime() + MultiplierUtils.timeToReach(multiplier, round.growthRate);
+  }
+
+  /**
+   * Get a round's multiplier at a moment, capped at its crash point
+   * @param {Object} round - Round with a started multiplier
+   * @param {number} timestamp - Milliseconds since the epoch
+   * @returns {number} Multiplier at that moment
+   */
+  getMultiplierAt(round, timestamp) {
+    const elapsedMs = timestamp - round.multiplierStartTime.getTime();
+    return Math.min(round.crashPoint, MultiplierUtils.multiplierAt(elapsedMs, round.growthRate));
+  }
+
   /**
    * Update the current multiplier
    */
   updateMultiplier() {
     if (!this.isGameActive || !this.currentRound) return;
 
-    const elapsed = (Date.now() - this.gameStartTime) / 1000; // seconds
-    
-    // Exponential growth: multiplier = 1 + (time_elapsed * growth_factor)
-    // Adjust growth factor to reach crash point at appropriate time
-    const targetTime = Math.log(this.currentRound.crashPoint) * 2; // Logarithmic time scaling
-    const growthFactor = (this.currentRound.crashPoint - 1) / targetTime;
-    
-    this.currentMultiplier = 1 + (elapsed * growthFactor);
+    // The timer only samples the curve; the multiplier itself depends on the time alone
+    const now = Math.min(Date.now(), this.crashTime);
+    this.currentMultiplier = this.getMultiplierAt(this.currentRound, now);
 
     // Update max multiplier reached
     if (this.currentMultiplier > this.currentRound.maxMultiplier) {
       this.currentRound.maxMultiplier = this.currentMultiplier;
     }
 
-    // Check if we've reached the crash point
-    if (this.currentMultiplier >= this.currentRound.crashPoint) {
+    // Force-cash bets that hit their win limit before their auto cashout target
+    this.enforceBetWinLimits();
+
+    // Settle auto cashouts at their exact target before checking the crash
+    this.processAutoCashouts();
+
+    // The round limit is checked last, against the bets still riding
+    this.enforceRoundWinLimit();
+
+    // Check if we've reached the crash time
+    if (now >= this.crashTime) {
       this.crashGame();
       return;
     }
 
     // Broadcast current multiplier to all clients
-    this.webSocketService.broadcast({
+    this.broadcast({
       type: 'multiplier_update',
       data: {
         roundId: this.currentRound.roundId,
-        multiplier: Math.round(this.currentMultiplier * 100) / 100,
-        timestamp: Date.now()
+        multiplier: this.currentMultiplier,
+        multiplierStartTime: this.gameStartTime,
+        growthRate: this.currentRound.growthRate,
+        timestamp: now
+      }
+    });
+  }
+
+  /**
+   * Cash out bets whose auto cashout target has been reached
+   */
+  processAutoCashouts() {
+    const dueBets = this.currentRound.bets.filter(bet =>
+      !bet.cashedOut &&
+      bet.autoCashoutAt &&
+      bet.autoCashoutAt < this.currentRound.crashPoint &&
+      bet.autoCashoutAt <= this.currentMultiplier
+    );
+
+    // The round cap is taken before any of these exits, so a multiplier jump between
+    // ticks can't pay targets past MAX_WIN_PER_ROUND
+    const roundCap = this.getRoundWinCap();
+    const cappedBets = { bet: [], round: [] };
+
+    for (const bet of dueBets) {
+      const betCap = this.getBetWinCap(bet);
+      const cap = Math.min(roundCap, betCap);
+
+      if (cap < bet.autoCashoutAt) {
+        cappedBets[betCap < roundCap ? 'bet' : 'round'].push({ bet, cap });
+        continue;
+      }
+
+      const cashoutAt = this.getCurveTime(this.currentRound, bet.autoCashoutAt);
+      this.settleCashout(bet, bet.autoCashoutAt, true, this.currentRound, cashoutAt).catch(error => {
+        console.error(`Error processing auto cashout for player ${bet.playerId}:`, error);
+      });
+    }
+
+    // Targets past a limit are settled at the limit, like manual cashouts
+    if (cappedBets.bet.length > 0) {
+      this.forceCashout(cappedBets.bet, 'bet', this.maxWinPerBet);
+    }
+    if (cappedBets.round.length > 0) {
+      this.forceCashout(cappedBets.round, 'round', this.maxWinPerRound);
+    }
+  }
+
+  /**
+   * Profit a bet has already taken through cashouts, in USD
+   * @param {Object} bet - Bet subdocument
+   * @returns {number} Realized profit
+   */
+  getRealizedProfit(bet) {
+    return bet.cashouts.reduce((total, exit) => total + exit.usdAmount - exit.stakeUsdAmount, 0);
+  }
+
+  /**
+   * Multiplier at which a bet's total profit reaches MAX_WIN_PER_BET
+   * @param {Object} bet - Bet subdocument
+   * @returns {number} Cap multiplier rounded down to 2 decimal places, Infinity if nothing is riding
+   */
+  getBetWinCap(bet) {
+    const ridingUsd = this.getOpenStake(bet).usdAmount;
+    if (ridingUsd <= 0) return Infinity;
+
+    const cap = 1 + (this.maxWinPerBet - this.getRealizedProfit(bet)) / ridingUsd;
+    return Math.max(1, Math.floor(cap * 100) / 100);
+  }
+
+  /**
+   * Multiplier at which a round's total profit reaches MAX_WIN_PER_ROUND
+   * @param {Object} round - Round document, defaults to the current round
+   * @returns {number} Cap multiplier rounded down to 2 decimal places, Infinity if nothing is riding
+   */
+  getRoundWinCap(round = this.currentRound) {
+    const bets = round.bets;
+    const realizedProfit = bets.reduce((total, bet) => total + this.getRealizedProfit(bet), 0);
+    const ridingUsd = bets
+      .filter(bet => !bet.cashedOut)
+      .reduce((total, bet) => total + this.getOpenStake(bet).usdAmount, 0);
+
+    if (ridingUsd <= 0) return Infinity;
+
+    const cap = 1 + (this.maxWinPerRound - realizedProfit) / ridingUsd;
+    return Math.max(1, Math.floor(cap * 100) / 100);
+  }
+
+  /**
+   * Force-cash bets whose profit has reached MAX_WIN_PER_BET at their cap
+   */
+  enforceBetWinLimits() {
+    const cappedBets = this.currentRound.bets
+      .filter(bet => !bet.cashedOut)
+      .map(bet => ({ bet, cap: this.getBetWinCap(bet) }))
+      .filter(({ bet, cap }) =>
+        cap <= this.currentMultiplier &&
+        !(bet.autoCashoutAt && bet.autoCashoutAt <= cap)
+      );
+
+    if (cappedBets.length > 0) {
+      this.forceCashout(cappedBets, 'bet', this.maxWinPerBet);
+    }
+  }
+
+  /**
+   * Force-cash every riding bet once the round's potential profit reaches MAX_WIN_PER_ROUND.
+   * Also keeps potentialPayout, the USD the round would pay if every riding bet
+   * cashed out now, up to date.
+   */
+  enforceRoundWinLimit() {
+    const bets = this.currentRound.bets;
+    const ridingBets = bets.filter(bet => !bet.cashedOut);
+
+    const paidOut = bets.reduce((total, bet) =>
+      total + bet.cashouts.reduce((sum, exit) => sum + exit.usdAmount, 0), 0);
+    const ridingUsd = ridingBets.reduce((total, bet) => total + this.getOpenStake(bet).usdAmount, 0);
+    this.potentialPayout = paidOut + ridingUsd * this.currentMultiplier;
+
+    const cap = this.getRoundWinCap();
+    if (cap > this.currentMultiplier) return;
+
+    this.forceCashout(ridingBets.map(bet => ({ bet, cap })), 'round', this.maxWinPerRound);
+  }
+
+  /**
+   * Cash out bets at their win cap and tell clients why
+   * @param {Object[]} cappedBets - Bets with the cap multiplier to settle them at
+   * @param {string} scope - 'bet' or 'round', the limit that was reached
+   * @param {number} limit - The limit in USD profit
+   */
+  forceCashout(cappedBets, scope, limit) {
+    const round = this.currentRound;
+
+    for (const { bet, cap } of cappedBets) {
+      const cashoutAt = this.getCurveTime(round, cap);
+      this.settleCashout(bet, cap, false, round, cashoutAt).catch(error => {
+        console.error(`Error force-cashing bet ${bet._id} for player ${bet.playerId}:`, error);
+      });
+    }
+
+    console.log(`Max win reached (${scope}) in round ${round.roundId}: force-cashed ${cappedBets.length} bet(s)`);
+
+    this.broadcast({
+      type: 'max_win_reached',
+      data: {
+        roundId: round.roundId,
+        scope,
+        limit,
+        bets: cappedBets.map(({ bet, cap }) => ({
+          playerId: bet.playerId,
+          betId: bet._id.toString(),
+          slot: bet.slot,
+          multiplier: cap
+        }))
       }
     });
   }
@@ -153,36 +486,41 @@ class GameService {
     this.currentRound.endTime = new Date();
     this.currentRound.maxMultiplier = this.currentRound.crashPoint;
 
-    await this.currentRound.save();
+    this.transitionTo(PHASES.CRASHED);
 
-    console.log(`Game crashed at ${this.currentRound.crashPoint}x for round ${this.currentRound.roundId}`);
+    try {
+      await this.saveRound();
 
-    // Process all bets that didn't cash out (they lose)
-    await this.processLostBets();
+      console.log(`Game crashed at ${this.currentRound.crashPoint}x for round ${this.currentRound.roundId}`);
 
-    // Notify clients about crash
-    this.webSocketService.broadcast({
-      type: 'game_crashed',
-      data: {
-        roundId: this.currentRound.roundId,
-        crashPoint: this.currentRound.crashPoint,
-        seed: this.currentRound.seed, // Reveal seed for verification
-        timestamp: Date.now()
-      }
-    });
+      // Process all bets that didn't cash out (they lose)
+      await this.processLostBets();
 
-    // Mark round as completed
-    this.currentRound.status = 'completed';
-    await this.currentRound.save();
-  }
+      // Notify clients about crash
+      this.broadcast({
+        type: 'game_crashed',
+        data: {
+          roundId: this.currentRound.roundId,
+          crashPoint: this.currentRound.crashPoint,
+          seed: this.currentRound.seed, // Reveal seed for verification
+          clientSeed: this.currentRound.clientSeed,
+          roundNumber: this.currentRound.roundNumber,
+          chainId: this.currentRound.chainId,
+          chainIndex: this.currentRound.chainIndex,
+          timestamp: Date.now()
+        }
+      });
 
-  /**
-   * End current round gracefully
-   */
-  async endCurrentRound() {
-    if (this.isGameActive) {
-      await this.crashGame();
+      // Mark round as completed
+      this.currentRound.status = 'completed';
+      await this.saveRound();
+    } catch (error) {
+      console.error(`Error settling round ${this.currentRound.roundId}:`, error);
     }
+
+    // The next round only starts once this one has fully ended
+    this.transitionTo(PHASES.COOLDOWN, this.cooldownDuration);
+    this.schedulePhase(() => this.startNewRound(), this.cooldownDuration);
   }
 
   /**
@@ -194,6 +532,9 @@ class GameService {
     const lostBets = this.currentRound.bets.filter(bet => !bet.cashedOut);
     
     for (const bet of lostBets) {
+      // Only the stake still riding is lost; partial cashouts were already paid
+      const lostStake = this.getOpenStake(bet);
+
       try {
         // Update player statistics
         await Player.findOneAndUpdate(
@@ -206,7 +547,7 @@ class GameService {
           }
         );
 
-        console.log(`Player ${bet.playerId} lost ${bet.usdAmount} USD (${bet.cryptoAmount} ${bet.cryptocurrency})`);
+        console.log(`Player ${bet.playerId} lost ${lostStake.usdAmount} USD (${AmountUtils.format(lostStake.cryptoAmount, bet.cryptocurrency)} ${bet.cryptocurrency})`);
       } catch (error) {
         console.error(`Error processing lost bet for player ${bet.playerId}:`, error);
       }
@@ -215,10 +556,17 @@ class GameService {
 
   /**
    * Place a bet for a player
+   * @param {string} playerId - Player ID
+   * @param {number} usdAmount - Bet amount in USD
+   * @param {string} cryptocurrency - Cryptocurrency to bet with
+   * @param {number|null} autoCashoutAt - Optional multiplier to cash out at automatically
+   * @param {string|null} clientSeed - Optional client seed contribution for the round
    */
-  async placeBet(playerId, usdAmount, cryptocurrency) {
+  async placeBet(playerId, usdAmount, cryptocurrency, autoCashoutAt = null, clientSeed = null) {
     try {
-      if (!this.currentRound || this.currentRound.status !== 'waiting') {
+      const round = this.currentRound;
+
+      if (!round || !this.isAcceptingBets(round)) {
         throw new Error('No active round accepting bets');
       }
 
@@ -226,70 +574,124 @@ class GameService {
         throw new Error('Bet amount must be positive');
       }
 
-      // Get current crypto price
-      const cryptoService = new CryptoService();
-      const price = await cryptoService.getCurrentPrice(cryptocurrency);
-      const cryptoAmount = usdAmount / price;
+      if (usdAmount < this.minBet || usdAmount > this.maxBet) {
+        throw new Error(`Bet amount must be between $${this.minBet} and $${this.maxBet} in this room`);
+      }
 
-      // Check if player exists and has sufficient balance
-      const player = await Player.findOne({ playerId });
-      if (!player) {
-        throw new Error('Player not found');
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
+        throw new Error('Unsupported cryptocurrency');
       }
 
-      if (player.wallet[cryptocurrency] < cryptoAmount) {
-        throw new Error('Insufficient balance');
+      AssetRegistry.checkBetLimits(cryptocurrency, usdAmount);
+
+      if (autoCashoutAt !== null && !(autoCashoutAt >= 1.01)) {
+        throw new Error('Auto cashout multiplier must be at least 1.01');
       }
 
-      // Deduct from player's wallet
-      player.wallet[cryptocurrency] -= cryptoAmount;
-      await player.save();
+      // Get current crypto price; bets are refused while it is stale
+      let price;
+      try {
+        price = await this.cryptoService.getTradablePrice(cryptocurrency);
+      } catch (error) {
+        if (error.code === CryptoService.PRICE_UNAVAILABLE) {
+          this.updateSuspendedCryptocurrencies(error.cryptocurrencies, []);
+        }
+        throw error;
+      }
+      this.updateSuspendedCryptocurrencies([], [cryptocurrency]);
+      // Rounded down to whole base units
+      const cryptoAmount = AmountUtils.fromUsd(usdAmount, price, cryptocurrency);
+      if (cryptoAmount <= 0n) {
+        throw new Error('Bet amount is too small');
+      }
 
-      // Add bet to current round
       const bet = {
         playerId,
         usdAmount,
         cryptoAmount,
         cryptocurrency,
         priceAtTime: price,
-        timestamp: new Date()
+        remainingCryptoAmount: cryptoAmount,
+        remainingUsdAmount: usdAmount,
+        autoCashoutAt,
+        clientSeed
       };
+      let placedBet = null;
 
-      this.currentRound.bets.push(bet);
-      await this.currentRound.save();
+      // The bet joins the round when its turn in the round's queue comes, so it
+      // can't be added after betting closes or saved without its wallet debit
+      const transaction = await this.commitRoundUpdate(round, async (session) => {
+        const transaction = new Transaction({
+          transactionId: CryptoUtils.generateTransactionHash(),
+          playerId,
+          roundId: round.roundId,
+          betId: placedBet._id.toString(),
+          transactionType: 'bet',
+          usdAmount,
+          cryptoAmount,
+          cryptocurrency,
+          priceAtTime: price,
+          transactionHash: CryptoUtils.generateTransactionHash()
+        });
+
+        await this.ledgerService.post(LedgerService.playerAccount(playerId), LedgerService.ACCOUNTS.HOUSE_BANKROLL, cryptoAmount, {
+          entryType: 'bet',
+          cryptocurrency,
+          transactions: [transaction],
+          session
+        });
+
+        return transaction;
+      }, {
+        apply: () => {
+          if (round !== this.currentRound || !this.isAcceptingBets(round)) {
+            throw new Error('Betting is closed for this round');
+          }
 
-      // Create transaction record
-      const transaction = new Transaction({
-        transactionId: CryptoUtils.generateTransactionHash(),
-        playerId,
-        roundId: this.currentRound.roundId,
-        transactionType: 'bet',
-        usdAmount,
-        cryptoAmount,
-        cryptocurrency,
-        priceAtTime: price,
-        transactionHash: CryptoUtils.generateTransactionHash()
+          // Each of a player's bets takes the lowest free slot
+          const usedSlots = round.bets.filter(b => b.playerId === playerId).map(b => b.slot);
+          if (usedSlots.length >= this.maxBetsPerPlayer) {
+            throw new Error(`Maximum of ${this.maxBetsPerPlayer} bets per player per round reached`);
+          }
+
+          bet.slot = 1;
+          while (usedSlots.includes(bet.slot)) {
+            bet.slot++;
+          }
+          bet.timestamp = new Date();
+
+          round.bets.push(bet);
+          placedBet = round.bets[round.bets.length - 1];
+        },
+        rollback: () => {
+          round.bets.pull(placedBet._id);
+        }
       });
 
-      await transaction.save();
+      const betId = placedBet._id.toString();
+      const { slot } = bet;
 
-      console.log(`Bet placed: ${playerId} bet ${usdAmount} USD (${cryptoAmount} ${cryptocurrency})`);
+      console.log(`Bet placed: ${playerId} bet ${usdAmount} USD (${AmountUtils.format(cryptoAmount, cryptocurrency)} ${cryptocurrency})`);
 
       // Notify clients about new bet
-      this.webSocketService.broadcast({
+      this.broadcast({
         type: 'bet_placed',
-        data: {
-          roundId: this.currentRound.roundId,
+        data: AmountUtils.present({
+          roundId: round.roundId,
           playerId,
+          betId,
+          slot,
           usdAmount,
           cryptoAmount,
-          cryptocurrency
-        }
+          cryptocurrency,
+          autoCashoutAt
+        }, ['cryptoAmount'], cryptocurrency)
       });
 
       return {
         success: true,
-        bet,
+        betId,
+        bet: AmountUtils.present({ ...bet }, ['cryptoAmount', 'remainingCryptoAmount'], cryptocurrency),
         transaction: transaction.transactionId
       };
 
@@ -300,47 +702,243 @@ class GameService {
   }
 
   /**
-   * Cash out a player's bet
+   * Cancel a player's bet while betting is open and refund its crypto amount
+   * @param {string} playerId - Player ID
+   * @param {string|null} betId - Bet to cancel, defaults to the player's latest bet
+   * @returns {Promise<Object>} Cancellation result
    */
-  async cashOut(playerId) {
+  async cancelBet(playerId, betId = null) {
+    try {
+      const round = this.currentRound;
+
+      if (!round || !this.isAcceptingBets(round) || this.phase !== PHASES.BETTING) {
+        throw new Error('Bets can only be cancelled during the betting phase');
+      }
+
+      let bet = null;
+      let index = -1;
+
+      // Bets being placed are ahead of the cancellation in the round's queue
+      const transaction = await this.commitRoundUpdate(round, async (session) => {
+        const transaction = new Transaction({
+          transactionId: CryptoUtils.generateTransactionHash(),
+          playerId,
+          roundId: round.roundId,
+          betId: bet._id.toString(),
+          transactionType: 'bet_cancelled',
+          usdAmount: bet.usdAmount,
+          cryptoAmount: bet.cryptoAmount,
+          cryptocurrency: bet.cryptocurrency,
+          priceAtTime: bet.priceAtTime,
+          transactionHash: CryptoUtils.generateTransactionHash()
+        });
+
+        await this.ledgerService.post(LedgerService.ACCOUNTS.HOUSE_BANKROLL, LedgerService.playerAccount(playerId), bet.cryptoAmount, {
+          entryType: 'bet_cancelled',
+          cryptocurrency: bet.cryptocurrency,
+          transactions: [transaction],
+          session
+        });
+
+        return transaction;
+      }, {
+        apply: () => {
+          if (round !== this.currentRound || !this.isAcceptingBets(round)) {
+            throw new Error('Bets can only be cancelled during the betting phase');
+          }
+
+          const playerBets = round.bets.filter(b =>
+            b.playerId === playerId && (betId === null || b._id.toString() === betId)
+          );
+          bet = playerBets[playerBets.length - 1];
+
+          if (!bet) {
+            throw new Error('No bet found for player in current round');
+          }
+
+          index = round.bets.indexOf(bet);
+          round.bets.pull(bet._id);
+        },
+        rollback: () => {
+          // Put the bet back in its place, which matters for the client seed order
+          round.bets.splice(index, 0, bet);
+        }
+      });
+
+      const cancelledBetId = bet._id.toString();
+
+      console.log(`Bet cancelled: ${playerId} refunded ${AmountUtils.format(bet.cryptoAmount, bet.cryptocurrency)} ${bet.cryptocurrency} for round ${round.roundId}`);
+
+      this.broadcast({
+        type: 'bet_cancelled',
+        data: AmountUtils.present({
+          roundId: round.roundId,
+          playerId,
+          betId: cancelledBetId,
+          slot: bet.slot,
+          usdAmount: bet.usdAmount,
+          cryptoAmount: bet.cryptoAmount,
+          cryptocurrency: bet.cryptocurrency
+        }, ['cryptoAmount'], bet.cryptocurrency)
+      });
+
+      return AmountUtils.present({
+        success: true,
+        betId: cancelledBetId,
+        usdAmount: bet.usdAmount,
+        cryptoAmount: bet.cryptoAmount,
+        cryptocurrency: bet.cryptocurrency,
+        transaction: transaction.transactionId
+      }, ['cryptoAmount'], bet.cryptocurrency);
+
+    } catch (error) {
+      console.error('Error cancelling bet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cash out a player's bet, priced at the moment the request was received
+   * @param {string} playerId - Player ID
+   * @param {number} receivedAt - Time the cashout request was received, in milliseconds since the epoch
+   * @param {string|null} betId - Bet to cash out, required when the player holds more than one open bet
+   * @param {number} fraction - Share of the riding stake to cash out; the rest keeps riding
+   * @returns {Promise<Object>} Cashout result
+   */
+  async cashOut(playerId, receivedAt = Date.now(), betId = null, fraction = 1) {
     try {
       if (!this.currentRound || !this.isGameActive) {
         throw new Error('No active round or game not in progress');
       }
 
-      // Find player's bet in current round
-      const bet = this.currentRound.bets.find(b => 
-        b.playerId === playerId && !b.cashedOut
+      if (!(fraction > 0 && fraction <= 1)) {
+        throw new Error('Cashout fraction must be greater than 0 and at most 1');
+      }
+
+      // The crash may not have been processed yet if the request arrived between ticks.
+      // A request at the crash itself is too late, as an auto cashout at the crash point is
+      if (receivedAt >= this.crashTime) {
+        throw new Error('Round crashed before the cashout request was received');
+      }
+
+      // Find player's open bets in current round
+      const openBets = this.currentRound.bets.filter(b =>
+        b.playerId === playerId && !b.cashedOut && (betId === null || b._id.toString() === betId)
       );
 
-      if (!bet) {
+      if (openBets.length === 0) {
         throw new Error('No active bet found for player');
       }
 
-      // Calculate cashout amount
-      const cashoutMultiplier = this.currentMultiplier;
-      const cashoutCryptoAmount = bet.cryptoAmount * cashoutMultiplier;
-      const cashoutUsdAmount = bet.usdAmount * cashoutMultiplier;
+      if (openBets.length > 1) {
+        throw new Error('betId is required when holding more than one bet');
+      }
+
+      const bet = openBets[0];
 
-      // Mark bet as cashed out
-      bet.cashedOut = true;
-      bet.cashoutMultiplier = cashoutMultiplier;
-      bet.cashoutAmount = cashoutCryptoAmount;
+      let cashoutAt = Math.max(receivedAt, this.gameStartTime);
+      let multiplier = this.getMultiplierAt(this.currentRound, cashoutAt);
+
+      // A request arriving between ticks can't be paid past the win limits
+      const cap = Math.min(this.getBetWinCap(bet), this.getRoundWinCap());
+      if (cap < multiplier) {
+        multiplier = cap;
+        cashoutAt = this.getCurveTime(this.currentRound, cap);
+      }
+
+      return await this.settleCashout(bet, multiplier, false, this.currentRound, cashoutAt, fraction);
+
+    } catch (error) {
+      console.error('Error cashing out:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the part of a bet's stake that hasn't been cashed out yet
+   * @param {Object} bet - Bet subdocument
+   * @returns {Object} Riding crypto amount in base units and USD amount
+   */
+  getOpenStake(bet) {
+    return {
+      cryptoAmount: bet.remainingCryptoAmount !== null && bet.remainingCryptoAmount !== undefined
+        ? bet.remainingCryptoAmount
+        : bet.cryptoAmount,
+      usdAmount: bet.remainingUsdAmount !== null && bet.remainingUsdAmount !== undefined
+        ? bet.remainingUsdAmount
+        : bet.usdAmount
+    };
+  }
+
+  /**
+   * Cash out all or part of a bet's riding stake at the given multiplier
+   * @param {Object} bet - Bet subdocument from the current round
+   * @param {number} cashoutMultiplier - Multiplier to pay out at
+   * @param {boolean} isAuto - Whether the cashout was triggered by the bet's auto cashout target
+   * @param {Object} round - Round the bet belongs to, defaults to the current round
+   * @param {number|null} cashoutAt - Moment on the multiplier curve the cashout is priced at
+   * @param {number} fraction - Share of the riding stake to cash out; 1 closes the bet
+   * @returns {Promise<Object>} Cashout result
+   */
+  async settleCashout(bet, cashoutMultiplier, isAuto = false, round = this.currentRound, cashoutAt = null, fraction = 1) {
+    const { playerId } = bet;
+    const roundId = round.roundId;
+    const betId = bet._id.toString();
+    const openStake = this.getOpenStake(bet);
+    const isFinal = fraction >= 1;
+
+    // Closing the bet takes the whole riding stake, so no rounding dust is left behind;
+    // partial stakes and payouts are rounded down to whole base units
+    const stakeCryptoAmount = isFinal ? openStake.cryptoAmount : AmountUtils.fraction(openStake.cryptoAmount, fraction);
+    const stakeUsdAmount = isFinal ? openStake.usdAmount : openStake.usdAmount * fraction;
+
+    if (stakeCryptoAmount <= 0n) {
+      throw new Error('Cashout fraction is too small for the riding stake');
+    }
+
+    // Calculate cashout amount
+    const cashoutCryptoAmount = AmountUtils.multiply(stakeCryptoAmount, cashoutMultiplier);
+    const cashoutUsdAmount = stakeUsdAmount * cashoutMultiplier;
+
+    // Record the exit before any await so the same stake can't be settled twice
+    const previous = {
+      remainingCryptoAmount: bet.remainingCryptoAmount,
+      remainingUsdAmount: bet.remainingUsdAmount,
+      cashedOut: bet.cashedOut,
+      cashoutAmount: bet.cashoutAmount,
+      cashoutMultiplier: bet.cashoutMultiplier,
+      cashoutAt: bet.cashoutAt
+    };
+
+    bet.remainingCryptoAmount = isFinal ? 0n : openStake.cryptoAmount - stakeCryptoAmount;
+    bet.remainingUsdAmount = isFinal ? 0 : openStake.usdAmount - stakeUsdAmount;
+    bet.cashouts.push({
+      fraction: isFinal ? 1 : fraction,
+      stakeCryptoAmount,
+      stakeUsdAmount,
+      multiplier: cashoutMultiplier,
+      cryptoAmount: cashoutCryptoAmount,
+      usdAmount: cashoutUsdAmount,
+      auto: isAuto,
+      timestamp: cashoutAt !== null ? new Date(cashoutAt) : new Date()
+    });
 
-      await this.currentRound.save();
+    // cashoutAmount is the total paid out and cashoutMultiplier the stake-weighted average of the exits
+    const cashedStake = bet.cashouts.reduce((total, exit) => total + exit.stakeCryptoAmount, 0n);
+    bet.cashedOut = isFinal;
+    bet.cashoutAmount = bet.cashouts.reduce((total, exit) => total + exit.cryptoAmount, 0n);
+    bet.cashoutMultiplier = Math.max(1, AmountUtils.ratio(bet.cashoutAmount, cashedStake));
+    bet.cashoutAt = cashoutAt !== null ? new Date(cashoutAt) : null;
 
-      // Add winnings to player's wallet
-      const player = await Player.findOne({ playerId });
-      player.wallet[bet.cryptocurrency] += cashoutCryptoAmount;
-      player.totalWins += 1;
-      player.totalBets += 1;
-      await player.save();
+    const exit = bet.cashouts[bet.cashouts.length - 1];
 
-      // Create cashout transaction
+    // The exit, the winnings and the cashout transaction are committed together
+    const transaction = await this.commitRoundUpdate(round, async (session) => {
       const transaction = new Transaction({
         transactionId: CryptoUtils.generateTransactionHash(),
         playerId,
-        roundId: this.currentRound.roundId,
+        roundId,
+        betId,
         transactionType: 'cashout',
         usdAmount: cashoutUsdAmount,
         cryptoAmount: cashoutCryptoAmount,
@@ -350,55 +948,378 @@ class GameService {
         multiplier: cashoutMultiplier
       });
 
-      await transaction.save();
+      // The bet counts as won once it is fully cashed out
+      await this.ledgerService.post(LedgerService.ACCOUNTS.HOUSE_BANKROLL, LedgerService.playerAccount(playerId), cashoutCryptoAmount, {
+        entryType: 'cashout',
+        cryptocurrency: bet.cryptocurrency,
+        transactions: [transaction],
+        stats: isFinal ? { totalWins: 1, totalBets: 1 } : {},
+        session
+      });
 
-      console.log(`Cashout: ${playerId} cashed out at ${cashoutMultiplier}x for ${cashoutUsdAmount} USD`);
+      return transaction;
+    }, {
+      rollback: () => {
+        // The stake rides again, so the player can retry
+        bet.cashouts.pull(exit._id);
+        Object.assign(bet, previous);
+      }
+    });
 
-      // Notify clients about cashout
-      this.webSocketService.broadcast({
-        type: 'player_cashed_out',
-        data: {
-          roundId: this.currentRound.roundId,
-          playerId,
-          multiplier: cashoutMultiplier,
-          amount: cashoutUsdAmount,
-          cryptocurrency: bet.cryptocurrency
-        }
-      });
+    const share = isFinal ? '' : `${Math.round(fraction * 100)}% of `;
+    console.log(`Cashout: ${playerId} ${isAuto ? 'auto ' : ''}cashed out ${share}bet ${betId} at ${cashoutMultiplier}x for ${cashoutUsdAmount} USD`);
 
-      return {
-        success: true,
+    // Notify clients about cashout
+    this.broadcast({
+      type: 'player_cashed_out',
+      data: {
+        roundId,
+        playerId,
+        betId,
+        slot: bet.slot,
         multiplier: cashoutMultiplier,
         amount: cashoutUsdAmount,
-        cryptoAmount: cashoutCryptoAmount,
-        transaction: transaction.transactionId
-      };
+        cryptocurrency: bet.cryptocurrency,
+        fraction: isFinal ? 1 : fraction,
+        partial: !isFinal,
+        remainingUsdAmount: bet.remainingUsdAmount,
+        cashoutAt,
+        auto: isAuto
+      }
+    });
+
+    return AmountUtils.present({
+      success: true,
+      betId,
+      slot: bet.slot,
+      multiplier: cashoutMultiplier,
+      cashoutAt,
+      amount: cashoutUsdAmount,
+      cryptoAmount: cashoutCryptoAmount,
+      cryptocurrency: bet.cryptocurrency,
+      fraction: isFinal ? 1 : fraction,
+      partial: !isFinal,
+      remainingUsdAmount: bet.remainingUsdAmount,
+      remainingCryptoAmount: bet.remainingCryptoAmount,
+      transaction: transaction.transactionId,
+      auto: isAuto
+    }, ['cryptoAmount', 'remainingCryptoAmount'], bet.cryptocurrency);
+  }
+
+  /**
+   * Refund the riding part of a bet's crypto amount to the player's wallet
+   * @param {Object} round - Round the bet belongs to
+   * @param {Object} bet - Bet subdocument to refund
+   * @returns {Promise<Object>} Refund transaction
+   */
+  async refundBet(round, bet) {
+    const betId = bet._id.toString();
+
+    // Partial cashouts were already paid, so only the stake still riding is refunded
+    const openStake = this.getOpenStake(bet);
+
+    bet.refunded = true;
+
+    const transaction = await this.commitRoundUpdate(round, async (session) => {
+      // Without transactions a previous recovery attempt may already have refunded this bet
+      const existing = await Transaction.findOne({
+        roundId: round.roundId,
+        betId,
+        transactionType: 'refund'
+      }).session(session);
+
+      if (existing) {
+        return existing;
+      }
+
+      const transaction = new Transaction({
+        transactionId: CryptoUtils.generateTransactionHash(),
+        playerId: bet.playerId,
+        roundId: round.roundId,
+        betId,
+        transactionType: 'refund',
+        usdAmount: openStake.usdAmount,
+        cryptoAmount: openStake.cryptoAmount,
+        cryptocurrency: bet.cryptocurrency,
+        priceAtTime: bet.priceAtTime,
+        transactionHash: CryptoUtils.generateTransactionHash()
+      });
+
+      await this.ledgerService.post(LedgerService.ACCOUNTS.HOUSE_BANKROLL, LedgerService.playerAccount(bet.playerId), openStake.cryptoAmount, {
+        entryType: 'refund',
+        cryptocurrency: bet.cryptocurrency,
+        transactions: [transaction],
+        session
+      });
+
+      return transaction;
+    }, {
+      rollback: () => {
+        bet.refunded = false;
+      }
+    });
+
+    console.log(`Refunded ${AmountUtils.format(openStake.cryptoAmount, bet.cryptocurrency)} ${bet.cryptocurrency} to player ${bet.playerId} for round ${round.roundId}`);
+    return transaction;
+  }
+
+  /**
+   * Void rounds a previous process left in 'waiting' or 'active'.
+   * Uncashed bets are refunded, or, with ROUND_RECOVERY_MODE=settle, running
+   * rounds are settled against their stored crash point: bets whose auto
+   * cashout target was below it win at the target, capped by the win limits,
+   * and the rest lose.
+   */
+  async recoverUnfinishedRounds() {
+    const mode = process.env.ROUND_RECOVERY_MODE === 'settle' ? 'settle' : 'refund';
+
+    try {
+      // Rounds created before rooms existed have no roomId and belong to the default room
+      const roomFilter = this.roomId === DEFAULT_ROOM_ID
+        ? { $in: [DEFAULT_ROOM_ID, null] }
+        : this.roomId;
+      const rounds = await GameRound.find({ status: { $in: ['waiting', 'active'] }, roomId: roomFilter });
+
+      for (const round of rounds) {
+        try {
+          await this.recoverRound(round, mode);
+        } catch (error) {
+          console.error(`Error recovering round ${round.roundId}:`, error);
+        }
+      }
 
+      if (rounds.length > 0) {
+        console.log(`Recovered ${rounds.length} unfinished round(s) in room ${this.roomId} using ${mode} mode`);
+      }
     } catch (error) {
-      console.error('Error cashing out:', error);
-      throw error;
+      console.error('Error recovering unfinished rounds:', error);
     }
   }
 
+  /**
+   * Refund or settle the open bets of an unfinished round and void it
+   * @param {Object} round - Unfinished round document
+   * @param {string} mode - 'refund' or 'settle'
+   */
+  async recoverRound(round, mode) {
+    // Rounds that never left the betting phase have no crash point to settle against
+    const settle = mode === 'settle' && round.status === 'active' && round.crashPoint !== null;
+    const phase = round.status === 'active' ? 'running' : 'betting';
+    const openBets = round.bets.filter(bet => !bet.cashedOut && !bet.refunded);
+
+    // As in processAutoCashouts, the round cap is taken against what the round paid out before the restart
+    const roundCap = settle ? this.getRoundWinCap(round) : Infinity;
+
+    for (const bet of openBets) {
+      if (!settle) {
+        await this.refundBet(round, bet);
+      } else if (bet.autoCashoutAt && bet.autoCashoutAt < round.crashPoint) {
+        const multiplier = Math.min(bet.autoCashoutAt, roundCap, this.getBetWinCap(bet));
+        const isAuto = multiplier === bet.autoCashoutAt;
+        await this.settleCashout(bet, multiplier, isAuto, round, this.getCurveTime(round, multiplier));
+      } else {
+        await Player.findOneAndUpdate(
+          { playerId: bet.playerId },
+          { $inc: { totalLosses: 1, totalBets: 1 } }
+        );
+      }
+    }
+
+    round.status = 'voided';
+    round.voidReason = settle
+      ? `Server restarted during ${phase} phase; bets settled at crash point ${round.crashPoint}x`
+      : `Server restarted during ${phase} phase; uncashed bets refunded`;
+    round.endTime = new Date();
+    await this.saveRound(round);
+
+    console.log(`Voided round ${round.roundId}: ${round.voidReason}`);
+  }
+
+  /**
+   * Run a task after every earlier task and save queued for the same round
+   * (Mongoose rejects parallel saves of one document)
+   * @param {Object} round - Round document
+   * @param {Function} task - async () => result
+   * @returns {Promise<any>} Result of the task
+   */
+  queueRoundTask(round, task) {
+    const pending = round.$locals.pendingSave || Promise.resolve();
+    const run = pending.catch(() => {}).then(task);
+
+    round.$locals.pendingSave = run;
+    return run;
+  }
+
+  /**
+   * Save a round, queued behind any pending save of the same document
+   * @param {Object} round - Round document, defaults to the current round
+   * @returns {Promise<Object>} Saved round
+   */
+  saveRound(round = this.currentRound) {
+    return this.queueRoundTask(round, () => round.save());
+  }
+
+  /**
+   * Save a round change together with the wallet updates and transaction
+   * records it causes, in one MongoDB transaction. The update waits its turn
+   * in the round's queue, so the round save only carries changes made before it.
+   * @param {Object} round - Round document
+   * @param {Function} write - async (session) => result, the wallet and transaction writes
+   * @param {Object} hooks - apply() changes the round when the update's turn comes;
+   *   rollback() undoes the change in memory if the transaction fails
+   * @returns {Promise<any>} Result of write
+   */
+  commitRoundUpdate(round, write, { apply = () => {}, rollback = () => {} } = {}) {
+    return this.queueRoundTask(round, async () => {
+      apply();
+
+      try {
+        return await DbUtils.withTransaction(async (session) => {
+          await round.save({ session });
+          return write(session);
+        });
+      } catch (error) {
+        rollback();
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Whether a round still takes bets and cancellations
+   * @param {Object} round - Round document
+   * @returns {boolean} True while betting is open
+   */
+  isAcceptingBets(round) {
+    return round.status === 'waiting' && !round.$locals.bettingClosed;
+  }
+
+  /**
+   * Check every enabled asset for a fresh price, suspending betting in the
+   * ones without and resuming it in the rest
+   */
+  async checkPrices() {
+    try {
+      const cryptocurrencies = AssetRegistry.ids();
+      const quotes = await this.cryptoService.getPriceQuotes(cryptocurrencies);
+
+      const stale = cryptocurrencies.filter(crypto => this.cryptoService.isStale(quotes[crypto], crypto));
+      this.updateSuspendedCryptocurrencies(stale, cryptocurrencies.filter(crypto => !stale.includes(crypto)));
+    } catch (error) {
+      console.error(`Error checking prices in room ${this.roomId}:`, error);
+    }
+  }
+
+  /**
+   * Update which assets betting is suspended in and tell clients when that
+   * changes. betting_suspended lists every asset still suspended;
+   * betting_resumed follows once none are.
+   * @param {string[]} stale - Assets found without a fresh price
+   * @param {string[]} fresh - Assets found with a fresh price
+   */
+  updateSuspendedCryptocurrencies(stale, fresh) {
+    const previous = this.suspendedCryptocurrencies;
+    const suspended = AssetRegistry.ids().filter(crypto => stale.includes(crypto) || (previous.includes(crypto) && !fresh.includes(crypto)));
+
+    if (suspended.length === previous.length && suspended.every(crypto => previous.includes(crypto))) {
+      return;
+    }
+
+    this.suspendedCryptocurrencies = suspended;
+
+    if (suspended.length > 0) {
+      console.error(`Betting suspended in room ${this.roomId} for ${suspended.join(', ')}: no fresh price`);
+      this.broadcast({
+        type: 'betting_suspended',
+        data: {
+          code: CryptoService.PRICE_UNAVAILABLE,
+          cryptocurrencies: suspended,
+          message: `Betting in ${suspended.join(', ')} is suspended until fresh prices arrive`,
+          timestamp: Date.now()
+        }
+      });
+    } else {
+      console.log(`Betting resumed in room ${this.roomId}: fresh prices for every asset`);
+      this.broadcast({
+        type: 'betting_resumed',
+        data: {
+          cryptocurrencies: previous,
+          timestamp: Date.now()
+        }
+      });
+    }
+  }
+
+  /**
+   * Broadcast a game event to the clients watching this room
+   * @param {Object} message - Message with type and data
+   */
+  broadcast(message) {
+    this.webSocketService.broadcastToRoom(this.roomId, {
+      ...message,
+      data: { roomId: this.roomId, ...message.data }
+    });
+  }
+
+  /**
+   * Get the room's settings
+   * @returns {Object} Room settings and current phase
+   */
+  getRoomInfo() {
+    return {
+      roomId: this.roomId,
+      name: this.roomName,
+      minBet: this.minBet,
+      maxBet: this.maxBet,
+      maxBetsPerPlayer: this.maxBetsPerPlayer,
+      maxWinPerBet: this.maxWinPerBet,
+      maxWinPerRound: this.maxWinPerRound,
+      bettingDuration: this.bettingDuration,
+      cooldownDuration: this.cooldownDuration,
+      curveProfile: this.curveProfile.name,
+      growthRate: this.growthRate,
+      phase: this.phase,
+      roundId: this.currentRound ? this.currentRound.roundId : null
+    };
+  }
+
   /**
    * Get current game state
    */
   getCurrentGameState() {
     if (!this.currentRound) {
       return {
+        roomId: this.roomId,
         status: 'no_game',
         message: 'No active game round'
       };
     }
 
     return {
+      roomId: this.roomId,
       roundId: this.currentRound.roundId,
       status: this.currentRound.status,
+      phase: this.phase,
+      phaseStartedAt: this.phaseStartedAt,
+      phaseDeadline: this.phaseDeadline,
+      serverTime: Date.now(),
       multiplier: this.currentMultiplier,
+      multiplierStartTime: this.isGameActive ? this.gameStartTime : null,
+      curveProfile: this.currentRound.curveProfile,
+      growthRate: this.currentRound.growthRate,
+      potentialPayout: this.potentialPayout,
+      minBet: this.minBet,
+      maxBet: this.maxBet,
+      maxWinPerBet: this.maxWinPerBet,
+      maxWinPerRound: this.maxWinPerRound,
       isActive: this.isGameActive,
+      suspendedCryptocurrencies: this.suspendedCryptocurrencies,
       startTime: this.currentRound.startTime,
       bets: this.currentRound.bets.length,
-      hash: this.currentRound.hash
+      hash: this.currentRound.hash,
+      roundNumber: this.currentRound.roundNumber,
+      chainId: this.currentRound.chainId,
+      chainIndex: this.currentRound.chainIndex
     };
   }
 
@@ -406,9 +1327,11 @@ class GameService {
    * Stop the game loop
    */
   stopGameLoop() {
-    if (this.gameInterval) {
-      clearInterval(this.gameInterval);
-      this.gameInterval = null;
+    this.isLoopRunning = false;
+
+    if (this.phaseTimer) {
+      clearTimeout(this.phaseTimer);
+      this.phaseTimer = null;
     }
     
     if (this.multiplierInterval) {
@@ -417,7 +1340,7 @@ class GameService {
     }
     
     this.isGameActive = false;
-    console.log('Game loop stopped');
+    console.log(`Game loop stopped in room ${this.roomId}`);
   }
 }
 
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/**
+ * Stores the outcome of money-moving requests under a client-chosen key, so a
+ * retried request replays the original response instead of running twice.
+ */
+class IdempotencyService {
+  constructor() {
+    this.retentionMs = parseInt(process.env.IDEMPOTENCY_KEY_TTL) || 24 * 60 * 60 * 1000; // 24 hours
+    this.leaseMs = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT) || 60 * 1000; // 1 minute
+  }
+
+  /**
+   * Validate an idempotency key: 1-255 printable ASCII characters
+   * @param {*} key - Key to validate
+   * @returns {boolean} True if valid
+   */
+  isValidKey(key) {
+    return typeof key === 'string' && /^[\x21-\x7e]{1,255}$/.test(key);
+  }
+
+  /**
+   * Hash a request payload
+   * @param {Object} payload - Request payload
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRequest(payload) {
+    return crypto.createHash('sha256').update(JSON.stringify(payload || {})).digest('hex');
+  }
+
+  /**
+   * Claim a key before running a request
+   * @param {string} key - Idempotency key
+   * @param {string} scope - Endpoint or message type
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} { status: 'claimed' | 'replay' | 'processing' | 'mismatch', statusCode, response }
+   */
+  async begin(key, scope, payload) {
+    const requestHash = this.hashRequest(payload);
+    const { claimed, record } = await IdempotencyKey.claim(key, scope, requestHash, this.retentionMs, this.leaseMs);
+
+    if (claimed) {
+      return { status: 'claimed' };
+    }
+
+    if (record.requestHash !== requestHash) {
+      return { status: 'mismatch' };
+    }
+
+    if (record.status !== 'completed') {
+      return { status: 'processing' };
+    }
+
+    return { status: 'replay', statusCode: record.statusCode, response: record.response };
+  }
+
+  /**
+   * Store the response of a claimed key. Only successful (2xx) responses are
+   * stored; any other releases the key, so a retry with the same key can
+   * succeed once the cause, such as a short balance, is gone.
+   * @param {string} key - Idempotency key
+   * @param {string} scope - Endpoint or message type
+   * @param {number} statusCode - HTTP status code of the response
+   * @param {Object} response - Response body
+   * @returns {Promise<void>}
+   */
+  async complete(key, scope, statusCode, response) {
+    if (statusCode < 200 || statusCode >= 300) {
+      await IdempotencyKey.release(key, scope);
+      return;
+    }
+
+    await IdempotencyKey.complete(key, scope, statusCode, response);
+  }
+
+  /**
+   * Run work once per key and return its response, replaying the stored response
+   * for duplicates. Only successful responses are stored; a failed run releases
+   * the key, since the failure may be transient and the request should be retryable.
+   * @param {string|undefined} key - Idempotency key, or undefined to just run the work
+   * @param {string} scope - Endpoint or message type
+   * @param {Object} payload - Request payload
+   * @param {Function} work - async () => { success, response }
+   * @returns {Promise<Object>} { response, replayed }
+   */
+  async run(key, scope, payload, work) {
+    if (key === undefined || key === null) {
+      const { response } = await work();
+      return { response, replayed: false };
+    }
+
+    if (!this.isValidKey(key)) {
+      throw new Error('Idempotency key must be 1-255 printable ASCII characters');
+    }
+
+    const result = await this.begin(key, scope, payload);
+
+    if (result.status === 'mismatch') {
+      throw new Error('Idempotency key was already used for a different request');
+    }
+
+    if (result.status === 'processing') {
+      throw new Error('A request with this idempotency key is still being processed');
+    }
+
+    if (result.status === 'replay') {
+      return { response: result.response, replayed: true };
+    }
+
+    let outcome;
+    try {
+      outcome = await work();
+    } catch (error) {
+      await IdempotencyKey.release(key, scope);
+      throw error;
+    }
+
+    if (!outcome.success) {
+      await IdempotencyKey.release(key, scope);
+      return { response: outcome.response, replayed: false };
+    }
+
+    await this.complete(key, scope, 200, outcome.response);
+    return { response: outcome.response, replayed: false };
+  }
+}
+
+module.exports = IdempotencyService;
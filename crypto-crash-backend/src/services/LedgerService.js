@@ -0,0 +1,210 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const Player = require('../models/Player');
+const CryptoUtils = require('../utils/cryptoUtils');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+
+// System accounts; every player also has a player:<playerId> account
+const ACCOUNTS = {
+  HOUSE_BANKROLL: 'house:bankroll', // Takes stakes and pays out winnings
+  BONUS: 'house:bonus',             // Funds balances granted to players, such as starting balances
+  FEES: 'house:fees',               // Collects fees charged to players
+  EXCHANGE: 'house:exchange',       // Takes one asset and pays out another in swaps, keeping the spread
+  EXTERNAL: 'external'              // Money entering or leaving the platform
+};
+
+const PLAYER_ACCOUNT_PREFIX = 'player:';
+
+/**
+ * Double-entry ledger behind player wallets. Every balance change posts an entry
+ * whose postings sum to zero, and player wallets are kept as a projection of
+ * their ledger accounts.
+ */
+class LedgerService {
+  /**
+   * Ledger account of a player
+   * @param {string} playerId - Player ID
+   * @returns {string} Account name
+   */
+  static playerAccount(playerId) {
+    return `${PLAYER_ACCOUNT_PREFIX}${playerId}`;
+  }
+
+  /**
+   * Player ID of a player account
+   * @param {string} account - Account name
+   * @returns {string|null} Player ID, or null for system accounts
+   */
+  static accountPlayerId(account) {
+    return account.startsWith(PLAYER_ACCOUNT_PREFIX) ? account.slice(PLAYER_ACCOUNT_PREFIX.length) : null;
+  }
+
+  /**
+   * Move an amount from one account to another, recording the transactions it
+   * settles and updating the wallets of the players involved. Run it inside a
+   * transaction so the entry, the wallets and the records are saved together.
+   * @param {string} from - Account debited
+   * @param {string} to - Account credited
+   * @param {bigint} amount - Amount in base units of the entry's cryptocurrency
+   * @param {Object} options - entryType, cryptocurrency, transactions (unsaved Transaction
+   *   documents settled by the entry), stats to $inc on the first player involved, and session
+   * @returns {Promise<Object>} { entry, players } with the updated players by ID
+   */
+  async post(from, to, amount, { entryType, cryptocurrency, transactions = [], stats = {}, session = null }) {
+    if (typeof amount !== 'bigint' || amount <= 0n) {
+      throw new Error('Ledger amount must be a positive number of base units');
+    }
+
+    const [record] = transactions;
+    const entry = new LedgerEntry({
+      entryId: `ledger_${Date.now()}_${CryptoUtils.generateSeed().substring(0, 12)}`,
+      entryType,
+      cryptocurrency,
+      postings: [
+        { account: from, amount: -amount },
+        { account: to, amount }
+      ],
+      transactionIds: transactions.map(transaction => transaction.transactionId),
+      game: record ? record.game : null,
+      roundId: record ? record.roundId : null,
+      betId: record ? record.betId : null,
+      usdAmount: record ? record.usdAmount : null,
+      priceAtTime: record ? record.priceAtTime : null,
+      multiplier: record ? record.multiplier : null
+    });
+
+    await entry.validate();
+
+    const players = {};
+    const fromPlayerId = LedgerService.accountPlayerId(from);
+    const toPlayerId = LedgerService.accountPlayerId(to);
+
+    // The debit only matches while the wallet covers the amount
+    if (fromPlayerId) {
+      players[fromPlayerId] = await Player.debit(fromPlayerId, cryptocurrency, amount, { session, stats });
+    }
+
+    if (toPlayerId) {
+      players[toPlayerId] = await Player.credit(toPlayerId, cryptocurrency, amount, {
+        session,
+        stats: fromPlayerId ? {} : stats
+      });
+    }
+
+    await entry.save({ session });
+
+    for (const transaction of transactions) {
+      transaction.ledgerEntryId = entry.entryId;
+      await transaction.save({ session });
+    }
+
+    return { entry, players };
+  }
+
+  /**
+   * Balances of an account, summed from its ledger postings
+   * @param {string} account - Account name
+   * @returns {Promise<Object>} Balance per cryptocurrency in base units
+   */
+  async getBalances(account) {
+    const totals = await LedgerEntry.aggregate([
+      { $match: { 'postings.account': account } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.account': account } },
+      { $group: { _id: '$cryptocurrency', balance: { $sum: '$postings.amount' } } }
+    ]);
+
+    const balances = {};
+    for (const cryptocurrency of AssetRegistry.knownIds()) {
+      balances[cryptocurrency] = 0n;
+    }
+    for (const { _id, balance } of totals) {
+      balances[_id] = AmountUtils.toUnits(balance);
+    }
+
+    return balances;
+  }
+
+  /**
+   * Rewrite a player's wallet from their ledger account
+   * @param {string} playerId - Player ID
+   * @returns {Promise<Object>} Updated player
+   */
+  async rebuildWallet(playerId) {
+    const balances = await this.getBalances(LedgerService.playerAccount(playerId));
+
+    const wallet = {};
+    for (const [cryptocurrency, balance] of Object.entries(balances)) {
+      wallet[cryptocurrency] = AmountUtils.toDecimal128(balance);
+    }
+
+    const player = await Player.findOneAndUpdate({ playerId }, { wallet }, { new: true });
+
+    if (!player) {
+      throw new Error('Player not found');
+    }
+
+    return player;
+  }
+
+  /**
+   * Get the ledger entries that touch an account, newest first
+   * @param {string} account - Account name
+   * @param {Object} options - limit, skip, entryTypes to match, and side: 'credit' or
+   *   'debit' to only match entries that credit or debit the account
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async getEntries(account, { limit = 20, skip = 0, entryTypes = null, side = null } = {}) {
+    const query = side
+      ? { postings: { $elemMatch: { account, amount: { [side === 'credit' ? '$gt' : '$lt']: AmountUtils.toDecimal128(0n) } } } }
+      : { 'postings.account': account };
+    if (entryTypes) {
+      query.entryType = { $in: entryTypes };
+    }
+
+    const entries = await LedgerEntry.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await LedgerEntry.countDocuments(query);
+
+    return {
+      entries: entries.map(entry => this.formatEntry(entry, account)),
+      total
+    };
+  }
+
+  /**
+   * View of a ledger entry from one account's side
+   * @param {Object} entry - Ledger entry document
+   * @param {string} account - Account the entry is viewed from
+   * @returns {Object} Entry with the account's signed amount and the counterparty
+   */
+  formatEntry(entry, account) {
+    const posting = entry.postings.find(p => p.account === account);
+    const counterparty = entry.postings.find(p => p.account !== account);
+    const amount = posting.amount;
+
+    return AmountUtils.present({
+      entryId: entry.entryId,
+      transactionId: entry.transactionIds[0] || null,
+      transactionType: entry.entryType,
+      amount,
+      cryptoAmount: amount < 0n ? -amount : amount,
+      cryptocurrency: entry.cryptocurrency,
+      counterparty: counterparty ? counterparty.account : null,
+      game: entry.game,
+      roundId: entry.roundId,
+      betId: entry.betId,
+      usdAmount: entry.usdAmount,
+      priceAtTime: entry.priceAtTime,
+      multiplier: entry.multiplier,
+      createdAt: entry.createdAt
+    }, ['amount', 'cryptoAmount'], entry.cryptocurrency);
+  }
+}
+
+LedgerService.ACCOUNTS = ACCOUNTS;
+
+module.exports = LedgerService;
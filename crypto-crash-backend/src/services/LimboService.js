@@ -0,0 +1,355 @@
+const LimboSeed = require('../models/LimboSeed');
+const LimboBet = require('../models/LimboBet');
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const CryptoUtils = require('../utils/cryptoUtils');
+const DbUtils = require('../utils/dbUtils');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+const CryptoService = require('./CryptoService');
+const LedgerService = require('./LedgerService');
+
+/**
+ * Limbo: a single-player game settled instantly. The player picks a target
+ * multiplier; the outcome is drawn from the crash point distribution using the
+ * player's own seed pair, and the bet wins if the outcome reaches the target.
+ */
+class LimboService {
+  constructor() {
+    this.minBet = 0.01; // USD
+    this.maxBet = parseFloat(process.env.LIMBO_MAX_BET) || 10000; // USD
+    this.maxWinPerBet = parseFloat(process.env.MAX_WIN_PER_BET) || 10000; // USD profit
+    this.ledgerService = new LedgerService();
+    this.cryptoService = CryptoService.getInstance();
+  }
+
+  /**
+   * Get the player's active seed pair, creating one if they have none
+   * @param {string} playerId - Player ID
+   * @returns {Promise<Object>} Active seed pair, without the server seed
+   */
+  async getActiveSeed(playerId) {
+    const serverSeed = CryptoUtils.generateSeed();
+
+    let seed;
+    try {
+      // The upsert only inserts when the player has no active pair
+      seed = await LimboSeed.findOneAndUpdate(
+        { playerId, status: 'active' },
+        {
+          $setOnInsert: {
+            seedId: `limbo_seed_${Date.now()}_${CryptoUtils.generateSeed().substring(0, 8)}`,
+            serverSeed,
+            serverSeedHash: CryptoUtils.hashSeed(serverSeed),
+            clientSeed: CryptoUtils.generateSeed().substring(0, 16),
+            nonce: 0
+          }
+        },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Another request created the active pair first; the retry finds it
+      return this.getActiveSeed(playerId);
+    }
+
+    return this.formatSeed(seed);
+  }
+
+  /**
+   * Reveal the player's active server seed and start a new seed pair
+   * @param {string} playerId - Player ID
+   * @param {string|null} clientSeed - Client seed for the new pair, random if not given
+   * @returns {Promise<Object>} Revealed seed pair and the new active pair
+   */
+  async rotateSeed(playerId, clientSeed = null) {
+    let previous;
+    let next;
+    try {
+      // Revealing the old pair and activating the new one commit together, so the
+      // player is never left without an active pair for getActiveSeed to race on
+      ({ previous, next } = await DbUtils.withTransaction(async (session) => {
+        const previous = await LimboSeed.findOneAndUpdate(
+          { playerId, status: 'active' },
+          { status: 'revealed', revealedAt: new Date() },
+          { new: true, session }
+        ).select('+serverSeed');
+
+        const serverSeed = CryptoUtils.generateSeed();
+        const next = new LimboSeed({
+          seedId: `limbo_seed_${Date.now()}_${CryptoUtils.generateSeed().substring(0, 8)}`,
+          playerId,
+          serverSeed,
+          serverSeedHash: CryptoUtils.hashSeed(serverSeed),
+          clientSeed: clientSeed || CryptoUtils.generateSeed().substring(0, 16)
+        });
+
+        await next.save({ session });
+
+        return { previous, next };
+      }));
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // A concurrent request activated a pair first; rotate that one instead
+      return this.rotateSeed(playerId, clientSeed);
+    }
+
+    console.log(`Limbo seed rotated for ${playerId}: ${previous ? previous.seedId : 'none'} -> ${next.seedId}`);
+
+    return {
+      revealed: previous ? { ...this.formatSeed(previous), serverSeed: previous.serverSeed } : null,
+      active: this.formatSeed(next)
+    };
+  }
+
+  /**
+   * Play a limbo bet and settle it through the player's wallet
+   * @param {string} playerId - Player ID
+   * @param {number} usdAmount - Stake in USD
+   * @param {string} cryptocurrency - Cryptocurrency to bet with
+   * @param {number} target - Target multiplier
+   * @returns {Promise<Object>} Settled bet
+   */
+  async play(playerId, usdAmount, cryptocurrency, target) {
+    try {
+      const crashConfig = CryptoUtils.getCrashConfig();
+
+      if (usdAmount < this.minBet || usdAmount > this.maxBet) {
+        throw new Error(`Bet amount must be between $${this.minBet} and $${this.maxBet}`);
+      }
+
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
+        throw new Error('Unsupported cryptocurrency');
+      }
+
+      AssetRegistry.checkBetLimits(cryptocurrency, usdAmount);
+
+      if (!(target >= 1.01) || target > crashConfig.maxMultiplier) {
+        throw new Error(`Target multiplier must be between 1.01 and ${crashConfig.maxMultiplier}`);
+      }
+
+      // Targets are paid at exactly the multiplier the player picked
+      target = Math.floor(target * 100) / 100;
+
+      if (usdAmount * (target - 1) > this.maxWinPerBet) {
+        throw new Error(`Potential profit exceeds the maximum win of $${this.maxWinPerBet} per bet`);
+      }
+
+      const price = await this.cryptoService.getTradablePrice(cryptocurrency);
+      // Rounded down to whole base units
+      const cryptoAmount = AmountUtils.fromUsd(usdAmount, price, cryptocurrency);
+      if (cryptoAmount <= 0n) {
+        throw new Error('Bet amount is too small');
+      }
+
+      const player = await Player.findOne({ playerId });
+      if (!player) {
+        throw new Error('Player not found');
+      }
+
+      // Checked up front so a short wallet does not use up a nonce; the debit below
+      // guards the balance again when the bet commits
+      if (player.getBalance(cryptocurrency) < cryptoAmount) {
+        throw new Error('Insufficient balance');
+      }
+
+      // Make sure the player has a seed pair, then reserve the next nonce
+      await this.getActiveSeed(playerId);
+      const seed = await LimboSeed.findOneAndUpdate(
+        { playerId, status: 'active' },
+        { $inc: { nonce: 1 } },
+        { new: true }
+      ).select('+serverSeed');
+
+      if (!seed) {
+        throw new Error('Seed pair was rotated while placing the bet, please try again');
+      }
+
+      const outcome = CryptoUtils.generateCrashPoint(seed.serverSeed, seed.nonce, seed.clientSeed, crashConfig);
+      const won = outcome >= target;
+      const payoutCryptoAmount = won ? AmountUtils.multiply(cryptoAmount, target) : 0n;
+      const payoutUsdAmount = won ? usdAmount * target : 0;
+
+      const betId = `limbo_${Date.now()}_${seed.nonce}_${CryptoUtils.generateSeed().substring(0, 8)}`;
+
+      const bet = new LimboBet({
+        betId,
+        playerId,
+        usdAmount,
+        cryptoAmount,
+        cryptocurrency,
+        priceAtTime: price,
+        target,
+        outcome,
+        won,
+        payoutCryptoAmount,
+        payoutUsdAmount,
+        seedId: seed.seedId,
+        serverSeedHash: seed.serverSeedHash,
+        clientSeed: seed.clientSeed,
+        nonce: seed.nonce,
+        crashConfig
+      });
+
+      const betTransaction = new Transaction({
+        transactionId: CryptoUtils.generateTransactionHash(),
+        playerId,
+        roundId: betId,
+        game: 'limbo',
+        transactionType: 'bet',
+        usdAmount,
+        cryptoAmount,
+        cryptocurrency,
+        priceAtTime: price,
+        transactionHash: CryptoUtils.generateTransactionHash()
+      });
+
+      const cashoutTransaction = won ? new Transaction({
+        transactionId: CryptoUtils.generateTransactionHash(),
+        playerId,
+        roundId: betId,
+        game: 'limbo',
+        transactionType: 'cashout',
+        usdAmount: payoutUsdAmount,
+        cryptoAmount: payoutCryptoAmount,
+        cryptocurrency,
+        priceAtTime: price,
+        transactionHash: CryptoUtils.generateTransactionHash(),
+        multiplier: target
+      }) : null;
+
+      const transactions = cashoutTransaction ? [betTransaction, cashoutTransaction] : [betTransaction];
+
+      // The stake, the payout and the records commit together; the stake is only
+      // taken if the balance still covers it
+      const settled = await DbUtils.withTransaction(async (session) => {
+        const account = LedgerService.playerAccount(playerId);
+        const { ACCOUNTS } = LedgerService;
+
+        let { players } = await this.ledgerService.post(account, ACCOUNTS.HOUSE_BANKROLL, cryptoAmount, {
+          entryType: 'bet',
+          cryptocurrency,
+          transactions: [betTransaction],
+          stats: won ? { totalBets: 1, totalWins: 1 } : { totalBets: 1, totalLosses: 1 },
+          session
+        });
+
+        if (won) {
+          ({ players } = await this.ledgerService.post(ACCOUNTS.HOUSE_BANKROLL, account, payoutCryptoAmount, {
+            entryType: 'cashout',
+            cryptocurrency,
+            transactions: [cashoutTransaction],
+            session
+          }));
+        }
+
+        await bet.save({ session });
+        return players[playerId];
+      });
+
+      console.log(`Limbo: ${playerId} bet ${usdAmount} USD on ${target}x, outcome ${outcome}x, ${won ? 'won' : 'lost'}`);
+
+      return AmountUtils.present({
+        betId,
+        target,
+        outcome,
+        won,
+        usdAmount,
+        cryptoAmount,
+        cryptocurrency,
+        payoutUsdAmount,
+        payoutCryptoAmount,
+        serverSeedHash: seed.serverSeedHash,
+        clientSeed: seed.clientSeed,
+        nonce: seed.nonce,
+        balance: settled.getBalance(cryptocurrency),
+        transactions: transactions.map(transaction => transaction.transactionId)
+      }, ['cryptoAmount', 'payoutCryptoAmount', 'balance'], cryptocurrency);
+    } catch (error) {
+      console.error('Error playing limbo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a player's limbo bets, newest first
+   * @param {string} playerId - Player ID
+   * @param {number} limit - Number of bets to return
+   * @param {number} skip - Number of bets to skip
+   * @returns {Promise<Object[]>} Limbo bets
+   */
+  async getHistory(playerId, limit = 20, skip = 0) {
+    return LimboBet.find({ playerId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+  }
+
+  /**
+   * Verify a limbo bet against its revealed server seed
+   * @param {string} betId - Limbo bet ID
+   * @param {string|null} serverSeed - Server seed to check, defaults to the revealed seed of the bet's pair
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyBet(betId, serverSeed = null) {
+    const bet = await LimboBet.findOne({ betId });
+    if (!bet) {
+      throw new Error('Limbo bet not found');
+    }
+
+    if (!serverSeed) {
+      const seed = await LimboSeed.findOne({ seedId: bet.seedId }).select('+serverSeed');
+
+      if (!seed || seed.status !== 'revealed') {
+        throw new Error('Server seed has not been revealed yet; rotate the seed pair first');
+      }
+
+      serverSeed = seed.serverSeed;
+    }
+
+    // Same function as crash rounds, with the distribution settings the bet was played with
+    const crashConfig = bet.crashConfig.toObject();
+    const calculatedOutcome = CryptoUtils.generateCrashPoint(serverSeed, bet.nonce, bet.clientSeed, crashConfig);
+    const hashMatches = CryptoUtils.hashSeed(serverSeed) === bet.serverSeedHash;
+    const outcomeMatches = Math.abs(calculatedOutcome - bet.outcome) < 0.01;
+
+    return {
+      betId,
+      serverSeed,
+      serverSeedHash: bet.serverSeedHash,
+      clientSeed: bet.clientSeed,
+      nonce: bet.nonce,
+      crashConfig,
+      target: bet.target,
+      outcome: bet.outcome,
+      calculatedOutcome,
+      won: bet.won,
+      isValid: hashMatches && outcomeMatches && bet.won === (calculatedOutcome >= bet.target),
+      hashMatches,
+      outcomeMatches
+    };
+  }
+
+  /**
+   * Public view of a seed pair
+   * @param {Object} seed - Seed pair document
+   * @returns {Object} Seed pair without the server seed
+   */
+  formatSeed(seed) {
+    return {
+      seedId: seed.seedId,
+      serverSeedHash: seed.serverSeedHash,
+      clientSeed: seed.clientSeed,
+      nonce: seed.nonce,
+      status: seed.status
+    };
+  }
+}
+
+module.exports = LimboService;
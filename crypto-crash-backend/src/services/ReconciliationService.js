@@ -0,0 +1,495 @@
+const cron = require('node-cron');
+const Player = require('../models/Player');
+const GameRound = require('../models/GameRound');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const LedgerService = require('./LedgerService');
+const CryptoUtils = require('../utils/cryptoUtils');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+
+// Direction each transaction type moves the player's wallet
+const TRANSACTION_SIGNS = {
+  bet: -1n,
+  withdrawal: -1n,
+  swap_out: -1n,
+  bet_cancelled: 1n,
+  cashout: 1n,
+  refund: 1n,
+  deposit: 1n,
+  swap_in: 1n
+};
+
+/**
+ * Zero balance for every known asset. Disabled assets are checked too, since
+ * their balances are kept.
+ * @returns {Object} Asset ID -> 0n
+ */
+const zeroBalances = () => Object.fromEntries(AssetRegistry.knownIds().map(cryptocurrency => [cryptocurrency, 0n]));
+
+/**
+ * Checks that player wallets match the records behind them. Each run replays
+ * every player's transactions against their wallet and ledger account, checks
+ * the bets of finished rounds against their bet, cashout and refund rows, and
+ * saves what it finds as a ReconciliationReport.
+ */
+class ReconciliationService {
+  constructor() {
+    this.schedule = process.env.RECONCILIATION_CRON || '0 * * * *'; // Hourly
+    const roundWindowHours = parseInt(process.env.RECONCILIATION_ROUND_WINDOW_HOURS);
+    this.roundWindowHours = Number.isNaN(roundWindowHours) ? 48 : roundWindowHours; // 0 checks every round
+    this.maxDiscrepancies = parseInt(process.env.RECONCILIATION_MAX_DISCREPANCIES) || 1000; // Stored per report
+    this.task = null;
+    this.running = null;
+  }
+
+  /**
+   * Schedule the job
+   */
+  start() {
+    if (process.env.RECONCILIATION_ENABLED === 'false') {
+      console.log('Wallet reconciliation job disabled');
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      console.error(`Invalid RECONCILIATION_CRON schedule "${this.schedule}", reconciliation job not started`);
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.run('scheduled').catch(error => console.error('Scheduled reconciliation failed:', error));
+    });
+
+    console.log(`Wallet reconciliation scheduled (${this.schedule})`);
+  }
+
+  /**
+   * Stop the scheduled job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Whether a run is in progress
+   * @returns {boolean} True while running
+   */
+  isRunning() {
+    return this.running !== null;
+  }
+
+  /**
+   * Run a reconciliation and save its report
+   * @param {string} trigger - scheduled or manual
+   * @returns {Promise<Object>} Saved report
+   */
+  async run(trigger = 'manual') {
+    if (this.running) {
+      throw new Error('Reconciliation is already running');
+    }
+
+    const report = new ReconciliationReport({
+      reportId: `recon_${Date.now()}_${CryptoUtils.generateSeed().substring(0, 8)}`,
+      trigger,
+      startedAt: new Date(),
+      roundsSince: this.roundWindowHours > 0
+        ? new Date(Date.now() - this.roundWindowHours * 60 * 60 * 1000)
+        : null
+    });
+
+    this.running = report;
+
+    try {
+      await report.save();
+
+      await this.checkPlayers(report);
+      await this.checkRounds(report);
+
+      report.status = 'completed';
+    } catch (error) {
+      console.error('Error reconciling wallets:', error);
+      report.status = 'failed';
+      report.error = error.message;
+    } finally {
+      this.running = null;
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+
+    console.log(`Reconciliation ${report.reportId} ${report.status}: ${report.playersChecked} players, ${report.roundsChecked} rounds, ${report.discrepancyCount} discrepancies`);
+    return report;
+  }
+
+  /**
+   * Add a discrepancy to a report, keeping at most maxDiscrepancies of them
+   * @param {Object} report - Report being built
+   * @param {Object} discrepancy - Discrepancy fields
+   */
+  addDiscrepancy(report, discrepancy) {
+    report.discrepancyCount++;
+
+    if (report.discrepancies.length < this.maxDiscrepancies) {
+      report.discrepancies.push(discrepancy);
+    }
+  }
+
+  /**
+   * Replay completed transactions into balances per player. Starting balances
+   * and migration adjustments have no transaction rows, so the ledger entries
+   * that settle no transactions are added in as well.
+   * @param {string|null} playerId - Only replay one player
+   * @returns {Promise<Map>} Player ID -> balance per asset in base units
+   */
+  async replayBalances(playerId = null) {
+    const balances = new Map();
+    const add = (id, cryptocurrency, amount) => {
+      if (!balances.has(id)) {
+        balances.set(id, zeroBalances());
+      }
+      const balance = balances.get(id);
+      balance[cryptocurrency] = (balance[cryptocurrency] || 0n) + amount;
+    };
+
+    const transactionTotals = await Transaction.aggregate([
+      { $match: { status: 'completed', ...(playerId ? { playerId } : {}) } },
+      {
+        $group: {
+          _id: { playerId: '$playerId', cryptocurrency: '$cryptocurrency', transactionType: '$transactionType' },
+          total: { $sum: '$cryptoAmount' }
+        }
+      }
+    ]);
+
+    for (const { _id, total } of transactionTotals) {
+      add(_id.playerId, _id.cryptocurrency, TRANSACTION_SIGNS[_id.transactionType] * AmountUtils.toUnits(total));
+    }
+
+    const account = playerId
+      ? LedgerService.playerAccount(playerId)
+      : { $regex: `^${LedgerService.playerAccount('')}` };
+
+    const ledgerTotals = await LedgerEntry.aggregate([
+      { $match: { transactionIds: { $size: 0 }, 'postings.account': account } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.account': account } },
+      {
+        $group: {
+          _id: { account: '$postings.account', cryptocurrency: '$cryptocurrency' },
+          total: { $sum: '$postings.amount' }
+        }
+      }
+    ]);
+
+    for (const { _id, total } of ledgerTotals) {
+      add(LedgerService.accountPlayerId(_id.account), _id.cryptocurrency, AmountUtils.toUnits(total));
+    }
+
+    return balances;
+  }
+
+  /**
+   * Ledger balances of every player account
+   * @returns {Promise<Map>} Player ID -> balance per asset in base units
+   */
+  async ledgerBalances() {
+    const account = { $regex: `^${LedgerService.playerAccount('')}` };
+    const totals = await LedgerEntry.aggregate([
+      { $match: { 'postings.account': account } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.account': account } },
+      {
+        $group: {
+          _id: { account: '$postings.account', cryptocurrency: '$cryptocurrency' },
+          total: { $sum: '$postings.amount' }
+        }
+      }
+    ]);
+
+    const balances = new Map();
+    for (const { _id, total } of totals) {
+      const playerId = LedgerService.accountPlayerId(_id.account);
+      if (!balances.has(playerId)) {
+        balances.set(playerId, zeroBalances());
+      }
+      balances.get(playerId)[_id.cryptocurrency] = AmountUtils.toUnits(total);
+    }
+
+    return balances;
+  }
+
+  /**
+   * Compare every wallet with its replayed transactions and its ledger account.
+   * Totals are read in bulk first; players that don't match are checked again
+   * on their own, so bets settling during the run aren't reported.
+   * @param {Object} report - Report being built
+   */
+  async checkPlayers(report) {
+    const replayed = await this.replayBalances();
+    const ledger = await this.ledgerBalances();
+    const zero = zeroBalances();
+    const seen = new Set();
+
+    for await (const player of Player.find({}).select('playerId wallet').cursor()) {
+      seen.add(player.playerId);
+      report.playersChecked++;
+
+      const expected = replayed.get(player.playerId) || zero;
+      const booked = ledger.get(player.playerId) || zero;
+      const matches = AssetRegistry.knownIds().every(cryptocurrency => {
+        const balance = player.getBalance(cryptocurrency);
+        return balance === expected[cryptocurrency] && balance === booked[cryptocurrency];
+      });
+
+      if (matches) {
+        continue;
+      }
+
+      const discrepancies = await this.checkPlayer(player.playerId);
+      if (discrepancies === null) {
+        report.playersSkipped++;
+        continue;
+      }
+
+      for (const discrepancy of discrepancies) {
+        this.addDiscrepancy(report, discrepancy);
+      }
+    }
+
+    for (const playerId of replayed.keys()) {
+      if (!seen.has(playerId) && !await Player.exists({ playerId })) {
+        this.addDiscrepancy(report, {
+          type: 'unknown_player',
+          playerId,
+          message: `Transactions or ledger entries exist for unknown player ${playerId}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Check one player's wallet against their transactions and ledger account
+   * @param {string} playerId - Player ID
+   * @returns {Promise<Object[]|null>} Discrepancies, or null if the wallet changed while it was checked
+   */
+  async checkPlayer(playerId) {
+    const before = await Player.findOne({ playerId }).select('wallet');
+    if (!before) {
+      return [];
+    }
+
+    const expected = (await this.replayBalances(playerId)).get(playerId) || zeroBalances();
+    const booked = await new LedgerService().getBalances(LedgerService.playerAccount(playerId));
+
+    const after = await Player.findOne({ playerId }).select('wallet');
+    const unchanged = after && AssetRegistry.knownIds().every(cryptocurrency =>
+      before.getBalance(cryptocurrency) === after.getBalance(cryptocurrency)
+    );
+
+    if (!unchanged) {
+      return null;
+    }
+
+    const discrepancies = [];
+    for (const cryptocurrency of AssetRegistry.knownIds()) {
+      const actual = after.getBalance(cryptocurrency);
+
+      if (actual !== expected[cryptocurrency]) {
+        discrepancies.push({
+          type: 'wallet_mismatch',
+          playerId,
+          cryptocurrency,
+          expected: expected[cryptocurrency],
+          actual,
+          message: `${cryptocurrency} wallet is ${AmountUtils.format(actual, cryptocurrency)} but transactions add up to ${AmountUtils.format(expected[cryptocurrency], cryptocurrency)}`
+        });
+      }
+
+      if (actual !== booked[cryptocurrency]) {
+        discrepancies.push({
+          type: 'ledger_mismatch',
+          playerId,
+          cryptocurrency,
+          expected: booked[cryptocurrency],
+          actual,
+          message: `${cryptocurrency} wallet is ${AmountUtils.format(actual, cryptocurrency)} but the ledger account holds ${AmountUtils.format(booked[cryptocurrency], cryptocurrency)}`
+        });
+      }
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Check the bets of finished rounds against their transaction rows
+   * @param {Object} report - Report being built
+   */
+  async checkRounds(report) {
+    const query = { status: { $in: ['completed', 'voided'] } };
+    if (report.roundsSince) {
+      query.endTime = { $gte: report.roundsSince };
+    }
+
+    for await (const round of GameRound.find(query).cursor()) {
+      const transactions = await Transaction.find({ roundId: round.roundId, game: 'crash', status: 'completed' });
+
+      for (const discrepancy of this.checkRound(round, transactions)) {
+        this.addDiscrepancy(report, discrepancy);
+      }
+
+      report.roundsChecked++;
+      report.betsChecked += round.bets.length;
+    }
+  }
+
+  /**
+   * Check one round's bets against its transactions
+   * @param {Object} round - Finished round
+   * @param {Object[]} transactions - Completed transactions of the round
+   * @returns {Object[]} Discrepancies
+   */
+  checkRound(round, transactions) {
+    const discrepancies = [];
+    const byBet = new Map();
+
+    for (const transaction of transactions) {
+      const betId = transaction.betId || '';
+      if (!byBet.has(betId)) {
+        byBet.set(betId, []);
+      }
+      byBet.get(betId).push(transaction);
+    }
+
+    const total = (rows, type) => rows
+      .filter(transaction => transaction.transactionType === type)
+      .reduce((sum, transaction) => sum + transaction.cryptoAmount, 0n);
+
+    for (const bet of round.bets) {
+      const betId = bet._id.toString();
+      const rows = byBet.get(betId) || [];
+      const context = { playerId: bet.playerId, roundId: round.roundId, betId, cryptocurrency: bet.cryptocurrency };
+      byBet.delete(betId);
+
+      const betRows = rows.filter(transaction => transaction.transactionType === 'bet');
+      if (betRows.length === 0) {
+        discrepancies.push({
+          ...context,
+          type: 'missing_bet_transaction',
+          expected: bet.cryptoAmount,
+          actual: 0n,
+          message: 'Bet has no bet transaction'
+        });
+      } else if (betRows.length > 1) {
+        discrepancies.push({
+          ...context,
+          type: 'duplicate_bet_transaction',
+          expected: bet.cryptoAmount,
+          actual: total(rows, 'bet'),
+          message: `Bet has ${betRows.length} bet transactions`
+        });
+      } else if (betRows[0].cryptoAmount !== bet.cryptoAmount) {
+        discrepancies.push({
+          ...context,
+          type: 'bet_amount_mismatch',
+          expected: bet.cryptoAmount,
+          actual: betRows[0].cryptoAmount,
+          message: `Bet stake is ${AmountUtils.format(bet.cryptoAmount, bet.cryptocurrency)} but its transaction took ${AmountUtils.format(betRows[0].cryptoAmount, bet.cryptocurrency)}`
+        });
+      }
+
+      const paidOut = total(rows, 'cashout');
+      const cashoutAmount = bet.cashoutAmount || 0n;
+      if (paidOut !== cashoutAmount) {
+        discrepancies.push({
+          ...context,
+          type: 'cashout_mismatch',
+          expected: cashoutAmount,
+          actual: paidOut,
+          message: `Bet paid out ${AmountUtils.format(cashoutAmount, bet.cryptocurrency)} but cashout transactions add up to ${AmountUtils.format(paidOut, bet.cryptocurrency)}`
+        });
+      }
+
+      // A refund returns the stake still riding when the round was voided
+      const refunded = total(rows, 'refund');
+      const openStake = bet.remainingCryptoAmount !== null && bet.remainingCryptoAmount !== undefined
+        ? bet.remainingCryptoAmount
+        : bet.cryptoAmount;
+      const refundDue = bet.refunded ? openStake : 0n;
+      if (refunded !== refundDue) {
+        discrepancies.push({
+          ...context,
+          type: 'refund_mismatch',
+          expected: refundDue,
+          actual: refunded,
+          message: `Bet should have been refunded ${AmountUtils.format(refundDue, bet.cryptocurrency)} but refund transactions add up to ${AmountUtils.format(refunded, bet.cryptocurrency)}`
+        });
+      }
+    }
+
+    // Rows left over belong to bets that are no longer in the round; only
+    // cancelled bets, whose stake was returned in full, may be missing
+    for (const [betId, rows] of byBet) {
+      const [{ playerId, cryptocurrency }] = rows;
+      const staked = total(rows, 'bet');
+      const returned = total(rows, 'bet_cancelled');
+      const settled = rows.every(transaction => ['bet', 'bet_cancelled'].includes(transaction.transactionType));
+
+      if (!settled || staked !== returned) {
+        discrepancies.push({
+          type: 'orphan_transaction',
+          playerId,
+          roundId: round.roundId,
+          betId: betId || null,
+          cryptocurrency,
+          expected: returned,
+          actual: staked,
+          message: `${rows.length} transaction(s) for a bet that isn't in the round and wasn't cancelled in full`
+        });
+      }
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Get the newest reports, without their discrepancy lists
+   * @param {number} limit - Number of reports
+   * @param {number} skip - Number of reports to skip
+   * @returns {Promise<Object>} { reports, total }
+   */
+  async getReports(limit = 20, skip = 0) {
+    const reports = await ReconciliationReport.find({})
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .skip(skip)
+      .select('-discrepancies');
+
+    const total = await ReconciliationReport.countDocuments();
+
+    return { reports, total };
+  }
+
+  /**
+   * Get a report with its discrepancies
+   * @param {string|null} reportId - Report ID, defaults to the latest finished report
+   * @returns {Promise<Object>} Report
+   */
+  async getReport(reportId = null) {
+    const report = reportId
+      ? await ReconciliationReport.findOne({ reportId })
+      : await ReconciliationReport.findOne({ status: { $ne: 'running' } }).sort({ startedAt: -1 });
+
+    if (!report) {
+      throw new Error('Reconciliation report not found');
+    }
+
+    return report;
+  }
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,197 @@
+const SeedChain = require('../models/SeedChain');
+const CryptoUtils = require('../utils/cryptoUtils');
+const { DEFAULT_ROOM_ID } = require('../../config/rooms');
+
+class SeedChainService {
+  /**
+   * @param {string} roomId - Game room the chain's seeds are used in
+   */
+  constructor(roomId = DEFAULT_ROOM_ID) {
+    this.roomId = roomId;
+    this.chainLength = parseInt(process.env.SEED_CHAIN_LENGTH) || 100000;
+    this.checkpointInterval = parseInt(process.env.SEED_CHAIN_CHECKPOINT_INTERVAL) || 1000;
+    this.activeChain = null;
+    this.segment = null; // Links of the active chain from the checkpoint below the seeds in use: { start, links }
+  }
+
+  /**
+   * Load the active seed chain, creating one if none exists
+   * @returns {Promise<Object>} Active seed chain document
+   */
+  async loadActiveChain() {
+    const chain = await SeedChain.findOne({ status: 'active', ...this.getRoomFilter(this.roomId) })
+      .sort({ createdAt: -1 })
+      .select('+terminalSecret +checkpoints');
+
+    if (!chain) {
+      return this.createChain();
+    }
+
+    // Chains created before checkpoints were stored get them once
+    if (!chain.checkpoints || chain.checkpoints.length === 0) {
+      const { checkpoints } = CryptoUtils.generateSeedChain(chain.terminalSecret, chain.length, this.checkpointInterval);
+      chain.checkpointInterval = this.checkpointInterval;
+      chain.checkpoints = checkpoints;
+      await SeedChain.updateOne({ chainId: chain.chainId }, { checkpointInterval: this.checkpointInterval, checkpoints });
+    }
+
+    this.activeChain = chain;
+    this.segment = null;
+
+    console.log(`Loaded seed chain ${chain.chainId} at index ${chain.nextIndex}/${chain.length}`);
+    return chain;
+  }
+
+  /**
+   * Create and publish a new seed chain
+   * @returns {Promise<Object>} Created seed chain document
+   */
+  async createChain() {
+    const terminalSecret = CryptoUtils.generateSeed();
+    const { checkpoints, commitment } = CryptoUtils.generateSeedChain(terminalSecret, this.chainLength, this.checkpointInterval);
+
+    const chain = new SeedChain({
+      chainId: `chain_${this.roomId}_${Date.now()}`,
+      roomId: this.roomId,
+      terminalSecret,
+      commitment,
+      length: this.chainLength,
+      checkpointInterval: this.checkpointInterval,
+      checkpoints
+    });
+
+    await chain.save();
+
+    this.activeChain = chain;
+    this.segment = null;
+
+    console.log(`Created seed chain ${chain.chainId}, commitment: ${commitment}`);
+    return chain;
+  }
+
+  /**
+   * Take the next seed from the active chain
+   * @returns {Promise<Object>} Seed with its chain ID and chain index
+   */
+  async nextSeed() {
+    if (!this.activeChain) {
+      await this.loadActiveChain();
+    }
+
+    // Reserve the index in the database so a restart never reuses a seed
+    let chain = await SeedChain.findOneAndUpdate(
+      { chainId: this.activeChain.chainId, status: 'active', nextIndex: { $lte: this.activeChain.length } },
+      { $inc: { nextIndex: 1 } }
+    );
+
+    if (!chain) {
+      await SeedChain.updateOne({ chainId: this.activeChain.chainId }, { status: 'exhausted' });
+      console.log(`Seed chain ${this.activeChain.chainId} exhausted`);
+
+      await this.createChain();
+      chain = await SeedChain.findOneAndUpdate(
+        { chainId: this.activeChain.chainId },
+        { $inc: { nextIndex: 1 } }
+      );
+    }
+
+    const chainIndex = chain.nextIndex;
+
+    return {
+      seed: this.getLink(chain.length - chainIndex),
+      chainId: chain.chainId,
+      chainIndex
+    };
+  }
+
+  /**
+   * Recompute a link of the active chain from the checkpoint below it. Seeds
+   * are used in reverse, so the links up to the next checkpoint are kept for
+   * the rounds that follow.
+   * @param {number} position - Hashes from the terminal secret to the link
+   * @returns {string} Link
+   */
+  getLink(position) {
+    const { checkpointInterval: interval, checkpoints, length } = this.activeChain;
+    const start = Math.floor(position / interval) * interval;
+
+    if (!this.segment || this.segment.start !== start) {
+      const links = [checkpoints[start / interval]];
+      for (let k = start + 1; k < Math.min(start + interval, length); k++) {
+        links.push(CryptoUtils.hashSeed(links[links.length - 1]));
+      }
+      this.segment = { start, links };
+    }
+
+    return this.segment.links[position - start];
+  }
+
+  /**
+   * Get the published commitments of the seed chains
+   * @param {string|null} roomId - Only return the chains of this room
+   * @returns {Promise<Object[]>} Seed chains without their secrets
+   */
+  async getCommitments(roomId = null) {
+    return SeedChain.find(roomId ? this.getRoomFilter(roomId) : {})
+      .sort({ createdAt: -1 })
+      .select('chainId roomId commitment length nextIndex status createdAt');
+  }
+
+  /**
+   * Query filter for the chains of a room
+   * @param {string} roomId - Game room ID
+   * @returns {Object} Mongo filter
+   */
+  getRoomFilter(roomId) {
+    // Chains created before rooms existed have no roomId and belong to the default room
+    return roomId === DEFAULT_ROOM_ID
+      ? { roomId: { $in: [DEFAULT_ROOM_ID, null] } }
+      : { roomId };
+  }
+
+  /**
+   * Verify that a revealed seed belongs to a published seed chain. The walk
+   * stops at the nearest checkpoint whose seed has already been used, so it
+   * takes at most checkpointInterval hashes, and never more than the number
+   * of seeds used so far.
+   * @param {string} seed - Revealed seed
+   * @param {string} chainId - Seed chain ID
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifySeed(seed, chainId) {
+    const chain = await SeedChain.findOne({ chainId }).select('+checkpoints');
+
+    if (!chain) {
+      throw new Error('Seed chain not found');
+    }
+
+    // No seed past the last one handed out can have been revealed
+    const lastIndex = Math.min(chain.nextIndex - 1, chain.length);
+    const knownLinks = new Map([[chain.commitment, 0]]);
+    let maxSteps = lastIndex;
+
+    if (chain.checkpoints && chain.checkpoints.length > 0) {
+      chain.checkpoints.forEach((link, j) => {
+        const index = chain.length - j * chain.checkpointInterval;
+        if (index >= 1 && index <= lastIndex) {
+          knownLinks.set(link, index);
+        }
+      });
+      maxSteps = Math.min(lastIndex, chain.checkpointInterval);
+    }
+
+    const chainIndex = CryptoUtils.walkSeedChain(seed, knownLinks, maxSteps);
+
+    return {
+      chainId,
+      commitment: chain.commitment,
+      length: chain.length,
+      seed,
+      isValid: chainIndex !== -1,
+      chainIndex: chainIndex !== -1 ? chainIndex : null,
+      previousSeed: CryptoUtils.hashSeed(seed)
+    };
+  }
+}
+
+module.exports = SeedChainService;
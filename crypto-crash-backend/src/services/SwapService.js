@@ -0,0 +1,280 @@
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const SwapQuote = require('../models/SwapQuote');
+const CryptoService = require('./CryptoService');
+const LedgerService = require('./LedgerService');
+const CryptoUtils = require('../utils/cryptoUtils');
+const DbUtils = require('../utils/dbUtils');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+
+/**
+ * Read a non-negative float setting, keeping 0 as a valid value
+ * @param {string|undefined} value - Environment value
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number} Setting
+ */
+const readRate = (value, fallback) => {
+  const rate = parseFloat(value);
+  return isNaN(rate) || rate < 0 ? fallback : rate;
+};
+
+/**
+ * In-wallet swaps between assets. A player first asks for a quote, which
+ * fixes both amounts at the current prices less the spread for a short time,
+ * then executes it. The house exchange account takes the source asset and pays
+ * out the target asset, keeping the spread.
+ */
+class SwapService {
+  constructor() {
+    this.cryptoService = CryptoService.getInstance();
+    this.ledgerService = new LedgerService();
+    this.spread = readRate(process.env.SWAP_SPREAD, 0.005); // Fraction of the converted amount kept by the house
+    this.slippageTolerance = readRate(process.env.SWAP_SLIPPAGE_TOLERANCE, 0.01); // Largest price move a quote survives
+    this.quoteTtl = parseInt(process.env.SWAP_QUOTE_TTL) || 15000; // 15 seconds
+  }
+
+  /**
+   * Amount of the target asset a swap pays out at the given prices
+   * @param {bigint} fromAmount - Base units of the source asset
+   * @param {string} fromCryptocurrency - Source asset
+   * @param {string} toCryptocurrency - Target asset
+   * @param {Object} prices - USD price per asset
+   * @returns {bigint} Base units of the target asset, after the spread
+   */
+  quoteAmount(fromAmount, fromCryptocurrency, toCryptocurrency, prices) {
+    const converted = AmountUtils.convert(
+      fromAmount,
+      prices[fromCryptocurrency],
+      fromCryptocurrency,
+      prices[toCryptocurrency],
+      toCryptocurrency
+    );
+
+    return AmountUtils.fraction(converted, 1 - this.spread);
+  }
+
+  /**
+   * Quote a swap. The quote holds its amounts until it expires.
+   * @param {string} playerId - Player ID
+   * @param {string} fromCryptocurrency - Asset to swap from
+   * @param {string} toCryptocurrency - Asset to swap to
+   * @param {number|string} amount - Amount of the source asset in whole coins
+   * @returns {Promise<Object>} Quote
+   */
+  async createQuote(playerId, fromCryptocurrency, toCryptocurrency, amount) {
+    try {
+      if (!AssetRegistry.isEnabled(fromCryptocurrency) || !AssetRegistry.isEnabled(toCryptocurrency)) {
+        throw new Error('Unsupported cryptocurrency');
+      }
+
+      if (fromCryptocurrency === toCryptocurrency) {
+        throw new Error('Cannot swap an asset into itself');
+      }
+
+      const fromAmount = AmountUtils.parseAmount(amount, fromCryptocurrency);
+      if (fromAmount <= 0n) {
+        throw new Error('Swap amount must be positive');
+      }
+
+      const player = await Player.findOne({ playerId });
+      if (!player) {
+        throw new Error('Player not found');
+      }
+
+      // Checked again by the debit when the quote is executed
+      if (player.getBalance(fromCryptocurrency) < fromAmount) {
+        throw new Error('Insufficient balance');
+      }
+
+      const quotes = await this.cryptoService.getTradablePriceQuotes([fromCryptocurrency, toCryptocurrency]);
+      const prices = {
+        [fromCryptocurrency]: quotes[fromCryptocurrency].price,
+        [toCryptocurrency]: quotes[toCryptocurrency].price
+      };
+      const toAmount = this.quoteAmount(fromAmount, fromCryptocurrency, toCryptocurrency, prices);
+      if (toAmount <= 0n) {
+        throw new Error('Swap amount is too small');
+      }
+
+      const quote = await SwapQuote.create({
+        quoteId: `quote_${Date.now()}_${CryptoUtils.generateSeed().substring(0, 12)}`,
+        playerId,
+        fromCryptocurrency,
+        toCryptocurrency,
+        fromAmount,
+        toAmount,
+        fromPrice: prices[fromCryptocurrency],
+        toPrice: prices[toCryptocurrency],
+        fromPriceSources: quotes[fromCryptocurrency].sources,
+        toPriceSources: quotes[toCryptocurrency].sources,
+        spread: this.spread,
+        usdValue: AmountUtils.toUsd(fromAmount, prices[fromCryptocurrency], fromCryptocurrency),
+        expiresAt: new Date(Date.now() + this.quoteTtl)
+      });
+
+      console.log(`Swap quote ${quote.quoteId} for ${playerId}: ${AmountUtils.format(fromAmount, fromCryptocurrency)} ${fromCryptocurrency} -> ${AmountUtils.format(toAmount, toCryptocurrency)} ${toCryptocurrency}`);
+
+      return this.formatQuote(quote);
+    } catch (error) {
+      console.error('Error creating swap quote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a quote at its quoted amounts. Fails if the quote has expired or
+   * prices have since moved by more than the slippage tolerance.
+   * @param {string} playerId - Player ID
+   * @param {string} quoteId - Quote ID
+   * @returns {Promise<Object>} Swap result with both new balances
+   */
+  async executeQuote(playerId, quoteId) {
+    try {
+      const quote = await SwapQuote.findOne({ quoteId, playerId });
+      if (!quote) {
+        throw new Error('Quote not found');
+      }
+
+      if (quote.status === 'executed') {
+        throw new Error('Quote was already executed');
+      }
+
+      if (quote.expiresAt <= new Date()) {
+        throw new Error('Quote has expired');
+      }
+
+      const { fromCryptocurrency, toCryptocurrency, fromAmount, toAmount } = quote;
+
+      // What the same swap would pay out now, compared with what was quoted
+      const quotes = await this.cryptoService.getTradablePriceQuotes([fromCryptocurrency, toCryptocurrency]);
+      const prices = {
+        [fromCryptocurrency]: quotes[fromCryptocurrency].price,
+        [toCryptocurrency]: quotes[toCryptocurrency].price
+      };
+      const currentAmount = this.quoteAmount(fromAmount, fromCryptocurrency, toCryptocurrency, prices);
+      const slippage = Math.abs(AmountUtils.ratio(currentAmount, toAmount) - 1);
+      if (slippage > this.slippageTolerance) {
+        throw new Error(`Price moved ${(slippage * 100).toFixed(2)}% since the quote, beyond the ${(this.slippageTolerance * 100).toFixed(2)}% slippage tolerance`);
+      }
+
+      // Debit and credit rows share the swap's round ID and hash
+      const swapHash = CryptoUtils.generateTransactionHash();
+
+      const debit = new Transaction({
+        transactionId: CryptoUtils.generateTransactionHash(),
+        playerId,
+        roundId: `swap_${quoteId}`,
+        transactionType: 'swap_out',
+        usdAmount: quote.usdValue,
+        cryptoAmount: fromAmount,
+        cryptocurrency: fromCryptocurrency,
+        priceAtTime: quote.fromPrice,
+        transactionHash: swapHash
+      });
+
+      const credit = new Transaction({
+        transactionId: CryptoUtils.generateTransactionHash(),
+        playerId,
+        roundId: `swap_${quoteId}`,
+        transactionType: 'swap_in',
+        usdAmount: AmountUtils.toUsd(toAmount, quote.toPrice, toCryptocurrency),
+        cryptoAmount: toAmount,
+        cryptocurrency: toCryptocurrency,
+        priceAtTime: quote.toPrice,
+        transactionHash: swapHash
+      });
+
+      // Claiming the quote, both wallet updates and both records commit together
+      const player = await DbUtils.withTransaction(async (session) => {
+        const claimed = await SwapQuote.findOneAndUpdate(
+          { quoteId, status: 'open' },
+          {
+            status: 'executed',
+            executedAt: new Date(),
+            transactionIds: [debit.transactionId, credit.transactionId]
+          },
+          { new: true, session }
+        );
+
+        if (!claimed) {
+          throw new Error('Quote was already executed');
+        }
+
+        await this.ledgerService.post(
+          LedgerService.playerAccount(playerId),
+          LedgerService.ACCOUNTS.EXCHANGE,
+          fromAmount,
+          { entryType: 'swap', cryptocurrency: fromCryptocurrency, transactions: [debit], session }
+        );
+
+        const { players } = await this.ledgerService.post(
+          LedgerService.ACCOUNTS.EXCHANGE,
+          LedgerService.playerAccount(playerId),
+          toAmount,
+          { entryType: 'swap', cryptocurrency: toCryptocurrency, transactions: [credit], session }
+        );
+
+        return players[playerId];
+      });
+
+      console.log(`Swapped ${AmountUtils.format(fromAmount, fromCryptocurrency)} ${fromCryptocurrency} for ${AmountUtils.format(toAmount, toCryptocurrency)} ${toCryptocurrency} for player ${playerId}`);
+
+      return {
+        success: true,
+        quoteId,
+        transactionHash: swapHash,
+        debitTransactionId: debit.transactionId,
+        creditTransactionId: credit.transactionId,
+        ...AmountUtils.present({
+          fromCryptocurrency,
+          fromAmount,
+          fromBalance: player.getBalance(fromCryptocurrency)
+        }, ['fromAmount', 'fromBalance'], fromCryptocurrency),
+        ...AmountUtils.present({
+          toCryptocurrency,
+          toAmount,
+          toBalance: player.getBalance(toCryptocurrency)
+        }, ['toAmount', 'toBalance'], toCryptocurrency),
+        usdValue: quote.usdValue
+      };
+    } catch (error) {
+      console.error('Error executing swap:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * API view of a quote
+   * @param {Object} quote - SwapQuote document
+   * @returns {Object} Quote with its amounts presented and the effective rate
+   */
+  formatQuote(quote) {
+    const {
+      quoteId, playerId, fromCryptocurrency, toCryptocurrency,
+      fromAmount, fromAmountDisplay, toAmount, toAmountDisplay
+    } = quote.toJSON();
+
+    return {
+      quoteId,
+      playerId,
+      fromCryptocurrency,
+      toCryptocurrency,
+      fromAmount,
+      fromAmountDisplay,
+      toAmount,
+      toAmountDisplay,
+      rate: quote.fromPrice / quote.toPrice * (1 - quote.spread), // Target coins per source coin
+      fromPrice: quote.fromPrice,
+      toPrice: quote.toPrice,
+      fromPriceSources: quote.fromPriceSources,
+      toPriceSources: quote.toPriceSources,
+      spread: quote.spread,
+      slippageTolerance: this.slippageTolerance,
+      usdValue: quote.usdValue,
+      expiresAt: quote.expiresAt.toISOString()
+    };
+  }
+}
+
+module.exports = SwapService;
@@ -1,18 +1,33 @@
 const Player = require('../models/Player');
 const Transaction = require('../models/Transaction');
 const CryptoService = require('./CryptoService');
+const LedgerService = require('./LedgerService');
 const CryptoUtils = require('../utils/cryptoUtils');
+const DbUtils = require('../utils/dbUtils');
+const AmountUtils = require('../utils/amountUtils');
+const AssetRegistry = require('../utils/assetRegistry');
+
+// History filters named after transaction types that span several kinds of ledger
+// entry: a transfer is a withdrawal for the sender and a deposit for the receiver,
+// and a swap debits one asset and credits another
+const HISTORY_TYPES = {
+  deposit: { entryTypes: ['deposit', 'transfer'], side: 'credit' },
+  withdrawal: { entryTypes: ['withdrawal', 'transfer'], side: 'debit' },
+  swap_out: { entryTypes: ['swap'], side: 'debit' },
+  swap_in: { entryTypes: ['swap'], side: 'credit' }
+};
 
 class WalletService {
   constructor() {
-    this.cryptoService = new CryptoService();
+    this.cryptoService = CryptoService.getInstance();
+    this.ledgerService = new LedgerService();
   }
 
   /**
    * Create a new player with initial wallet
    * @param {string} playerId - Unique player ID
    * @param {string} username - Player username
-   * @param {Object} initialBalance - Initial crypto balances
+   * @param {Object} initialBalance - Initial crypto balances in whole coins
    * @returns {Promise<Object>} Created player
    */
   async createPlayer(playerId, username, initialBalance = {}) {
@@ -25,16 +40,37 @@ class WalletService {
         throw new Error('Player ID or username already exists');
       }
 
-      const player = new Player({
+      const openingBalances = {};
+      for (const cryptocurrency of AssetRegistry.ids()) {
+        openingBalances[cryptocurrency] = initialBalance[cryptocurrency]
+          ? AmountUtils.parseAmount(initialBalance[cryptocurrency], cryptocurrency)
+          : 0n;
+      }
+
+      let player = new Player({
         playerId,
-        username,
-        wallet: {
-          bitcoin: initialBalance.bitcoin || 0,
-          ethereum: initialBalance.ethereum || 0
-        }
+        username
       });
 
-      await player.save();
+      // Starting balances are granted from the bonus account
+      player = await DbUtils.withTransaction(async (session) => {
+        await player.save({ session });
+
+        let funded = player;
+        for (const cryptocurrency of AssetRegistry.ids()) {
+          if (openingBalances[cryptocurrency] > 0n) {
+            const { players } = await this.ledgerService.post(
+              LedgerService.ACCOUNTS.BONUS,
+              LedgerService.playerAccount(playerId),
+              openingBalances[cryptocurrency],
+              { entryType: 'opening_balance', cryptocurrency, session }
+            );
+            funded = players[playerId];
+          }
+        }
+
+        return funded;
+      });
 
       console.log(`Created player: ${playerId} (${username})`);
       return player;
@@ -60,19 +96,19 @@ class WalletService {
       // Get current crypto prices
       const prices = await this.cryptoService.getCurrentPrices();
 
-      // Calculate USD equivalents
-      const balanceWithUsd = {
-        bitcoin: {
-          amount: player.wallet.bitcoin,
-          usdValue: player.wallet.bitcoin * prices.bitcoin
-        },
-        ethereum: {
-          amount: player.wallet.ethereum,
-          usdValue: player.wallet.ethereum * prices.ethereum
-        }
-      };
-
-      const totalUsdValue = balanceWithUsd.bitcoin.usdValue + balanceWithUsd.ethereum.usdValue;
+      // Calculate USD equivalents; display holds the exact balance
+      const balanceWithUsd = {};
+      let totalUsdValue = 0;
+      for (const cryptocurrency of AssetRegistry.ids()) {
+        const units = player.getBalance(cryptocurrency);
+        balanceWithUsd[cryptocurrency] = {
+          ticker: AssetRegistry.get(cryptocurrency).ticker,
+          amount: AmountUtils.toNumber(units, cryptocurrency),
+          display: AmountUtils.format(units, cryptocurrency),
+          usdValue: AmountUtils.toUsd(units, prices[cryptocurrency], cryptocurrency)
+        };
+        totalUsdValue += balanceWithUsd[cryptocurrency].usdValue;
+      }
 
       return {
         playerId,
@@ -91,32 +127,24 @@ class WalletService {
   /**
    * Deposit cryptocurrency to player wallet
    * @param {string} playerId - Player ID
-   * @param {number} amount - Amount to deposit
+   * @param {number|string} amount - Amount to deposit in whole coins
    * @param {string} cryptocurrency - Cryptocurrency type
    * @returns {Promise<Object>} Transaction result
    */
   async depositCrypto(playerId, amount, cryptocurrency) {
     try {
-      if (amount <= 0) {
-        throw new Error('Deposit amount must be positive');
-      }
-
-      if (!['bitcoin', 'ethereum'].includes(cryptocurrency)) {
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
         throw new Error('Unsupported cryptocurrency');
       }
 
-      const player = await Player.findOne({ playerId });
-      if (!player) {
-        throw new Error('Player not found');
+      const units = AmountUtils.parseAmount(amount, cryptocurrency);
+      if (units <= 0n) {
+        throw new Error('Deposit amount must be positive');
       }
 
-      // Add to wallet
-      player.wallet[cryptocurrency] += amount;
-      await player.save();
-
       // Get current price for transaction record
       const price = await this.cryptoService.getCurrentPrice(cryptocurrency);
-      const usdValue = amount * price;
+      const usdValue = AmountUtils.toUsd(units, price, cryptocurrency);
 
       // Create transaction record
       const transaction = new Transaction({
@@ -125,23 +153,33 @@ class WalletService {
         roundId: 'deposit', // Special round ID for deposits
         transactionType: 'deposit',
         usdAmount: usdValue,
-        cryptoAmount: amount,
+        cryptoAmount: units,
         cryptocurrency,
         priceAtTime: price,
         transactionHash: CryptoUtils.generateTransactionHash()
       });
 
-      await transaction.save();
+      // Add to wallet and record the deposit together
+      const player = await DbUtils.withTransaction(async (session) => {
+        const { players } = await this.ledgerService.post(LedgerService.ACCOUNTS.EXTERNAL, LedgerService.playerAccount(playerId), units, {
+          entryType: 'deposit',
+          cryptocurrency,
+          transactions: [transaction],
+          session
+        });
 
-      console.log(`Deposited ${amount} ${cryptocurrency} to player ${playerId}`);
+        return players[playerId];
+      });
 
-      return {
+      console.log(`Deposited ${AmountUtils.format(units, cryptocurrency)} ${cryptocurrency} to player ${playerId}`);
+
+      return AmountUtils.present({
         success: true,
         transaction: transaction.transactionId,
-        newBalance: player.wallet[cryptocurrency],
+        newBalance: player.getBalance(cryptocurrency),
         usdValue,
         priceAtTime: price
-      };
+      }, ['newBalance'], cryptocurrency);
     } catch (error) {
       console.error('Error depositing crypto:', error);
       throw error;
@@ -151,36 +189,24 @@ class WalletService {
   /**
    * Withdraw cryptocurrency from player wallet
    * @param {string} playerId - Player ID
-   * @param {number} amount - Amount to withdraw
+   * @param {number|string} amount - Amount to withdraw in whole coins
    * @param {string} cryptocurrency - Cryptocurrency type
    * @returns {Promise<Object>} Transaction result
    */
   async withdrawCrypto(playerId, amount, cryptocurrency) {
     try {
-      if (amount <= 0) {
-        throw new Error('Withdrawal amount must be positive');
-      }
-
-      if (!['bitcoin', 'ethereum'].includes(cryptocurrency)) {
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
         throw new Error('Unsupported cryptocurrency');
       }
 
-      const player = await Player.findOne({ playerId });
-      if (!player) {
-        throw new Error('Player not found');
-      }
-
-      if (player.wallet[cryptocurrency] < amount) {
-        throw new Error('Insufficient balance');
+      const units = AmountUtils.parseAmount(amount, cryptocurrency);
+      if (units <= 0n) {
+        throw new Error('Withdrawal amount must be positive');
       }
 
-      // Deduct from wallet
-      player.wallet[cryptocurrency] -= amount;
-      await player.save();
-
-      // Get current price for transaction record
-      const price = await this.cryptoService.getCurrentPrice(cryptocurrency);
-      const usdValue = amount * price;
+      // Get current price for transaction record; withdrawals wait for a fresh one
+      const price = await this.cryptoService.getTradablePrice(cryptocurrency);
+      const usdValue = AmountUtils.toUsd(units, price, cryptocurrency);
 
       // Create transaction record
       const transaction = new Transaction({
@@ -189,23 +215,33 @@ class WalletService {
         roundId: 'withdrawal', // Special round ID for withdrawals
         transactionType: 'withdrawal',
         usdAmount: usdValue,
-        cryptoAmount: amount,
+        cryptoAmount: units,
         cryptocurrency,
         priceAtTime: price,
         transactionHash: CryptoUtils.generateTransactionHash()
       });
 
-      await transaction.save();
+      // Deduct from wallet only if the balance covers it, and record the withdrawal together
+      const player = await DbUtils.withTransaction(async (session) => {
+        const { players } = await this.ledgerService.post(LedgerService.playerAccount(playerId), LedgerService.ACCOUNTS.EXTERNAL, units, {
+          entryType: 'withdrawal',
+          cryptocurrency,
+          transactions: [transaction],
+          session
+        });
 
-      console.log(`Withdrew ${amount} ${cryptocurrency} from player ${playerId}`);
+        return players[playerId];
+      });
 
-      return {
+      console.log(`Withdrew ${AmountUtils.format(units, cryptocurrency)} ${cryptocurrency} from player ${playerId}`);
+
+      return AmountUtils.present({
         success: true,
         transaction: transaction.transactionId,
-        newBalance: player.wallet[cryptocurrency],
+        newBalance: player.getBalance(cryptocurrency),
         usdValue,
         priceAtTime: price
-      };
+      }, ['newBalance'], cryptocurrency);
     } catch (error) {
       console.error('Error withdrawing crypto:', error);
       throw error;
@@ -216,49 +252,36 @@ class WalletService {
    * Transfer cryptocurrency between players
    * @param {string} fromPlayerId - Sender player ID
    * @param {string} toPlayerId - Receiver player ID
-   * @param {number} amount - Amount to transfer
+   * @param {number|string} amount - Amount to transfer in whole coins
    * @param {string} cryptocurrency - Cryptocurrency type
    * @returns {Promise<Object>} Transaction result
    */
   async transferCrypto(fromPlayerId, toPlayerId, amount, cryptocurrency) {
     try {
-      if (amount <= 0) {
-        throw new Error('Transfer amount must be positive');
+      if (!AssetRegistry.isEnabled(cryptocurrency)) {
+        throw new Error('Unsupported cryptocurrency');
       }
 
-      if (!['bitcoin', 'ethereum'].includes(cryptocurrency)) {
-        throw new Error('Unsupported cryptocurrency');
+      const units = AmountUtils.parseAmount(amount, cryptocurrency);
+      if (units <= 0n) {
+        throw new Error('Transfer amount must be positive');
       }
 
       if (fromPlayerId === toPlayerId) {
         throw new Error('Cannot transfer to the same player');
       }
 
-      const fromPlayer = await Player.findOne({ playerId: fromPlayerId });
-      const toPlayer = await Player.findOne({ playerId: toPlayerId });
-
-      if (!fromPlayer) {
+      if (!await Player.exists({ playerId: fromPlayerId })) {
         throw new Error('Sender player not found');
       }
 
-      if (!toPlayer) {
+      if (!await Player.exists({ playerId: toPlayerId })) {
         throw new Error('Receiver player not found');
       }
 
-      if (fromPlayer.wallet[cryptocurrency] < amount) {
-        throw new Error('Insufficient balance');
-      }
-
-      // Perform transfer
-      fromPlayer.wallet[cryptocurrency] -= amount;
-      toPlayer.wallet[cryptocurrency] += amount;
-
-      await fromPlayer.save();
-      await toPlayer.save();
-
       // Get current price for transaction record
       const price = await this.cryptoService.getCurrentPrice(cryptocurrency);
-      const usdValue = amount * price;
+      const usdValue = AmountUtils.toUsd(units, price, cryptocurrency);
 
       // Create transaction records for both players
       const transferId = CryptoUtils.generateTransactionHash();
@@ -269,7 +292,7 @@ class WalletService {
         roundId: `transfer_${transferId}`,
         transactionType: 'withdrawal',
         usdAmount: usdValue,
-        cryptoAmount: amount,
+        cryptoAmount: units,
         cryptocurrency,
         priceAtTime: price,
         transactionHash: transferId
@@ -281,25 +304,34 @@ class WalletService {
         roundId: `transfer_${transferId}`,
         transactionType: 'deposit',
         usdAmount: usdValue,
-        cryptoAmount: amount,
+        cryptoAmount: units,
         cryptocurrency,
         priceAtTime: price,
         transactionHash: transferId
       });
 
-      await fromTransaction.save();
-      await toTransaction.save();
+      // Both wallet updates and both records commit together or not at all
+      const players = await DbUtils.withTransaction(async (session) => {
+        const { players } = await this.ledgerService.post(
+          LedgerService.playerAccount(fromPlayerId),
+          LedgerService.playerAccount(toPlayerId),
+          units,
+          { entryType: 'transfer', cryptocurrency, transactions: [fromTransaction, toTransaction], session }
+        );
 
-      console.log(`Transferred ${amount} ${cryptocurrency} from ${fromPlayerId} to ${toPlayerId}`);
+        return players;
+      });
 
-      return {
+      console.log(`Transferred ${AmountUtils.format(units, cryptocurrency)} ${cryptocurrency} from ${fromPlayerId} to ${toPlayerId}`);
+
+      return AmountUtils.present({
         success: true,
         transferId,
-        fromBalance: fromPlayer.wallet[cryptocurrency],
-        toBalance: toPlayer.wallet[cryptocurrency],
+        fromBalance: players[fromPlayerId].getBalance(cryptocurrency),
+        toBalance: players[toPlayerId].getBalance(cryptocurrency),
         usdValue,
         priceAtTime: price
-      };
+      }, ['fromBalance', 'toBalance'], cryptocurrency);
     } catch (error) {
       console.error('Error transferring crypto:', error);
       throw error;
@@ -307,7 +339,7 @@ class WalletService {
   }
 
   /**
-   * Get player transaction history
+   * Get player transaction history from their ledger account
    * @param {string} playerId - Player ID
    * @param {Object} options - Query options
    * @returns {Promise<Object>} Transaction history
@@ -317,17 +349,13 @@ class WalletService {
       const { limit = 20, page = 1, type = null } = options;
       const skip = (page - 1) * limit;
 
-      const query = { playerId };
-      if (type) {
-        query.transactionType = type;
-      }
+      // type keeps matching the player's transaction records, as it did before the ledger
+      const filter = type ? HISTORY_TYPES[type] || { entryTypes: [type] } : {};
 
-      const transactions = await Transaction.find(query)
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip(skip);
-
-      const total = await Transaction.countDocuments(query);
+      const { entries: transactions, total } = await this.ledgerService.getEntries(
+        LedgerService.playerAccount(playerId),
+        { limit: parseInt(limit), skip, ...filter }
+      );
 
       return {
         playerId,
@@ -373,12 +401,13 @@ class WalletService {
 
       // Add USD values to each player
       const playersWithUsd = players.map(player => {
-        const totalUsdValue = 
-          (player.wallet.bitcoin * prices.bitcoin) + 
-          (player.wallet.ethereum * prices.ethereum);
+        const totalUsdValue = AssetRegistry.ids().reduce(
+          (total, cryptocurrency) => total + AmountUtils.toUsd(player.getBalance(cryptocurrency), prices[cryptocurrency], cryptocurrency),
+          0
+        );
 
         return {
-          ...player.toObject(),
+          ...player.toJSON(),
           totalUsdValue,
           winRate: player.totalBets > 0 ? (player.totalWins / player.totalBets * 100).toFixed(2) : 0
         };
@@ -1,9 +1,12 @@
 const WebSocket = require('ws');
+const { DEFAULT_ROOM_ID } = require('../../config/rooms');
+const IdempotencyService = require('./IdempotencyService');
 
 class WebSocketService {
   constructor(wss) {
     this.wss = wss;
     this.clients = new Map(); // Map to store client connections with metadata
+    this.idempotencyService = new IdempotencyService();
     this.setupWebSocketServer();
   }
 
@@ -18,6 +21,7 @@ class WebSocketService {
       this.clients.set(clientId, {
         ws,
         playerId: null,
+        roomId: DEFAULT_ROOM_ID, // Game room whose events the client receives
         connectedAt: new Date(),
         lastPing: new Date(),
         ip: req.socket.remoteAddress
@@ -31,6 +35,7 @@ class WebSocketService {
         type: 'connection_established',
         data: {
           clientId,
+          roomId: DEFAULT_ROOM_ID,
           timestamp: new Date().toISOString(),
           message: 'Connected to Crypto Crash WebSocket server'
         }
@@ -75,6 +80,9 @@ class WebSocketService {
    * @param {Buffer} message - Raw message
    */
   handleMessage(clientId, message) {
+    // Cashouts are priced at the moment the message was received
+    const receivedAt = Date.now();
+
     try {
       const data = JSON.parse(message.toString());
       const client = this.clients.get(clientId);
@@ -90,9 +98,17 @@ class WebSocketService {
         case 'register_player':
           this.handlePlayerRegistration(clientId, data);
           break;
+
+        case 'join_room':
+          this.handleJoinRoom(clientId, data);
+          break;
         
         case 'cashout_request':
-          this.handleCashoutRequest(clientId, data);
+          this.handleCashoutRequest(clientId, data, receivedAt);
+          break;
+
+        case 'cancel_bet_request':
+          this.handleCancelBetRequest(clientId, data);
           break;
         
         case 'ping':
@@ -103,7 +119,7 @@ class WebSocketService {
           break;
         
         case 'get_game_state':
-          this.handleGameStateRequest(clientId);
+          this.handleGameStateRequest(clientId, data);
           break;
         
         default:
@@ -159,12 +175,75 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Move a client to another game room
+   * @param {string} clientId - Client ID
+   * @param {Object} data - Join data with the roomId
+   */
+  handleJoinRoom(clientId, data) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    const gameService = this.resolveGameService(clientId, data.roomId, 'join_room_error');
+    if (!gameService) return;
+
+    client.roomId = gameService.roomId;
+
+    console.log(`Client ${clientId} joined room ${client.roomId}`);
+
+    this.sendToClient(clientId, {
+      type: 'room_joined',
+      data: {
+        roomId: client.roomId,
+        room: gameService.getRoomInfo(),
+        gameState: gameService.getCurrentGameState()
+      }
+    });
+  }
+
+  /**
+   * Find the game service of a room. Sends an error message of the given type
+   * and returns null if the room can't be found.
+   * @param {string} clientId - Client ID
+   * @param {string} roomId - Room ID, defaults to the room the client is in
+   * @param {string} errorType - Message type of the error sent to the client
+   * @returns {Object|null} Game service of the room
+   */
+  resolveGameService(clientId, roomId, errorType) {
+    const client = this.clients.get(clientId);
+
+    // Get game rooms from global context (will be set by server)
+    const gameRooms = global.gameRooms;
+
+    if (!gameRooms) {
+      this.sendToClient(clientId, {
+        type: errorType,
+        data: { message: 'Game service not available' }
+      });
+      return null;
+    }
+
+    const targetRoomId = roomId || (client ? client.roomId : DEFAULT_ROOM_ID);
+    const gameService = gameRooms.get(targetRoomId);
+
+    if (!gameService) {
+      this.sendToClient(clientId, {
+        type: errorType,
+        data: { message: `Game room ${targetRoomId} not found` }
+      });
+      return null;
+    }
+
+    return gameService;
+  }
+
   /**
    * Handle cashout request
    * @param {string} clientId - Client ID
    * @param {Object} data - Cashout data
+   * @param {number} receivedAt - Time the message was received, in milliseconds since the epoch
    */
-  async handleCashoutRequest(clientId, data) {
+  async handleCashoutRequest(clientId, data, receivedAt) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
@@ -178,29 +257,107 @@ class WebSocketService {
       return;
     }
 
-    try {
-      // Get game service from global context (will be set by server)
-      const gameService = global.gameService;
-      
-      if (!gameService) {
-        this.sendToClient(clientId, {
-          type: 'cashout_error',
-          data: { message: 'Game service not available' }
-        });
-        return;
+    const gameService = this.resolveGameService(clientId, data.roomId, 'cashout_error');
+    if (!gameService) return;
+
+    await this.sendIdempotent(clientId, 'cashout_request', playerId, data, 'cashout_error', async () => {
+      try {
+        const result = await gameService.cashOut(playerId, receivedAt, data.betId || null, data.fraction || 1);
+
+        return {
+          success: true,
+          response: {
+            type: 'cashout_success',
+            data: result
+          }
+        };
+      } catch (error) {
+        console.error(`Cashout error for player ${playerId}:`, error);
+        return {
+          success: false,
+          response: {
+            type: 'cashout_error',
+            data: { message: error.message }
+          }
+        };
       }
+    });
+  }
 
-      const result = await gameService.cashOut(playerId);
-      
+  /**
+   * Handle bet cancellation request
+   * @param {string} clientId - Client ID
+   * @param {Object} data - Cancellation data
+   */
+  async handleCancelBetRequest(clientId, data) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    const playerId = client.playerId || data.playerId;
+    
+    if (!playerId) {
       this.sendToClient(clientId, {
-        type: 'cashout_success',
-        data: result
+        type: 'cancel_bet_error',
+        data: { message: 'Player not registered or player ID not provided' }
       });
+      return;
+    }
+
+    const gameService = this.resolveGameService(clientId, data.roomId, 'cancel_bet_error');
+    if (!gameService) return;
+
+    await this.sendIdempotent(clientId, 'cancel_bet_request', playerId, data, 'cancel_bet_error', async () => {
+      try {
+        const result = await gameService.cancelBet(playerId, data.betId || null);
+
+        return {
+          success: true,
+          response: {
+            type: 'cancel_bet_success',
+            data: result
+          }
+        };
+      } catch (error) {
+        console.error(`Bet cancellation error for player ${playerId}:`, error);
+        return {
+          success: false,
+          response: {
+            type: 'cancel_bet_error',
+            data: { message: error.message }
+          }
+        };
+      }
+    });
+  }
+
+  /**
+   * Run a money-moving request and send its reply. If the message carries an
+   * idempotencyKey already used for the same request, the stored reply is sent
+   * again, marked with replayed: true, instead of running the request twice.
+   * Error replies are not stored, so a failed request can be retried with its key.
+   * @param {string} clientId - Client ID
+   * @param {string} type - Message type, used as the key's scope
+   * @param {string} playerId - Player making the request
+   * @param {Object} data - Message data with an optional idempotencyKey
+   * @param {string} errorType - Message type for idempotency errors
+   * @param {Function} work - async () => { success, response } with the reply message; must not throw
+   */
+  async sendIdempotent(clientId, type, playerId, data, errorType, work) {
+    const { idempotencyKey, ...payload } = data;
 
+    try {
+      const { response, replayed } = await this.idempotencyService.run(
+        idempotencyKey,
+        `ws:${type}`,
+        { ...payload, playerId },
+        work
+      );
+
+      this.sendToClient(clientId, replayed ? { ...response, replayed: true } : response);
     } catch (error) {
-      console.error(`Cashout error for player ${playerId}:`, error);
+      console.error(`Idempotency error for ${type} from player ${playerId}:`, error);
       this.sendToClient(clientId, {
-        type: 'cashout_error',
+        type: errorType,
         data: { message: error.message }
       });
     }
@@ -209,18 +366,12 @@ class WebSocketService {
   /**
    * Handle game state request
    * @param {string} clientId - Client ID
+   * @param {Object} data - Request data with an optional roomId
    */
-  handleGameStateRequest(clientId) {
+  handleGameStateRequest(clientId, data = {}) {
     try {
-      const gameService = global.gameService;
-      
-      if (!gameService) {
-        this.sendToClient(clientId, {
-          type: 'game_state_error',
-          data: { message: 'Game service not available' }
-        });
-        return;
-      }
+      const gameService = this.resolveGameService(clientId, data.roomId, 'game_state_error');
+      if (!gameService) return;
 
       const gameState = gameService.getCurrentGameState();
       
@@ -300,6 +451,26 @@ class WebSocketService {
     return sentCount;
   }
 
+  /**
+   * Broadcast message to the clients in a game room
+   * @param {string} roomId - Game room ID
+   * @param {Object} message - Message to broadcast
+   */
+  broadcastToRoom(roomId, message) {
+    let sentCount = 0;
+    
+    for (const [clientId, client] of this.clients.entries()) {
+      if (client.roomId === roomId) {
+        if (this.sendToClient(clientId, message)) {
+          sentCount++;
+        }
+      }
+    }
+    
+    console.log(`Broadcasted message to ${sentCount} clients in room ${roomId}:`, message.type);
+    return sentCount;
+  }
+
   /**
    * Broadcast message to all registered players
    * @param {Object} message - Message to broadcast
@@ -389,6 +560,7 @@ class WebSocketService {
       stats.clients.push({
         clientId,
         playerId: client.playerId,
+        roomId: client.roomId,
         connectedAt: client.connectedAt,
         lastPing: client.lastPing,
         ip: client.ip
@@ -0,0 +1,43 @@
+const axios = require('axios');
+const PriceProvider = require('./PriceProvider');
+
+/**
+ * Last traded prices from Binance's spot ticker. Assets are looked up by their
+ * USDT pair, e.g. BTCUSDT, so prices are in USDT rather than USD.
+ */
+class BinanceProvider extends PriceProvider {
+  constructor() {
+    super('binance');
+    this.baseURL = process.env.BINANCE_API_URL || 'https://api.binance.com/api/v3';
+  }
+
+  async fetchPrices(assets) {
+    const listed = assets.filter(asset => this.symbolFor(asset));
+    if (listed.length === 0) {
+      return {};
+    }
+
+    const response = await axios.get(`${this.baseURL}/ticker/price`, {
+      params: {
+        symbols: JSON.stringify([...new Set(listed.map(asset => this.symbolFor(asset)))])
+      },
+      timeout: this.timeout
+    });
+
+    // The ticker carries no timestamp; it is the latest trade
+    const fetchedAt = Date.now();
+    const tickers = new Map(response.data.map(ticker => [ticker.symbol, parseFloat(ticker.price)]));
+
+    const prices = {};
+    for (const asset of listed) {
+      const price = tickers.get(this.symbolFor(asset));
+      if (price > 0) {
+        prices[asset.id] = { price, lastUpdated: fetchedAt };
+      }
+    }
+
+    return prices;
+  }
+}
+
+module.exports = BinanceProvider;
@@ -0,0 +1,44 @@
+const axios = require('axios');
+const PriceProvider = require('./PriceProvider');
+
+/**
+ * Prices from CoinGecko's simple price endpoint. Assets are looked up by their
+ * CoinGecko coin ID, e.g. bitcoin.
+ */
+class CoinGeckoProvider extends PriceProvider {
+  constructor() {
+    super('coingecko');
+    this.baseURL = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+  }
+
+  async fetchPrices(assets) {
+    const listed = assets.filter(asset => this.symbolFor(asset));
+    if (listed.length === 0) {
+      return {};
+    }
+
+    const response = await axios.get(`${this.baseURL}/simple/price`, {
+      params: {
+        ids: [...new Set(listed.map(asset => this.symbolFor(asset)))].join(','),
+        vs_currencies: 'usd',
+        include_last_updated_at: true
+      },
+      timeout: this.timeout
+    });
+
+    const prices = {};
+    for (const asset of listed) {
+      const quote = response.data[this.symbolFor(asset)];
+      if (quote && quote.usd) {
+        prices[asset.id] = {
+          price: quote.usd,
+          lastUpdated: quote.last_updated_at ? quote.last_updated_at * 1000 : Date.now() // Convert to milliseconds
+        };
+      }
+    }
+
+    return prices;
+  }
+}
+
+module.exports = CoinGeckoProvider;
@@ -0,0 +1,60 @@
+const axios = require('axios');
+const PriceProvider = require('./PriceProvider');
+
+/**
+ * Last traded prices from Kraken's public ticker. Assets are looked up by their
+ * USD pair, e.g. XBTUSD. Kraken answers under its own pair names (XXBTZUSD),
+ * so each pair is requested on its own.
+ */
+class KrakenProvider extends PriceProvider {
+  constructor() {
+    super('kraken');
+    this.baseURL = process.env.KRAKEN_API_URL || 'https://api.kraken.com/0/public';
+  }
+
+  async fetchPrices(assets) {
+    const listed = assets.filter(asset => this.symbolFor(asset));
+
+    const results = await Promise.allSettled(listed.map(asset => this.fetchPair(this.symbolFor(asset))));
+
+    const prices = {};
+    for (const [index, result] of results.entries()) {
+      if (result.status === 'fulfilled' && result.value > 0) {
+        prices[listed[index].id] = { price: result.value, lastUpdated: Date.now() };
+      }
+    }
+
+    // A provider that answered nothing has failed, not just missed some assets
+    if (listed.length > 0 && Object.keys(prices).length === 0) {
+      throw results[0].reason || new Error('Kraken returned no prices');
+    }
+
+    return prices;
+  }
+
+  /**
+   * Fetch the last traded price of one pair
+   * @param {string} pair - Kraken pair, e.g. XBTUSD
+   * @returns {Promise<number>} Price
+   */
+  async fetchPair(pair) {
+    const response = await axios.get(`${this.baseURL}/Ticker`, {
+      params: { pair },
+      timeout: this.timeout
+    });
+
+    const { error, result } = response.data;
+    if (error && error.length > 0) {
+      throw new Error(`Kraken error for ${pair}: ${error.join(', ')}`);
+    }
+
+    const ticker = result && Object.values(result)[0];
+    if (!ticker || !ticker.c) {
+      throw new Error(`Price not found for ${pair}`);
+    }
+
+    return parseFloat(ticker.c[0]); // c = [last trade price, lot volume]
+  }
+}
+
+module.exports = KrakenProvider;
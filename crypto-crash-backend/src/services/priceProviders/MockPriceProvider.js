@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const PriceProvider = require('./PriceProvider');
+
+/**
+ * Deterministic prices for offline runs and tests. Reads a JSON file of asset
+ * ID to USD price when PRICE_MOCK_FILE is set, e.g. { "bitcoin": 67000 }, and
+ * quotes each asset's fallbackPrice otherwise. The file is read on every
+ * fetch, so editing it moves the price.
+ */
+class MockPriceProvider extends PriceProvider {
+  constructor() {
+    super('mock');
+    this.file = process.env.PRICE_MOCK_FILE ? path.resolve(process.env.PRICE_MOCK_FILE) : null;
+  }
+
+  symbolFor(asset) {
+    return asset.id;
+  }
+
+  async fetchPrices(assets) {
+    const fixed = this.file ? JSON.parse(await fs.promises.readFile(this.file, 'utf8')) : {};
+    const fetchedAt = Date.now();
+
+    const prices = {};
+    for (const asset of assets) {
+      const price = this.file ? Number(fixed[asset.id]) : asset.fallbackPrice;
+      if (price > 0) {
+        prices[asset.id] = { price, lastUpdated: fetchedAt };
+      }
+    }
+
+    return prices;
+  }
+}
+
+module.exports = MockPriceProvider;
@@ -0,0 +1,35 @@
+/**
+ * Interface every price provider implements. A provider turns a list of
+ * assets into USD prices from a single source; CryptoService queries several
+ * of them and aggregates the results.
+ */
+class PriceProvider {
+  /**
+   * @param {string} name - Provider name, as used in PRICE_PROVIDERS and in price sources
+   */
+  constructor(name) {
+    this.name = name;
+    this.timeout = parseInt(process.env.PRICE_PROVIDER_TIMEOUT) || 5000; // 5 seconds
+  }
+
+  /**
+   * Symbol the provider lists an asset under
+   * @param {Object} asset - Asset settings from the registry
+   * @returns {string|null} Symbol, or null if the provider doesn't list the asset
+   */
+  symbolFor(asset) {
+    return (asset.priceFeeds && asset.priceFeeds[this.name]) || null;
+  }
+
+  /**
+   * Fetch USD prices. Assets the provider doesn't list or didn't return are
+   * left out of the result.
+   * @param {Object[]} assets - Asset settings from the registry
+   * @returns {Promise<Object>} Map of asset ID to { price, lastUpdated } with lastUpdated in milliseconds
+   */
+  async fetchPrices(assets) {
+    throw new Error(`Price provider ${this.name} does not implement fetchPrices`);
+  }
+}
+
+module.exports = PriceProvider;
@@ -0,0 +1,39 @@
+const CoinGeckoProvider = require('./CoinGeckoProvider');
+const BinanceProvider = require('./BinanceProvider');
+const KrakenProvider = require('./KrakenProvider');
+const MockPriceProvider = require('./MockPriceProvider');
+
+const PROVIDERS = {
+  coingecko: CoinGeckoProvider,
+  binance: BinanceProvider,
+  kraken: KrakenProvider,
+  mock: MockPriceProvider
+};
+
+/**
+ * Create the price providers named in the PRICE_PROVIDERS environment variable
+ * @returns {PriceProvider[]} Providers, in the configured order
+ */
+const createPriceProviders = () => {
+  const names = (process.env.PRICE_PROVIDERS || 'coingecko,binance,kraken')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    throw new Error('PRICE_PROVIDERS must name at least one price provider');
+  }
+
+  return [...new Set(names)].map(name => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown price provider ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider();
+  });
+};
+
+module.exports = {
+  PROVIDERS,
+  createPriceProviders
+};
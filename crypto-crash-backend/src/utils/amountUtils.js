@@ -0,0 +1,268 @@
+/**
+ * Crypto amounts in integer base units.
+ *
+ * Amounts are held as BigInt base units (satoshis for bitcoin, wei for
+ * ethereum, with each asset's decimals set in the asset registry) and stored
+ * as Decimal128 integers, which hold wei balances beyond the range of a 64-bit
+ * integer. Only USD amounts and prices are floats.
+ *
+ * Rounding rules, all in the house's favour by at most one base unit:
+ * - USD to crypto (bet stakes): rounded down, so a stake never costs more than
+ *   the USD amount asked for
+ * - Stake x multiplier (payouts): rounded down
+ * - Stake x fraction (partial cashouts): rounded down; a final cashout always
+ *   takes the whole remaining stake, so no dust is left riding
+ * - One asset to another (swaps): rounded down, and the spread is taken from
+ *   the converted amount, again rounded down
+ * - Decimal amounts from clients (deposits, withdrawals, transfers) must fit
+ *   the currency's base unit exactly and are rejected otherwise
+ */
+const mongoose = require('mongoose');
+const AssetRegistry = require('./assetRegistry');
+
+// Fixed-point scales used to bring floats into integer math
+const USD_SCALE = 1000000n;      // Micro-dollars for USD amounts and prices
+const MULTIPLIER_SCALE = 10000n; // Multipliers to 4 decimal places
+const FRACTION_SCALE = 1000000n; // Cashout fractions to 6 decimal places
+
+/**
+ * Bring a float onto a fixed-point scale, rounding down. The epsilon keeps float
+ * error from flooring an exact value a step lower, e.g. 1.005 * 10000 = 10049.999999999998.
+ * @param {number} value - Float, e.g. a multiplier
+ * @param {bigint} scale - Fixed-point scale
+ * @returns {bigint} Scaled value
+ */
+const scaleDown = (value, scale) => BigInt(Math.floor(value * Number(scale) + 1e-6));
+
+class AmountUtils {
+  /**
+   * Number of decimal places of a cryptocurrency's base unit
+   * @param {string} cryptocurrency - Cryptocurrency
+   * @returns {number} Decimal places
+   */
+  static getDecimals(cryptocurrency) {
+    const asset = AssetRegistry.get(cryptocurrency);
+    if (!asset) {
+      throw new Error('Unsupported cryptocurrency');
+    }
+    return asset.decimals;
+  }
+
+  /**
+   * Base units in one whole coin
+   * @param {string} cryptocurrency - Cryptocurrency
+   * @returns {bigint} Base units per coin
+   */
+  static getUnitsPerCoin(cryptocurrency) {
+    return 10n ** BigInt(this.getDecimals(cryptocurrency));
+  }
+
+  /**
+   * Normalize a stored or computed amount to BigInt base units
+   * @param {bigint|Object|string|number|null} value - BigInt, Decimal128, integer string or safe integer
+   * @returns {bigint} Base units; null and undefined become 0
+   */
+  static toUnits(value) {
+    if (value === null || value === undefined) {
+      return 0n;
+    }
+    if (typeof value === 'bigint') {
+      return value;
+    }
+    if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+      throw new Error(`Amount ${value} is not an integer number of base units`);
+    }
+    return BigInt(value.toString());
+  }
+
+  /**
+   * Parse a whole-coin amount sent by a client
+   * @param {string|number} value - Decimal amount, e.g. "0.015" or 0.015
+   * @param {string} cryptocurrency - Cryptocurrency
+   * @returns {bigint} Base units
+   */
+  static parseAmount(value, cryptocurrency) {
+    const decimals = this.getDecimals(cryptocurrency);
+    let text = typeof value === 'number' ? value.toString() : String(value).trim();
+
+    // Small numbers print in exponent form, e.g. 1e-7
+    if (typeof value === 'number' && /e/i.test(text)) {
+      text = value.toFixed(Math.min(decimals + 1, 100));
+    }
+
+    const match = /^(\d+)(?:\.(\d*))?$/.exec(text);
+    if (!match) {
+      throw new Error('Amount must be a non-negative decimal number');
+    }
+
+    const [, whole, fractionDigits = ''] = match;
+    const fraction = fractionDigits.replace(/0+$/, '');
+    if (fraction.length > decimals) {
+      throw new Error(`Amount has more than ${decimals} decimal places for ${cryptocurrency}`);
+    }
+
+    return BigInt(whole) * this.getUnitsPerCoin(cryptocurrency) + BigInt(fraction.padEnd(decimals, '0') || '0');
+  }
+
+  /**
+   * Convert a USD amount to base units at a price, rounding down
+   * @param {number} usdAmount - USD amount
+   * @param {number} price - USD price of one coin
+   * @param {string} cryptocurrency - Cryptocurrency
+   * @returns {bigint} Base units
+   */
+  static fromUsd(usdAmount, price, cryptocurrency) {
+    const usd = BigInt(Math.round(usdAmount * Number(USD_SCALE)));
+    const scaledPrice = BigInt(Math.round(price * Number(USD_SCALE)));
+    if (scaledPrice <= 0n) {
+      throw new Error('Invalid price');
+    }
+    return usd * this.getUnitsPerCoin(cryptocurrency) / scaledPrice;
+  }
+
+  /**
+   * Convert an amount of one asset to another at their USD prices, rounding down
+   * @param {bigint} units - Base units of the source asset
+   * @param {number} fromPrice - USD price of one source coin
+   * @param {string} fromCryptocurrency - Source asset
+   * @param {number} toPrice - USD price of one target coin
+   * @param {string} toCryptocurrency - Target asset
+   * @returns {bigint} Base units of the target asset
+   */
+  static convert(units, fromPrice, fromCryptocurrency, toPrice, toCryptocurrency) {
+    const scaledFromPrice = BigInt(Math.round(fromPrice * Number(USD_SCALE)));
+    const scaledToPrice = BigInt(Math.round(toPrice * Number(USD_SCALE)));
+    if (scaledFromPrice <= 0n || scaledToPrice <= 0n) {
+      throw new Error('Invalid price');
+    }
+    return units * scaledFromPrice * this.getUnitsPerCoin(toCryptocurrency) /
+      (scaledToPrice * this.getUnitsPerCoin(fromCryptocurrency));
+  }
+
+  /**
+   * USD value of an amount at a price
+   * @param {bigint} units - Base units
+   * @param {number} price - USD price of one coin
+   * @param {string} cryptocurrency - Cryptocurrency
+   * @returns {number} USD value
+   */
+  static toUsd(units, price, cryptocurrency) {
+    return this.toNumber(units, cryptocurrency) * price;
+  }
+
+  /**
+   * Multiply an amount by a multiplier, rounding down
+   * @param {bigint} units - Base units
+   * @param {number} multiplier - Multiplier, rounded down to 4 decimal places
+   * @returns {bigint} Base units
+   */
+  static multiply(units, multiplier) {
+    return units * scaleDown(multiplier, MULTIPLIER_SCALE) / MULTIPLIER_SCALE;
+  }
+
+  /**
+   * Take a fraction of an amount, rounding down
+   * @param {bigint} units - Base units
+   * @param {number} fraction - Fraction between 0 and 1, rounded down to 6 decimal places
+   * @returns {bigint} Base units
+   */
+  static fraction(units, fraction) {
+    return units * scaleDown(fraction, FRACTION_SCALE) / FRACTION_SCALE;
+  }
+
+  /**
+   * Ratio of two amounts as a float, e.g. an average multiplier
+   * @param {bigint} numerator - Base units
+   * @param {bigint} denominator - Base units
+   * @returns {number} Ratio
+   */
+  static ratio(numerator, denominator) {
+    return Number(numerator * MULTIPLIER_SCALE / denominator) / Number(MULTIPLIER_SCALE);
+  }
+
+  /**
+   * Exact decimal string of an amount in whole coins, without trailing zeros
+   * @param {bigint} units - Base units
+   * @param {string} cryptocurrency - Cryptocurrency
+   * @returns {string} Decimal string, e.g. "0.00015"
+   */
+  static format(units, cryptocurrency) {
+    units = this.toUnits(units);
+    const decimals = this.getDecimals(cryptocurrency);
+    const sign = units < 0n ? '-' : '';
+    const digits = (units < 0n ? -units : units).toString().padStart(decimals + 1, '0');
+    // Split by length rather than slice(-decimals), which takes everything for 0 decimals
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+    return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+  }
+
+  /**
+   * Amount in whole coins as a float, for API fields that were numbers before
+   * amounts moved to base units. Use format() where exactness matters.
+   * @param {bigint} units - Base units
+   * @param {string} cryptocurrency - Cryptocurrency
+   * @returns {number} Whole coins
+   */
+  static toNumber(units, cryptocurrency) {
+    return Number(this.format(units, cryptocurrency));
+  }
+
+  /**
+   * Convert base units to Decimal128 for queries, where schema setters don't run
+   * @param {bigint} units - Base units
+   * @returns {Object} Decimal128
+   */
+  static toDecimal128(units) {
+    return mongoose.Types.Decimal128.fromString(this.toUnits(units).toString());
+  }
+
+  /**
+   * Schema type for an amount in base units. Documents read and write BigInt;
+   * MongoDB stores a Decimal128 integer.
+   * @param {Object} options - Extra schema options, e.g. required or default
+   * @param {boolean} options.signed - Allow negative amounts
+   * @returns {Object} Schema type definition
+   */
+  static unitsType({ signed = false, ...options } = {}) {
+    return {
+      type: mongoose.Schema.Types.Decimal128,
+      get: value => (value === null || value === undefined ? value : BigInt(value.toString())),
+      set: value => (typeof value === 'bigint' ? mongoose.Types.Decimal128.fromString(value.toString()) : value),
+      validate: {
+        validator: value => {
+          if (value === null || value === undefined) {
+            return true;
+          }
+          const text = value.toString();
+          return /^-?\d+$/.test(text) && (signed || !text.startsWith('-'));
+        },
+        message: props => `${props.path} must be a${signed ? 'n' : ' non-negative'} integer number of base units`
+      },
+      ...options
+    };
+  }
+
+  /**
+   * Replace base unit fields of a plain object with whole-coin numbers, and add
+   * an exact decimal string for display next to each as <field>Display
+   * @param {Object} target - Plain object, e.g. the result of toJSON()
+   * @param {string[]} fields - Fields holding base units
+   * @param {string} cryptocurrency - Cryptocurrency of the amounts
+   * @returns {Object} The target
+   */
+  static present(target, fields, cryptocurrency) {
+    for (const field of fields) {
+      const value = target[field];
+      if (value === null || value === undefined) {
+        continue;
+      }
+      const units = this.toUnits(value);
+      target[field] = this.toNumber(units, cryptocurrency);
+      target[`${field}Display`] = this.format(units, cryptocurrency);
+    }
+    return target;
+  }
+}
+
+module.exports = AmountUtils;
@@ -0,0 +1,123 @@
+/**
+ * Lookup over the asset definitions in config/assets.js. Everything that needs
+ * to know which cryptocurrencies exist, their decimals, price feeds, bet
+ * limits or how old a price may be reads it from here.
+ */
+const { getAssetConfigs } = require('../../config/assets');
+
+const DEFAULT_MAX_PRICE_AGE = parseInt(process.env.MAX_PRICE_AGE) || 60000; // 1 minute
+
+const assets = new Map();
+
+for (const asset of getAssetConfigs()) {
+  if (assets.has(asset.id)) {
+    throw new Error(`Asset ${asset.id} is defined more than once`);
+  }
+  if (!Number.isInteger(asset.decimals) || asset.decimals < 0 || asset.decimals > 30) {
+    throw new Error(`Asset ${asset.id} must have between 0 and 30 decimals`);
+  }
+
+  assets.set(asset.id, Object.freeze({
+    ...asset,
+    priceFeeds: Object.freeze({ ...asset.priceFeeds }),
+    minBet: asset.minBet || null,
+    maxBet: asset.maxBet || null,
+    maxPriceAge: asset.maxPriceAge || DEFAULT_MAX_PRICE_AGE,
+    enabled: asset.enabled !== false
+  }));
+}
+
+class AssetRegistry {
+  /**
+   * Get an asset, enabled or not
+   * @param {string} id - Asset ID
+   * @returns {Object|null} Asset settings
+   */
+  static get(id) {
+    return assets.get(id) || null;
+  }
+
+  /**
+   * Get the assets players can use
+   * @param {Object} options - includeDisabled to list every known asset
+   * @returns {Object[]} Asset settings
+   */
+  static list({ includeDisabled = false } = {}) {
+    return [...assets.values()].filter(asset => includeDisabled || asset.enabled);
+  }
+
+  /**
+   * Get the IDs of the assets players can use
+   * @param {Object} options - includeDisabled to list every known asset
+   * @returns {string[]} Asset IDs
+   */
+  static ids(options) {
+    return this.list(options).map(asset => asset.id);
+  }
+
+  /**
+   * IDs of every known asset, for schema enums. Records in a disabled asset
+   * must stay valid.
+   * @returns {string[]} Asset IDs
+   */
+  static knownIds() {
+    return this.ids({ includeDisabled: true });
+  }
+
+  /**
+   * Check if players can use an asset
+   * @param {string} id - Asset ID
+   * @returns {boolean} True if the asset exists and is enabled
+   */
+  static isEnabled(id) {
+    const asset = assets.get(id);
+    return Boolean(asset && asset.enabled);
+  }
+
+  /**
+   * Error message for an asset players can't use
+   * @returns {string} Message listing the enabled assets
+   */
+  static unsupportedMessage() {
+    return `Cryptocurrency must be one of: ${this.ids().join(', ')}`;
+  }
+
+  /**
+   * Check that a USD bet amount is within an asset's limits
+   * @param {string} id - Asset ID
+   * @param {number} usdAmount - Bet amount in USD
+   * @throws {Error} If the amount is outside the limits
+   */
+  static checkBetLimits(id, usdAmount) {
+    const asset = assets.get(id);
+    if (!asset) {
+      throw new Error('Unsupported cryptocurrency');
+    }
+
+    const { minBet, maxBet, ticker } = asset;
+    if (minBet !== null && usdAmount < minBet) {
+      throw new Error(`Minimum bet for ${ticker} is $${minBet}`);
+    }
+    if (maxBet !== null && usdAmount > maxBet) {
+      throw new Error(`Maximum bet for ${ticker} is $${maxBet}`);
+    }
+  }
+
+  /**
+   * Public view of an asset for API responses
+   * @param {Object} asset - Asset settings
+   * @returns {Object} id, ticker, name, decimals and bet limits
+   */
+  static describe(asset) {
+    return {
+      id: asset.id,
+      ticker: asset.ticker,
+      name: asset.name,
+      decimals: asset.decimals,
+      minBet: asset.minBet,
+      maxBet: asset.maxBet
+    };
+  }
+}
+
+module.exports = AssetRegistry;
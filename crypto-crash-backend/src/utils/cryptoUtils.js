@@ -2,14 +2,66 @@ const crypto = require('crypto');
 
 class CryptoUtils {
   /**
-   * Generate a provably fair crash point using seed and round number
+   * Read the crash point distribution settings from the environment
+   * @returns {Object} houseEdge, instantCrashProbability and maxMultiplier
+   */
+  static getCrashConfig() {
+    const readRate = (value, fallback) => value !== undefined && value !== '' ? parseFloat(value) : fallback;
+
+    return {
+      houseEdge: readRate(process.env.HOUSE_EDGE, 0.01),
+      instantCrashProbability: readRate(process.env.INSTANT_CRASH_PROBABILITY, 0),
+      maxMultiplier: parseFloat(process.env.MAX_CRASH_MULTIPLIER) || 120
+    };
+  }
+
+  /**
+   * Generate a provably fair crash point from the server seed, client seed and nonce.
+   * With probability instantCrashProbability the round crashes at 1.00x. Otherwise
+   * the crash point is (1 - houseEdge) / (1 - r) for a uniform r, so
+   * P(crash >= m) = (1 - instantCrashProbability) * (1 - houseEdge) / m and every
+   * cashout target returns (1 - instantCrashProbability) * (1 - houseEdge), up to
+   * the 2-decimal rounding and the maxMultiplier cap.
+   * @param {string} seed - Server seed for the round
+   * @param {number} roundNumber - Round number, used as the nonce
+   * @param {string|null} clientSeed - Client seed for the round; rounds without one use the legacy seed + round number formula
+   * @param {Object} config - Distribution settings, see getCrashConfig()
+   * @returns {number} Crash point between 1.00 and maxMultiplier
+   */
+  static generateCrashPoint(seed, roundNumber, clientSeed = null, config = this.getCrashConfig()) {
+    if (clientSeed === null) {
+      return this.generateLegacyCrashPoint(seed, roundNumber, config.maxMultiplier);
+    }
+
+    const { houseEdge, instantCrashProbability, maxMultiplier } = config;
+
+    const hash = crypto.createHmac('sha256', seed)
+      .update(`${clientSeed}:${roundNumber}`)
+      .digest('hex');
+
+    // First 52 bits of the hash as a uniform number in [0, 1)
+    const random = parseInt(hash.substring(0, 13), 16) / Math.pow(2, 52);
+
+    if (random < instantCrashProbability) {
+      return 1;
+    }
+
+    // Rescale the remaining range back to [0, 1)
+    const rescaled = (random - instantCrashProbability) / (1 - instantCrashProbability);
+    const crashPoint = (1 - houseEdge) / (1 - rescaled);
+
+    // Round down so rounding never works against the house edge
+    return Math.max(1, Math.min(maxMultiplier, Math.floor(crashPoint * 100) / 100));
+  }
+
+  /**
+   * Crash point formula used by rounds created before client seeds existed
    * @param {string} seed - Random seed for the round
    * @param {number} roundNumber - Round number
-   * @returns {number} Crash point between 1.00 and MAX_CRASH_MULTIPLIER
+   * @param {number} maxCrash - Maximum crash multiplier
+   * @returns {number} Crash point between 1.00 and maxCrash
    */
-  static generateCrashPoint(seed, roundNumber) {
-    const maxCrash = parseFloat(process.env.MAX_CRASH_MULTIPLIER) || 120;
-    
+  static generateLegacyCrashPoint(seed, roundNumber, maxCrash) {
     // Create hash from seed + round number
     const hash = crypto.createHash('sha256')
       .update(seed + roundNumber.toString())
@@ -29,6 +81,17 @@ class CryptoUtils {
     return Math.round(crashPoint * 100) / 100; // Round to 2 decimal places
   }
 
+  /**
+   * Combine client seed contributions into a single client seed
+   * @param {string[]} contributions - Client seeds in the order they were received
+   * @returns {string} Combined client seed
+   */
+  static combineClientSeeds(contributions) {
+    return crypto.createHash('sha256')
+      .update(contributions.join(':'))
+      .digest('hex');
+  }
+
   /**
    * Generate a random seed for a game round
    * @returns {string} Random seed
@@ -37,6 +100,59 @@ class CryptoUtils {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  /**
+   * Hash a seed to get the previous link of a seed chain
+   * @param {string} seed - Seed to hash
+   * @returns {string} SHA256 hash
+   */
+  static hashSeed(seed) {
+    return crypto.createHash('sha256')
+      .update(seed)
+      .digest('hex');
+  }
+
+  /**
+   * Generate a hash chain from a terminal secret, keeping only every
+   * interval-th link. chain[0] is the secret, chain[k] = sha256(chain[k - 1])
+   * and chain[length] is the public commitment. The seed for chain index i is
+   * chain[length - i], so seeds are used in reverse and hashing a revealed seed
+   * gives the seed of the round before it.
+   * @param {string} terminalSecret - Secret at the end of the chain
+   * @param {number} length - Number of seeds in the chain
+   * @param {number} interval - Links between checkpoints
+   * @returns {Object} { checkpoints, commitment }, where checkpoints[j] is chain[j * interval]
+   */
+  static generateSeedChain(terminalSecret, length, interval) {
+    const checkpoints = [terminalSecret];
+    let link = terminalSecret;
+    for (let k = 1; k <= length; k++) {
+      link = this.hashSeed(link);
+      if (k % interval === 0) {
+        checkpoints.push(link);
+      }
+    }
+    return { checkpoints, commitment: link };
+  }
+
+  /**
+   * Walk a seed chain from a revealed seed towards its commitment until it
+   * reaches a link whose chain index is known
+   * @param {string} seed - Revealed seed
+   * @param {Map<string, number>} knownLinks - Links with their chain index; the commitment's is 0
+   * @param {number} maxSteps - Most hashes to try
+   * @returns {number} The seed's chain index, or -1 if no known link was reached
+   */
+  static walkSeedChain(seed, knownLinks, maxSteps) {
+    let current = seed;
+    for (let steps = 1; steps <= maxSteps; steps++) {
+      current = this.hashSeed(current);
+      if (knownLinks.has(current)) {
+        return knownLinks.get(current) + steps;
+      }
+    }
+    return -1;
+  }
+
   /**
    * Generate hash from seed and round number for verification
    * @param {string} seed - Random seed
@@ -58,14 +174,16 @@ class CryptoUtils {
   }
 
   /**
-   * Verify crash point using seed and round number
-   * @param {string} seed - Original seed
-   * @param {number} roundNumber - Round number
+   * Verify crash point using server seed, client seed and nonce
+   * @param {string} seed - Original server seed
+   * @param {number} roundNumber - Round number (nonce)
    * @param {number} crashPoint - Claimed crash point
+   * @param {string|null} clientSeed - Client seed for the round
+   * @param {Object} config - Distribution settings the round was played with
    * @returns {boolean} True if crash point is valid
    */
-  static verifyCrashPoint(seed, roundNumber, crashPoint) {
-    const calculatedCrashPoint = this.generateCrashPoint(seed, roundNumber);
+  static verifyCrashPoint(seed, roundNumber, crashPoint, clientSeed = null, config = this.getCrashConfig()) {
+    const calculatedCrashPoint = this.generateCrashPoint(seed, roundNumber, clientSeed, config);
     return Math.abs(calculatedCrashPoint - crashPoint) < 0.01; // Allow small floating point differences
   }
 }
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+class DbUtils {
+  /**
+   * Whether balance changes run inside MongoDB transactions. Transactions need a
+   * replica set or sharded cluster; set MONGODB_TRANSACTIONS=false to run against
+   * a standalone server, where only the guarded balance updates protect wallets.
+   * @returns {boolean} True if transactions are enabled
+   */
+  static transactionsEnabled() {
+    return process.env.MONGODB_TRANSACTIONS !== 'false';
+  }
+
+  /**
+   * Run work inside a MongoDB transaction. The driver retries the work on
+   * transient errors and Mongoose resets the state of documents saved in an
+   * aborted attempt, so the work must only change the database through the session.
+   * @param {Function} work - async (session) => result
+   * @returns {Promise<any>} Result of the work
+   */
+  static async withTransaction(work) {
+    if (!this.transactionsEnabled()) {
+      return work(null);
+    }
+
+    let result;
+    await mongoose.connection.transaction(async (session) => {
+      result = await work(session);
+    });
+
+    return result;
+  }
+}
+
+module.exports = DbUtils;
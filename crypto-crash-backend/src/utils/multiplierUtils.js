@@ -0,0 +1,92 @@
+/**
+ * Multiplier curve shared by the server and clients.
+ *
+ * The multiplier is a pure function of the milliseconds elapsed since the
+ * round's multiplier started:
+ *
+ *   multiplier(t) = floor(100 * e^(growthRate * t)) / 100
+ *
+ * It doesn't depend on the crash point, so the curve reveals nothing about
+ * when the round will crash, and any payout can be recomputed from the
+ * round's multiplierStartTime, growthRate and the bet's cashoutAt.
+ *
+ * Curve profiles scale the base growth rate, so each profile reaches a given
+ * multiplier in a fixed fraction of the classic curve's time.
+ */
+const CURVE_PROFILES = {
+  classic: { speed: 1 },      // 2x after ~1.4s, 10x after ~4.6s at the default growth rate
+  turbo: { speed: 2.5 },      // 2x after ~0.55s, 10x after ~1.8s
+  'slow-burn': { speed: 0.5 } // 2x after ~2.8s, 10x after ~9.2s
+};
+
+const DEFAULT_CURVE_PROFILE = 'classic';
+
+class MultiplierUtils {
+  /**
+   * Read the growth rate of the multiplier curve from the environment
+   * @returns {number} Growth rate per millisecond
+   */
+  static getGrowthRate() {
+    return parseFloat(process.env.MULTIPLIER_GROWTH_RATE) || 0.0005;
+  }
+
+  /**
+   * Resolve a curve profile to the growth rate it runs at
+   * @param {string} name - Profile name, defaults to CURVE_PROFILE or classic
+   * @returns {Object} Profile name and growth rate per millisecond
+   */
+  static getCurveProfile(name = process.env.CURVE_PROFILE || DEFAULT_CURVE_PROFILE) {
+    const profile = CURVE_PROFILES[name];
+
+    if (!profile) {
+      throw new Error(`Unknown curve profile: ${name}`);
+    }
+
+    return {
+      name,
+      growthRate: this.getGrowthRate() * profile.speed
+    };
+  }
+
+  /**
+   * Names of the available curve profiles
+   * @returns {string[]} Profile names
+   */
+  static getCurveProfileNames() {
+    return Object.keys(CURVE_PROFILES);
+  }
+
+  /**
+   * Multiplier after the given time on the curve
+   * @param {number} elapsedMs - Milliseconds since the multiplier started
+   * @param {number} growthRate - Growth rate per millisecond
+   * @returns {number} Multiplier rounded down to 2 decimal places
+   */
+  static multiplierAt(elapsedMs, growthRate = this.getGrowthRate()) {
+    const multiplier = Math.exp(growthRate * Math.max(0, elapsedMs));
+
+    // The epsilon keeps exact targets like 2.45 from flooring to 2.44
+    return Math.floor(multiplier * 100 + 1e-9) / 100;
+  }
+
+  /**
+   * First whole millisecond at which the curve reaches a multiplier
+   * @param {number} multiplier - Target multiplier
+   * @param {number} growthRate - Growth rate per millisecond
+   * @returns {number} Milliseconds since the multiplier started
+   */
+  static timeToReach(multiplier, growthRate = this.getGrowthRate()) {
+    if (multiplier <= 1) return 0;
+
+    let elapsedMs = Math.ceil(Math.log(multiplier) / growthRate);
+
+    // Step past floating point error so multiplierAt(elapsedMs) >= multiplier always holds
+    while (this.multiplierAt(elapsedMs, growthRate) < multiplier) {
+      elapsedMs++;
+    }
+
+    return elapsedMs;
+  }
+}
+
+module.exports = MultiplierUtils;
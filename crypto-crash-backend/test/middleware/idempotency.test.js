@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const { idempotency } = require('../../src/middleware/idempotency');
+
+/**
+ * Run a request through the middleware and a handler answering with the given status
+ * @param {string} key - Idempotency-Key header
+ * @param {Object} body - Request body
+ * @param {number} statusCode - Status the handler answers with
+ * @returns {Promise<Object>} { statusCode, body, replayed, handled }
+ */
+const send = (key, body, statusCode) => new Promise((resolve) => {
+  const headers = {};
+  let handled = false;
+
+  const req = {
+    method: 'POST',
+    baseUrl: '/api/wallet',
+    path: '/withdraw',
+    body,
+    get: name => (name === 'Idempotency-Key' ? key : undefined)
+  };
+  const res = {
+    statusCode: 200,
+    set: (name, value) => { headers[name] = value; },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      resolve({ statusCode: this.statusCode, body: payload, replayed: headers['Idempotent-Replayed'] === 'true', handled });
+      return this;
+    }
+  };
+
+  idempotency(req, res, () => {
+    handled = true;
+    res.status(statusCode).json({ success: statusCode < 300 });
+  });
+});
+
+describe('idempotency middleware', () => {
+  let records;
+
+  beforeEach(() => {
+    records = new Map();
+    const id = ({ key, scope }) => `${scope} ${key}`;
+
+    mock.method(IdempotencyKey, 'claim', async (key, scope, requestHash) => {
+      const record = records.get(id({ key, scope }));
+      if (record) {
+        return { claimed: false, record };
+      }
+      records.set(id({ key, scope }), { key, scope, requestHash, status: 'processing' });
+      return { claimed: true, record: records.get(id({ key, scope })) };
+    });
+    mock.method(IdempotencyKey, 'complete', async (key, scope, statusCode, response) => {
+      Object.assign(records.get(id({ key, scope })), { status: 'completed', statusCode, response });
+    });
+    mock.method(IdempotencyKey, 'release', async (key, scope) => {
+      records.delete(id({ key, scope }));
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('replays a successful response for a repeated key', async () => {
+    const first = await send('k1', { amount: 1 }, 200);
+    const retry = await send('k1', { amount: 1 }, 200);
+
+    assert.equal(first.handled, true);
+    assert.equal(retry.handled, false);
+    assert.equal(retry.replayed, true);
+    assert.equal(retry.statusCode, 200);
+  });
+
+  it('releases the key after a client error, so the retry runs again', async () => {
+    const failed = await send('k2', { amount: 1 }, 400);
+    const retry = await send('k2', { amount: 1 }, 200);
+
+    assert.equal(failed.statusCode, 400);
+    assert.equal(retry.handled, true);
+    assert.equal(retry.replayed, false);
+    assert.equal(retry.statusCode, 200);
+  });
+
+  it('releases the key after a server error', async () => {
+    await send('k3', { amount: 1 }, 503);
+
+    assert.equal(records.size, 0);
+  });
+
+  it('refuses a key reused for a different request', async () => {
+    await send('k4', { amount: 1 }, 200);
+    const reused = await send('k4', { amount: 2 }, 200);
+
+    assert.equal(reused.statusCode, 422);
+    assert.equal(reused.handled, false);
+  });
+});
@@ -0,0 +1,244 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PRICE_PROVIDERS = 'mock';
+
+const CryptoService = require('../../src/services/CryptoService');
+const MockPriceProvider = require('../../src/services/priceProviders/MockPriceProvider');
+const AssetRegistry = require('../../src/utils/assetRegistry');
+
+/**
+ * Provider stub answering with fixed readings, or failing when given an error
+ * @param {string} name - Provider name
+ * @param {Object|Error} prices - Map of asset ID to { price, lastUpdated }, or the error to fail with
+ * @returns {Object} Provider
+ */
+const fakeProvider = (name, prices) => ({
+  name,
+  fetchPrices: async () => {
+    if (prices instanceof Error) throw prices;
+    return prices;
+  }
+});
+
+const reading = (source, price, lastUpdated = Date.now()) => ({ source, price, lastUpdated });
+
+describe('CryptoService', () => {
+  let service;
+  let consoleLog;
+  let consoleError;
+
+  beforeEach(() => {
+    service = new CryptoService();
+
+    // The service logs every fetch and dropped source
+    consoleLog = console.log;
+    consoleError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    service.stop();
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  describe('aggregate', () => {
+    it('prices an asset at the median of its readings', () => {
+      const quote = service.aggregate([reading('a', 100), reading('b', 101), reading('c', 99)]);
+
+      assert.equal(quote.price, 100);
+      assert.deepEqual(quote.sources, ['a', 'b', 'c']);
+      assert.deepEqual(quote.outliers, []);
+    });
+
+    it('averages the middle readings of an even count', () => {
+      const quote = service.aggregate([reading('a', 100), reading('b', 101)]);
+
+      assert.equal(quote.price, 100.5);
+    });
+
+    it('drops readings further than the outlier threshold from the median', () => {
+      const quote = service.aggregate([reading('a', 100), reading('b', 100.5), reading('c', 120)]);
+
+      assert.equal(quote.price, 100.25);
+      assert.deepEqual(quote.sources, ['a', 'b']);
+      assert.deepEqual(quote.outliers, ['c']);
+    });
+
+    it('keeps readings exactly at the threshold', () => {
+      const quote = service.aggregate([reading('a', 100), reading('b', 100), reading('c', 102)]);
+
+      assert.deepEqual(quote.sources, ['a', 'b', 'c']);
+      assert.deepEqual(quote.outliers, []);
+    });
+
+    it('dates the price by its oldest kept reading', () => {
+      const quote = service.aggregate([reading('a', 100, 3000), reading('b', 100, 1000), reading('c', 500, 0)]);
+
+      assert.equal(quote.lastUpdated, 1000);
+    });
+
+    it('has no price when every reading is an outlier', () => {
+      const quote = service.aggregate([reading('a', 100), reading('b', 300)]);
+
+      assert.equal(quote.price, null);
+      assert.deepEqual(quote.sources, []);
+      assert.deepEqual(quote.outliers, ['a', 'b']);
+      assert.equal(quote.lastUpdated, null);
+    });
+  });
+
+  describe('fetchQuotes', () => {
+    it('aggregates the readings of every provider', async () => {
+      service.providers = [
+        fakeProvider('a', { bitcoin: { price: 67000, lastUpdated: 1 } }),
+        fakeProvider('b', { bitcoin: { price: 67100, lastUpdated: 2 } }),
+        fakeProvider('c', { bitcoin: { price: 90000, lastUpdated: 3 } })
+      ];
+
+      const quotes = await service.fetchQuotes(['bitcoin']);
+
+      assert.equal(quotes.bitcoin.price, 67050);
+      assert.deepEqual(quotes.bitcoin.sources, ['a', 'b']);
+      assert.deepEqual(quotes.bitcoin.outliers, ['c']);
+    });
+
+    it('skips failing providers', async () => {
+      service.providers = [
+        fakeProvider('a', new Error('timeout')),
+        fakeProvider('b', { bitcoin: { price: 67000, lastUpdated: 1 } })
+      ];
+
+      const quotes = await service.fetchQuotes(['bitcoin']);
+
+      assert.equal(quotes.bitcoin.price, 67000);
+      assert.deepEqual(quotes.bitcoin.sources, ['b']);
+    });
+
+    it('leaves out assets fewer than minSources providers agree on', async () => {
+      service.minSources = 2;
+      service.providers = [
+        fakeProvider('a', { bitcoin: { price: 67000, lastUpdated: 1 }, ethereum: { price: 3500, lastUpdated: 1 } }),
+        fakeProvider('b', { bitcoin: { price: 67010, lastUpdated: 1 }, ethereum: { price: 5000, lastUpdated: 1 } })
+      ];
+
+      const quotes = await service.fetchQuotes(['bitcoin', 'ethereum']);
+
+      assert.deepEqual(Object.keys(quotes), ['bitcoin']);
+    });
+  });
+
+  describe('getPriceQuotes', () => {
+    it('serves fresh prices from the cache without asking the providers', async () => {
+      let fetches = 0;
+      service.providers = [{ name: 'a', fetchPrices: async () => { fetches++; return { bitcoin: { price: 67000, lastUpdated: Date.now() } }; } }];
+
+      await service.getPriceQuotes(['bitcoin']);
+      const quotes = await service.getPriceQuotes(['bitcoin']);
+
+      assert.equal(fetches, 1);
+      assert.equal(quotes.bitcoin.price, 67000);
+      assert.deepEqual(quotes.bitcoin.sources, ['a']);
+    });
+
+    it('falls back to an expired cached price when the providers fail', async () => {
+      const timestamp = Date.now() - service.cacheDuration - 1;
+      service.cache.set('price_bitcoin', { price: 66000, sources: ['a'], outliers: [], lastUpdated: timestamp, timestamp });
+      service.providers = [fakeProvider('a', new Error('down'))];
+
+      const quotes = await service.getPriceQuotes(['bitcoin']);
+
+      assert.equal(quotes.bitcoin.price, 66000);
+      assert.equal(quotes.bitcoin.fetchedAt, timestamp);
+    });
+
+    it('falls back to the asset fallback price when nothing is cached', async () => {
+      service.providers = [fakeProvider('a', new Error('down'))];
+
+      const quotes = await service.getPriceQuotes(['bitcoin']);
+
+      assert.equal(quotes.bitcoin.price, AssetRegistry.get('bitcoin').fallbackPrice);
+      assert.deepEqual(quotes.bitcoin.sources, ['fallback']);
+      assert.equal(quotes.bitcoin.fetchedAt, null);
+    });
+  });
+
+  describe('isStale', () => {
+    const maxPriceAge = () => AssetRegistry.get('bitcoin').maxPriceAge;
+
+    it('accepts a recently fetched and updated price', () => {
+      const now = Date.now();
+      assert.equal(service.isStale({ fetchedAt: now, lastUpdated: now }, 'bitcoin'), false);
+    });
+
+    it('rejects a price fetched longer ago than maxPriceAge', () => {
+      const fetchedAt = Date.now() - maxPriceAge() - 1000;
+      assert.equal(service.isStale({ fetchedAt, lastUpdated: fetchedAt }, 'bitcoin'), true);
+    });
+
+    it('rejects a fresh fetch of a price last updated longer ago than maxPriceAge', () => {
+      const now = Date.now();
+      assert.equal(service.isStale({ fetchedAt: now, lastUpdated: now - maxPriceAge() - 1000 }, 'bitcoin'), true);
+    });
+
+    it('rejects fallback prices', () => {
+      assert.equal(service.isStale({ price: 67000, sources: ['fallback'], lastUpdated: null, fetchedAt: null }, 'bitcoin'), true);
+    });
+  });
+
+  describe('getTradablePrice', () => {
+    it('returns a fresh price', async () => {
+      service.providers = [fakeProvider('a', { bitcoin: { price: 67000, lastUpdated: Date.now() } })];
+
+      assert.equal(await service.getTradablePrice('bitcoin'), 67000);
+    });
+
+    it('refuses a fallback price with PRICE_UNAVAILABLE', async () => {
+      service.providers = [fakeProvider('a', new Error('down'))];
+
+      await assert.rejects(service.getTradablePrice('bitcoin'), {
+        code: CryptoService.PRICE_UNAVAILABLE,
+        statusCode: 503,
+        cryptocurrencies: ['bitcoin']
+      });
+    });
+  });
+});
+
+describe('MockPriceProvider', () => {
+  const assets = [AssetRegistry.get('bitcoin'), AssetRegistry.get('ethereum')];
+
+  afterEach(() => {
+    delete process.env.PRICE_MOCK_FILE;
+  });
+
+  it('quotes each asset at its fallback price without a file', async () => {
+    const prices = await new MockPriceProvider().fetchPrices(assets);
+
+    assert.equal(prices.bitcoin.price, assets[0].fallbackPrice);
+    assert.equal(prices.ethereum.price, assets[1].fallbackPrice);
+  });
+
+  it('quotes the prices in PRICE_MOCK_FILE and skips assets it leaves out', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prices-')), 'prices.json');
+    fs.writeFileSync(file, JSON.stringify({ bitcoin: 70000 }));
+    process.env.PRICE_MOCK_FILE = file;
+
+    const provider = new MockPriceProvider();
+    const prices = await provider.fetchPrices(assets);
+
+    assert.equal(prices.bitcoin.price, 70000);
+    assert.equal(prices.ethereum, undefined);
+
+    // The file is read on every fetch
+    fs.writeFileSync(file, JSON.stringify({ bitcoin: 71000 }));
+    assert.equal((await provider.fetchPrices(assets)).bitcoin.price, 71000);
+
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
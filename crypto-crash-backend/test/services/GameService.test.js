@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PRICE_PROVIDERS = 'mock';
+process.env.MONGODB_TRANSACTIONS = 'false';
+
+const GameRound = require('../../src/models/GameRound');
+const Player = require('../../src/models/Player');
+const GameService = require('../../src/services/GameService');
+
+const GROWTH_RATE = 0.0005;
+
+/**
+ * An active round whose multiplier started a second ago, with bets of 0.01 BTC at $50,000
+ * @param {number} crashPoint - Crash point
+ * @param {Object[]} bets - Bet fields besides the stake, e.g. { playerId, autoCashoutAt }
+ * @returns {Object} Unsaved round document
+ */
+const activeRound = (crashPoint, bets) => new GameRound({
+  roundId: 'round_1_1',
+  seed: 'seed',
+  hash: 'hash',
+  crashPoint,
+  startTime: new Date(),
+  multiplierStartTime: new Date(Date.now() - 1000),
+  growthRate: GROWTH_RATE,
+  status: 'active',
+  bets: bets.map(bet => ({ usdAmount: 500, cryptoAmount: 1000000n, cryptocurrency: 'bitcoin', priceAtTime: 50000, ...bet }))
+});
+
+describe('GameService', () => {
+  let service;
+  let consoleLog;
+  let consoleError;
+
+  beforeEach(() => {
+    service = new GameService({ broadcastToRoom: () => {} }, { maxWinPerBet: 1000, maxWinPerRound: 1500 });
+
+    // Settlements only reach the database through the round save and the ledger
+    mock.method(GameRound.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(service.ledgerService, 'post', async () => ({ entry: null, players: {} }));
+
+    consoleLog = console.log;
+    consoleError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  /**
+   * Make a round the room's running round
+   * @param {Object} round - Round document
+   */
+  const run = (round) => {
+    service.currentRound = round;
+    service.isGameActive = true;
+    service.gameStartTime = round.multiplierStartTime.getTime();
+    service.crashTime = service.getCrashTime(round);
+  };
+
+  describe('placeBet', () => {
+    it('takes the bet back out of the round when the wallet can\'t cover it', async () => {
+      const round = activeRound(2, []);
+      round.status = 'waiting';
+      service.currentRound = round;
+      service.ledgerService.post.mock.restore();
+      mock.method(service.cryptoService, 'getTradablePrice', async () => 50000);
+
+      // The guarded debit matches no wallet holding less than the stake
+      const debit = mock.method(Player, 'findOneAndUpdate', async () => null);
+      mock.method(Player, 'exists', () => ({ session: async () => true }));
+
+      await assert.rejects(service.placeBet('alice', 500, 'bitcoin'), /Insufficient balance/);
+
+      assert.equal(debit.mock.calls[0].arguments[0]['wallet.bitcoin'].$gte.toString(), '1000000');
+      assert.equal(round.bets.length, 0);
+    });
+  });
+
+  describe('cashOut', () => {
+    it('pays a request received just before the crash', async () => {
+      const round = activeRound(1.5, [{ playerId: 'alice' }]);
+      run(round);
+
+      const result = await service.cashOut('alice', service.crashTime - 1);
+
+      assert.equal(result.success, true);
+      assert.ok(result.multiplier < 1.5);
+    });
+
+    it('refuses a request received at the crash, like an auto cashout at the crash point', async () => {
+      const round = activeRound(1.5, [{ playerId: 'alice' }]);
+      run(round);
+
+      await assert.rejects(service.cashOut('alice', service.crashTime), /Round crashed/);
+      assert.equal(round.bets[0].cashedOut, false);
+    });
+  });
+
+  describe('recoverRound', () => {
+    it('settles auto cashouts below the crash point at their target', async () => {
+      const round = activeRound(10, [{ playerId: 'alice', autoCashoutAt: 1.5 }, { playerId: 'bob', autoCashoutAt: 12 }]);
+      const losses = mock.method(Player, 'findOneAndUpdate', async () => null);
+
+      await service.recoverRound(round, 'settle');
+
+      assert.equal(round.bets[0].cashoutMultiplier, 1.5);
+      assert.equal(round.bets[0].cashouts[0].auto, true);
+      assert.equal(round.bets[1].cashedOut, false);
+      assert.equal(losses.mock.callCount(), 1);
+      assert.equal(round.status, 'voided');
+    });
+
+    it('caps recovered cashouts at the bet win limit', async () => {
+      const round = activeRound(10, [{ playerId: 'alice', autoCashoutAt: 5 }]);
+
+      await service.recoverRound(round, 'settle');
+
+      // $500 riding may win $1,000 at most
+      assert.equal(round.bets[0].cashoutMultiplier, 3);
+      assert.equal(round.bets[0].cashouts[0].auto, false);
+    });
+
+    it('caps recovered cashouts at the round win limit, counting what the round already paid', async () => {
+      const round = activeRound(10, [
+        { playerId: 'alice', autoCashoutAt: 2.5 },
+        { playerId: 'bob', autoCashoutAt: 2.5 },
+        { playerId: 'carol' }
+      ]);
+
+      // carol took $500 profit before the restart, leaving $1,000 for the $1,000 still riding
+      const carol = round.bets[2];
+      carol.cashouts.push({ fraction: 1, stakeCryptoAmount: 1000000n, stakeUsdAmount: 500, multiplier: 2, cryptoAmount: 2000000n, usdAmount: 1000 });
+      carol.cashedOut = true;
+
+      await service.recoverRound(round, 'settle');
+
+      assert.equal(round.bets[0].cashoutMultiplier, 2);
+      assert.equal(round.bets[1].cashoutMultiplier, 2);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const Player = require('../../src/models/Player');
+const Transaction = require('../../src/models/Transaction');
+const AmountUtils = require('../../src/utils/amountUtils');
+const LedgerService = require('../../src/services/LedgerService');
+
+const { ACCOUNTS } = LedgerService;
+
+describe('LedgerService', () => {
+  let service;
+  let saved;
+  let debit;
+  let credit;
+
+  beforeEach(() => {
+    service = new LedgerService();
+    saved = [];
+
+    mock.method(LedgerEntry.prototype, 'save', async function() {
+      saved.push(this);
+      return this;
+    });
+    mock.method(Transaction.prototype, 'save', async function() {
+      saved.push(this);
+      return this;
+    });
+    debit = mock.method(Player, 'debit', async playerId => ({ playerId }));
+    credit = mock.method(Player, 'credit', async playerId => ({ playerId }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Unsaved withdrawal record of 0.005 BTC
+   * @param {string} playerId - Player ID
+   * @returns {Object} Transaction document
+   */
+  const record = playerId => new Transaction({
+    transactionId: `tx_${playerId}`,
+    playerId,
+    roundId: 'withdrawal',
+    transactionType: 'withdrawal',
+    usdAmount: 250,
+    cryptoAmount: 500000n,
+    cryptocurrency: 'bitcoin',
+    priceAtTime: 50000,
+    transactionHash: 'hash'
+  });
+
+  describe('post', () => {
+    it('moves the amount between the wallets of both players', async () => {
+      const session = {};
+      const stats = { totalBets: 1 };
+
+      const { entry, players } = await service.post(LedgerService.playerAccount('alice'), LedgerService.playerAccount('bob'), 500000n, {
+        entryType: 'transfer',
+        cryptocurrency: 'bitcoin',
+        stats,
+        session
+      });
+
+      assert.deepEqual(debit.mock.calls[0].arguments, ['alice', 'bitcoin', 500000n, { session, stats }]);
+      assert.deepEqual(credit.mock.calls[0].arguments, ['bob', 'bitcoin', 500000n, { session, stats: {} }]);
+      assert.deepEqual(Object.keys(players), ['alice', 'bob']);
+      assert.deepEqual(entry.postings.map(posting => [posting.account, AmountUtils.toUnits(posting.amount)]), [
+        ['player:alice', -500000n],
+        ['player:bob', 500000n]
+      ]);
+    });
+
+    it('leaves system accounts out of the wallet projection', async () => {
+      const { players } = await service.post(LedgerService.playerAccount('alice'), ACCOUNTS.EXTERNAL, 500000n, {
+        entryType: 'withdrawal',
+        cryptocurrency: 'bitcoin'
+      });
+
+      assert.equal(debit.mock.callCount(), 1);
+      assert.equal(credit.mock.callCount(), 0);
+      assert.deepEqual(Object.keys(players), ['alice']);
+    });
+
+    it('saves the transactions it settles with the entry ID', async () => {
+      const transaction = record('alice');
+
+      const { entry } = await service.post(LedgerService.playerAccount('alice'), ACCOUNTS.EXTERNAL, 500000n, {
+        entryType: 'withdrawal',
+        cryptocurrency: 'bitcoin',
+        transactions: [transaction]
+      });
+
+      assert.deepEqual(saved, [entry, transaction]);
+      assert.equal(transaction.ledgerEntryId, entry.entryId);
+      assert.deepEqual([...entry.transactionIds], ['tx_alice']);
+      assert.equal(entry.usdAmount, 250);
+    });
+
+    it('rejects amounts that are not a positive number of base units', async () => {
+      for (const amount of [0n, -5n, 5]) {
+        await assert.rejects(service.post(ACCOUNTS.HOUSE_BANKROLL, LedgerService.playerAccount('alice'), amount, {
+          entryType: 'cashout',
+          cryptocurrency: 'bitcoin'
+        }), /positive number of base units/);
+      }
+
+      assert.equal(credit.mock.callCount(), 0);
+    });
+
+    it('checks the entry before changing any wallet', async () => {
+      await assert.rejects(service.post(LedgerService.playerAccount('alice'), ACCOUNTS.EXTERNAL, 500000n, {
+        entryType: 'gift',
+        cryptocurrency: 'bitcoin'
+      }));
+
+      assert.equal(debit.mock.callCount(), 0);
+      assert.equal(saved.length, 0);
+    });
+  });
+
+  describe('entry validation', () => {
+    it('rejects postings that do not sum to zero', async () => {
+      const entry = new LedgerEntry({
+        entryId: 'ledger_1',
+        entryType: 'cashout',
+        cryptocurrency: 'bitcoin',
+        postings: [
+          { account: ACCOUNTS.HOUSE_BANKROLL, amount: -500000n },
+          { account: 'player:alice', amount: 500001n }
+        ]
+      });
+
+      await assert.rejects(entry.validate(), /ledger_1 is not balanced/);
+    });
+
+    it('rejects a single posting', async () => {
+      const entry = new LedgerEntry({
+        entryId: 'ledger_2',
+        entryType: 'deposit',
+        cryptocurrency: 'bitcoin',
+        postings: [{ account: 'player:alice', amount: 500000n }]
+      });
+
+      await assert.rejects(entry.validate(), /at least two postings/);
+    });
+  });
+});
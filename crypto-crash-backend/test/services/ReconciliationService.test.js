@@ -0,0 +1,152 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Player = require('../../src/models/Player');
+const GameRound = require('../../src/models/GameRound');
+const Transaction = require('../../src/models/Transaction');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const ReconciliationReport = require('../../src/models/ReconciliationReport');
+const ReconciliationService = require('../../src/services/ReconciliationService');
+
+/**
+ * Query stub resolving to a result, with the select() and cursor() Mongoose queries chain
+ * @param {*} result - Document, or list of documents for cursor()
+ * @returns {Object} Thenable query
+ */
+const query = (result) => ({
+  select: () => query(result),
+  cursor: async function* () {
+    yield* result;
+  },
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+/**
+ * Whether a posting account matches a $match on postings.account
+ * @param {string} account - Account name
+ * @param {string|Object} condition - Account name or { $regex }
+ * @returns {boolean} True if it matches
+ */
+const accountMatches = (account, condition) => (
+  typeof condition === 'string' ? account === condition : new RegExp(condition.$regex).test(account)
+);
+
+describe('ReconciliationService', () => {
+  let wallets;
+  let transactions;
+  let entries;
+  let consoleLog;
+
+  beforeEach(() => {
+    // alice deposited 0.01 BTC; bob was granted 0.005 BTC, which has no transaction row
+    wallets = { alice: 1000000n, bob: 500000n };
+    transactions = [{ playerId: 'alice', cryptocurrency: 'bitcoin', transactionType: 'deposit', cryptoAmount: 1000000n }];
+    entries = [
+      { cryptocurrency: 'bitcoin', transactionIds: ['tx_1'], postings: [{ account: 'external', amount: -1000000n }, { account: 'player:alice', amount: 1000000n }] },
+      { cryptocurrency: 'bitcoin', transactionIds: [], postings: [{ account: 'house:bonus', amount: -500000n }, { account: 'player:bob', amount: 500000n }] }
+    ];
+
+    const player = playerId => new Player({ playerId, username: playerId, wallet: { bitcoin: wallets[playerId] } });
+
+    mock.method(Player, 'find', () => query(Object.keys(wallets).map(player)));
+    mock.method(Player, 'findOne', filter => query(filter.playerId in wallets ? player(filter.playerId) : null));
+    mock.method(Player, 'exists', async filter => filter.playerId in wallets);
+
+    // Only the $match stages and $group keys the service uses are understood
+    mock.method(Transaction, 'aggregate', async ([{ $match }]) => {
+      const totals = new Map();
+      for (const row of transactions.filter(t => !$match.playerId || t.playerId === $match.playerId)) {
+        const key = `${row.playerId} ${row.cryptocurrency} ${row.transactionType}`;
+        const total = totals.get(key) || { _id: { playerId: row.playerId, cryptocurrency: row.cryptocurrency, transactionType: row.transactionType }, total: 0n };
+        total.total += row.cryptoAmount;
+        totals.set(key, total);
+      }
+      return [...totals.values()];
+    });
+    mock.method(LedgerEntry, 'aggregate', async ([{ $match }, , , { $group }]) => {
+      const account = $match['postings.account'];
+      const totals = new Map();
+      for (const entry of entries) {
+        if ($match.transactionIds && entry.transactionIds.length > 0) {
+          continue;
+        }
+        for (const posting of entry.postings.filter(p => accountMatches(p.account, account))) {
+          // LedgerService.getBalances groups by asset alone
+          const byAsset = $group._id === '$cryptocurrency';
+          const key = byAsset ? entry.cryptocurrency : `${posting.account} ${entry.cryptocurrency}`;
+          const total = totals.get(key) || (byAsset
+            ? { _id: entry.cryptocurrency, balance: 0n }
+            : { _id: { account: posting.account, cryptocurrency: entry.cryptocurrency }, total: 0n });
+          total[byAsset ? 'balance' : 'total'] += posting.amount;
+          totals.set(key, total);
+        }
+      }
+      return [...totals.values()];
+    });
+
+    mock.method(GameRound, 'find', () => query([]));
+    mock.method(ReconciliationReport.prototype, 'save', async function() {
+      return this;
+    });
+
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    console.log = consoleLog;
+  });
+
+  it('reports nothing when wallets match their transactions and ledger accounts', async () => {
+    const report = await new ReconciliationService().run();
+
+    assert.equal(report.status, 'completed');
+    assert.equal(report.playersChecked, 2);
+    assert.equal(report.discrepancyCount, 0);
+  });
+
+  it('reports a wallet that differs from its ledger account', async () => {
+    wallets.bob = 700000n;
+
+    const report = await new ReconciliationService().run();
+
+    assert.equal(report.discrepancyCount, 2);
+    const [wallet, ledger] = report.discrepancies;
+    assert.deepEqual(
+      { type: wallet.type, playerId: wallet.playerId, cryptocurrency: wallet.cryptocurrency, expected: wallet.expected, actual: wallet.actual },
+      { type: 'wallet_mismatch', playerId: 'bob', cryptocurrency: 'bitcoin', expected: 500000n, actual: 700000n }
+    );
+    assert.deepEqual(
+      { type: ledger.type, expected: ledger.expected, actual: ledger.actual },
+      { type: 'ledger_mismatch', expected: 500000n, actual: 700000n }
+    );
+    assert.equal(ledger.message, 'bitcoin wallet is 0.007 but the ledger account holds 0.005');
+  });
+
+  it('reports a ledger account that differs from the transactions alone', async () => {
+    // A deposit row whose ledger entry is missing
+    transactions.push({ playerId: 'alice', cryptocurrency: 'bitcoin', transactionType: 'deposit', cryptoAmount: 200000n });
+    wallets.alice = 1200000n;
+
+    const report = await new ReconciliationService().run();
+
+    assert.deepEqual(report.discrepancies.map(d => [d.type, d.playerId, d.expected, d.actual]), [
+      ['ledger_mismatch', 'alice', 1000000n, 1200000n]
+    ]);
+  });
+
+  it('skips a player whose wallet changes while it is checked', async () => {
+    wallets.bob = 700000n;
+    let reads = 0;
+    Player.findOne.mock.mockImplementation(() => {
+      reads++;
+      return query(new Player({ playerId: 'bob', username: 'bob', wallet: { bitcoin: 700000n + BigInt(reads) } }));
+    });
+
+    const report = await new ReconciliationService().run();
+
+    assert.equal(report.playersSkipped, 1);
+    assert.equal(report.discrepancyCount, 0);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SEED_CHAIN_LENGTH = '25';
+process.env.SEED_CHAIN_CHECKPOINT_INTERVAL = '4';
+
+const SeedChain = require('../../src/models/SeedChain');
+const SeedChainService = require('../../src/services/SeedChainService');
+const CryptoUtils = require('../../src/utils/cryptoUtils');
+
+/**
+ * Every link of a chain, chain[0] being the terminal secret
+ * @param {string} terminalSecret - Secret at the end of the chain
+ * @param {number} length - Number of seeds in the chain
+ * @returns {string[]} Chain of length + 1 links
+ */
+const fullChain = (terminalSecret, length) => {
+  const chain = [terminalSecret];
+  for (let k = 1; k <= length; k++) {
+    chain.push(CryptoUtils.hashSeed(chain[k - 1]));
+  }
+  return chain;
+};
+
+/**
+ * Query stub resolving to a document, with the select() Mongoose queries chain
+ * @param {Object|null} doc - Document to resolve to
+ * @returns {Object} Thenable query
+ */
+const query = (doc) => ({
+  select: () => query(doc),
+  sort: () => query(doc),
+  then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject)
+});
+
+describe('SeedChainService', () => {
+  let stored;
+  let consoleLog;
+
+  beforeEach(() => {
+    stored = null;
+
+    mock.method(SeedChain.prototype, 'save', async function() {
+      stored = this;
+      return this;
+    });
+    mock.method(SeedChain, 'findOne', () => query(stored));
+    mock.method(SeedChain, 'findOneAndUpdate', async () => {
+      const before = { chainId: stored.chainId, length: stored.length, nextIndex: stored.nextIndex };
+      stored.nextIndex++;
+      return before;
+    });
+
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    console.log = consoleLog;
+  });
+
+  it('keeps only every checkpointInterval-th link of a new chain', async () => {
+    const service = new SeedChainService();
+    await service.createChain();
+
+    const chain = fullChain(stored.terminalSecret, 25);
+    assert.equal(stored.commitment, chain[25]);
+    assert.deepEqual([...stored.checkpoints], [0, 4, 8, 12, 16, 20, 24].map(k => chain[k]));
+  });
+
+  it('hands out the chain in reverse, each seed hashing to the one before', async () => {
+    const service = new SeedChainService();
+    await service.createChain();
+    const chain = fullChain(stored.terminalSecret, 25);
+
+    for (let index = 1; index <= 25; index++) {
+      const { seed, chainIndex } = await service.nextSeed();
+      assert.equal(chainIndex, index);
+      assert.equal(seed, chain[25 - index]);
+      assert.ok(service.segment.links.length <= 4);
+    }
+  });
+
+  it('verifies used seeds within checkpointInterval hashes', async () => {
+    const service = new SeedChainService();
+    await service.createChain();
+    const chain = fullChain(stored.terminalSecret, 25);
+    const walk = mock.method(CryptoUtils, 'walkSeedChain');
+
+    for (let index = 1; index <= 10; index++) {
+      await service.nextSeed();
+    }
+
+    for (let index = 1; index <= 10; index++) {
+      const result = await service.verifySeed(chain[25 - index], stored.chainId);
+      assert.equal(result.isValid, true);
+      assert.equal(result.chainIndex, index);
+      assert.equal(result.previousSeed, chain[25 - index + 1]);
+    }
+
+    assert.ok(walk.mock.calls.every(call => call.arguments[2] <= 4));
+  });
+
+  it('rejects seeds that are not on the chain', async () => {
+    const service = new SeedChainService();
+    await service.createChain();
+    await service.nextSeed();
+
+    const result = await service.verifySeed(CryptoUtils.generateSeed(), stored.chainId);
+    assert.equal(result.isValid, false);
+    assert.equal(result.chainIndex, null);
+  });
+
+  it('adds checkpoints to chains created without them', async () => {
+    const terminalSecret = CryptoUtils.generateSeed();
+    const chain = fullChain(terminalSecret, 25);
+    stored = new SeedChain({ chainId: 'chain_main_1', terminalSecret, commitment: chain[25], length: 25, nextIndex: 3 });
+    const update = mock.method(SeedChain, 'updateOne', async () => ({}));
+
+    const service = new SeedChainService();
+    await service.loadActiveChain();
+
+    assert.equal(update.mock.callCount(), 1);
+    assert.equal((await service.nextSeed()).seed, chain[25 - 3]);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PRICE_PROVIDERS = 'mock';
+process.env.MONGODB_TRANSACTIONS = 'false';
+
+const Player = require('../../src/models/Player');
+const Transaction = require('../../src/models/Transaction');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const SwapQuote = require('../../src/models/SwapQuote');
+const AmountUtils = require('../../src/utils/amountUtils');
+const SwapService = require('../../src/services/SwapService');
+
+const PRICES = { bitcoin: 50000, ethereum: 2500 };
+
+describe('SwapService', () => {
+  let service;
+  let quote;
+  let entries;
+  let records;
+  let claim;
+  let consoleLog;
+  let consoleError;
+
+  beforeEach(() => {
+    service = new SwapService();
+
+    // alice swaps 0.01 BTC for ETH, with the quote still valid
+    quote = new SwapQuote({
+      quoteId: 'quote_1',
+      playerId: 'alice',
+      fromCryptocurrency: 'bitcoin',
+      toCryptocurrency: 'ethereum',
+      fromAmount: 1000000n,
+      toAmount: service.quoteAmount(1000000n, 'bitcoin', 'ethereum', PRICES),
+      fromPrice: PRICES.bitcoin,
+      toPrice: PRICES.ethereum,
+      spread: service.spread,
+      usdValue: 500,
+      expiresAt: new Date(Date.now() + 10000)
+    });
+    entries = [];
+    records = [];
+
+    mock.method(SwapQuote, 'findOne', async () => quote);
+    claim = mock.method(SwapQuote, 'findOneAndUpdate', async (filter, update) => Object.assign(quote, update));
+    mock.method(service.cryptoService, 'getTradablePriceQuotes', async ids => Object.fromEntries(ids.map(id => [id, { price: PRICES[id], sources: ['mock'] }])));
+
+    const wallet = () => new Player({ playerId: 'alice', username: 'alice', wallet: { bitcoin: 0n, ethereum: quote.toAmount } });
+    mock.method(Player, 'debit', async () => wallet());
+    mock.method(Player, 'credit', async () => wallet());
+    mock.method(LedgerEntry.prototype, 'save', async function() {
+      entries.push(this);
+      return this;
+    });
+    mock.method(Transaction.prototype, 'save', async function() {
+      records.push(this);
+      return this;
+    });
+
+    consoleLog = console.log;
+    consoleError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  /**
+   * Account and amount of each posting of a ledger entry
+   * @param {Object} entry - Ledger entry
+   * @returns {Array[]} [account, amount] pairs
+   */
+  const postingsOf = entry => entry.postings.map(posting => [posting.account, AmountUtils.toUnits(posting.amount)]);
+
+  describe('executeQuote', () => {
+    it('swaps through the exchange account at the quoted amounts', async () => {
+      const result = await service.executeQuote('alice', 'quote_1');
+
+      assert.equal(result.success, true);
+      assert.equal(quote.status, 'executed');
+
+      const [out, into] = entries;
+      assert.deepEqual([out.entryType, out.cryptocurrency], ['swap', 'bitcoin']);
+      assert.deepEqual(postingsOf(out), [['player:alice', -1000000n], ['house:exchange', 1000000n]]);
+      assert.deepEqual([into.entryType, into.cryptocurrency], ['swap', 'ethereum']);
+      assert.deepEqual(postingsOf(into), [['house:exchange', -quote.toAmount], ['player:alice', quote.toAmount]]);
+
+      const [debit, credit] = records;
+      assert.deepEqual([debit.transactionType, debit.ledgerEntryId], ['swap_out', out.entryId]);
+      assert.deepEqual([credit.transactionType, credit.ledgerEntryId], ['swap_in', into.entryId]);
+      assert.deepEqual([...quote.transactionIds], [debit.transactionId, credit.transactionId]);
+    });
+
+    it('refuses an expired quote without touching the wallet', async () => {
+      quote.expiresAt = new Date(Date.now() - 1);
+
+      await assert.rejects(service.executeQuote('alice', 'quote_1'), /Quote has expired/);
+
+      assert.equal(claim.mock.callCount(), 0);
+      assert.equal(Player.debit.mock.callCount(), 0);
+      assert.equal(entries.length, 0);
+    });
+
+    it('refuses a quote that prices have moved beyond the slippage tolerance', async () => {
+      service.cryptoService.getTradablePriceQuotes.mock.mockImplementation(async () => ({
+        bitcoin: { price: 50000, sources: ['mock'] },
+        ethereum: { price: 2400, sources: ['mock'] }
+      }));
+
+      await assert.rejects(service.executeQuote('alice', 'quote_1'), /beyond the 1.00% slippage tolerance/);
+
+      assert.equal(entries.length, 0);
+    });
+
+    it('refuses a quote claimed by a concurrent execution', async () => {
+      claim.mock.mockImplementation(async () => null);
+
+      await assert.rejects(service.executeQuote('alice', 'quote_1'), /already executed/);
+
+      assert.equal(entries.length, 0);
+    });
+  });
+});
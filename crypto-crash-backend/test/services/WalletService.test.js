@@ -0,0 +1,171 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PRICE_PROVIDERS = 'mock';
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const Player = require('../../src/models/Player');
+const Transaction = require('../../src/models/Transaction');
+const AmountUtils = require('../../src/utils/amountUtils');
+const WalletService = require('../../src/services/WalletService');
+
+/**
+ * Query stub resolving to a result, with the sort/limit/skip/session Mongoose queries chain
+ * @param {*} result - Result to resolve to
+ * @returns {Object} Thenable query
+ */
+const query = (result) => ({
+  sort: () => query(result),
+  limit: () => query(result),
+  skip: () => query(result),
+  session: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+describe('WalletService', () => {
+  let service;
+  let consoleLog;
+  let consoleError;
+
+  beforeEach(() => {
+    service = new WalletService();
+
+    consoleLog = console.log;
+    consoleError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  describe('getTransactionHistory', () => {
+    let filters;
+
+    beforeEach(() => {
+      filters = [];
+      mock.method(LedgerEntry, 'find', (filter) => {
+        filters.push(filter);
+        return query([]);
+      });
+      mock.method(LedgerEntry, 'countDocuments', async () => 0);
+    });
+
+    /**
+     * Ledger filter the history of a type is read with
+     * @param {string|null} type - type query parameter
+     * @returns {Promise<Object>} MongoDB filter
+     */
+    const filterFor = async (type) => {
+      await service.getTransactionHistory('alice', { type });
+      return filters[filters.length - 1];
+    };
+
+    const sideOf = (filter) => Object.keys(filter.postings.$elemMatch.amount)[0];
+
+    it('lists every entry of the account without a type', async () => {
+      assert.deepEqual(await filterFor(null), { 'postings.account': 'player:alice' });
+    });
+
+    it('includes transfers received in deposits', async () => {
+      const filter = await filterFor('deposit');
+
+      assert.deepEqual(filter.entryType, { $in: ['deposit', 'transfer'] });
+      assert.equal(filter.postings.$elemMatch.account, 'player:alice');
+      assert.equal(sideOf(filter), '$gt');
+    });
+
+    it('includes transfers sent in withdrawals', async () => {
+      const filter = await filterFor('withdrawal');
+
+      assert.deepEqual(filter.entryType, { $in: ['withdrawal', 'transfer'] });
+      assert.equal(sideOf(filter), '$lt');
+    });
+
+    it('maps swap_out and swap_in to the debited and credited sides of swaps', async () => {
+      const out = await filterFor('swap_out');
+      const into = await filterFor('swap_in');
+
+      assert.deepEqual(out.entryType, { $in: ['swap'] });
+      assert.equal(sideOf(out), '$lt');
+      assert.deepEqual(into.entryType, { $in: ['swap'] });
+      assert.equal(sideOf(into), '$gt');
+    });
+
+    it('matches other types by entry type', async () => {
+      assert.deepEqual(await filterFor('cashout'), { 'postings.account': 'player:alice', entryType: { $in: ['cashout'] } });
+    });
+  });
+
+  describe('balance changes', () => {
+    let wallets;
+
+    // Bitcoin wallets held in memory behind Player.findOneAndUpdate, honouring the
+    // balance guard of Player.debit, and restored when a transaction aborts
+    beforeEach(() => {
+      wallets = new Map([['alice', 1000000n], ['bob', 0n]]);
+
+      mock.method(Player, 'findOneAndUpdate', async (filter, update) => {
+        const balance = wallets.get(filter.playerId);
+        const guard = filter['wallet.bitcoin'];
+        if (balance === undefined || (guard && balance < AmountUtils.toUnits(guard.$gte))) {
+          return null;
+        }
+
+        wallets.set(filter.playerId, balance + AmountUtils.toUnits(update.$inc['wallet.bitcoin']));
+        return new Player({ playerId: filter.playerId, username: filter.playerId, wallet: { bitcoin: wallets.get(filter.playerId) } });
+      });
+      mock.method(Player, 'exists', filter => query(wallets.has(filter.playerId)));
+      mock.method(mongoose.connection, 'transaction', async (fn) => {
+        const snapshot = new Map(wallets);
+        try {
+          return await fn({});
+        } catch (error) {
+          wallets = snapshot;
+          throw error;
+        }
+      });
+
+      mock.method(LedgerEntry.prototype, 'save', async function() {
+        return this;
+      });
+      mock.method(Transaction.prototype, 'save', async function() {
+        return this;
+      });
+      mock.method(service.cryptoService, 'getTradablePrice', async () => 50000);
+      mock.method(service.cryptoService, 'getCurrentPrice', async () => 50000);
+    });
+
+    it('withdraws within the balance', async () => {
+      const result = await service.withdrawCrypto('alice', '0.004', 'bitcoin');
+
+      assert.equal(result.newBalance, 0.006);
+      assert.equal(wallets.get('alice'), 600000n);
+    });
+
+    it('refuses a withdrawal above the balance, leaving it unchanged', async () => {
+      await assert.rejects(service.withdrawCrypto('alice', '0.011', 'bitcoin'), /Insufficient balance/);
+
+      assert.equal(wallets.get('alice'), 1000000n);
+    });
+
+    it('rolls both wallets of a transfer back when its records fail to save', async () => {
+      let saves = 0;
+      Transaction.prototype.save.mock.mockImplementation(async function() {
+        if (++saves === 2) {
+          throw new Error('Write conflict');
+        }
+        return this;
+      });
+
+      await assert.rejects(service.transferCrypto('alice', 'bob', '0.004', 'bitcoin'), /Write conflict/);
+
+      assert.equal(wallets.get('alice'), 1000000n);
+      assert.equal(wallets.get('bob'), 0n);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AmountUtils = require('../../src/utils/amountUtils');
+const AssetRegistry = require('../../src/utils/assetRegistry');
+
+describe('AmountUtils', () => {
+  // The registry accepts assets without a fractional unit; none is configured by default
+  before(() => {
+    const get = AssetRegistry.get.bind(AssetRegistry);
+    mock.method(AssetRegistry, 'get', id => (id === 'points' ? { id, decimals: 0 } : get(id)));
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  describe('format', () => {
+    it('formats base units as whole coins without trailing zeros', () => {
+      assert.equal(AmountUtils.format(150000000n, 'bitcoin'), '1.5');
+      assert.equal(AmountUtils.format(15000n, 'bitcoin'), '0.00015');
+      assert.equal(AmountUtils.format(0n, 'bitcoin'), '0');
+      assert.equal(AmountUtils.format(-250000000n, 'bitcoin'), '-2.5');
+    });
+
+    it('keeps wei amounts beyond the safe integer range exact', () => {
+      assert.equal(AmountUtils.format(123456789012345678901n, 'ethereum'), '123.456789012345678901');
+    });
+
+    it('formats assets with 0 decimals as integers', () => {
+      assert.equal(AmountUtils.format(5n, 'points'), '5');
+      assert.equal(AmountUtils.format(120n, 'points'), '120');
+      assert.equal(AmountUtils.format(0n, 'points'), '0');
+      assert.equal(AmountUtils.format(-7n, 'points'), '-7');
+    });
+  });
+
+  describe('toNumber', () => {
+    it('converts base units to whole coins', () => {
+      assert.equal(AmountUtils.toNumber(150000000n, 'bitcoin'), 1.5);
+      assert.equal(AmountUtils.toNumber(12n, 'points'), 12);
+    });
+  });
+
+  describe('parseAmount', () => {
+    it('parses decimal amounts into base units', () => {
+      assert.equal(AmountUtils.parseAmount('0.015', 'bitcoin'), 1500000n);
+      assert.equal(AmountUtils.parseAmount(0.00000001, 'bitcoin'), 1n);
+      assert.equal(AmountUtils.parseAmount('12', 'points'), 12n);
+      assert.equal(AmountUtils.parseAmount('12.0', 'points'), 12n);
+    });
+
+    it('rejects more decimal places than the base unit has', () => {
+      assert.throws(() => AmountUtils.parseAmount('0.000000001', 'bitcoin'), /more than 8 decimal places/);
+      assert.throws(() => AmountUtils.parseAmount('1.5', 'points'), /more than 0 decimal places/);
+    });
+
+    it('round-trips through format', () => {
+      for (const [text, crypto] of [['1.5', 'bitcoin'], ['0.000000000000000001', 'ethereum'], ['42', 'points']]) {
+        assert.equal(AmountUtils.format(AmountUtils.parseAmount(text, crypto), crypto), text);
+      }
+    });
+  });
+
+  describe('rounding', () => {
+    it('rounds USD conversions, multipliers and fractions down', () => {
+      assert.equal(AmountUtils.fromUsd(10, 3, 'bitcoin'), 333333333n);
+      assert.equal(AmountUtils.multiply(3n, 1.5), 4n);
+      assert.equal(AmountUtils.fraction(3n, 0.5), 1n);
+    });
+
+    it('rounds multipliers down to 4 decimal places', () => {
+      // 1.23456x would round up to 1.2346x
+      assert.equal(AmountUtils.multiply(100000000n, 1.23456), 123450000n);
+      assert.equal(AmountUtils.fraction(100000000n, 0.3333337), 33333300n);
+    });
+
+    it('keeps exact multipliers despite float error', () => {
+      // 1.1 * 10000 is 11000.000000000002 and 1.005 * 10000 is 10049.999999999998
+      assert.equal(AmountUtils.multiply(100000000n, 1.1), 110000000n);
+      assert.equal(AmountUtils.multiply(100000000n, 1.005), 100500000n);
+      assert.equal(AmountUtils.fraction(100000000n, 0.29), 29000000n);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const mongoose = require('mongoose');
+const DbUtils = require('../../src/utils/dbUtils');
+
+describe('DbUtils', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.MONGODB_TRANSACTIONS;
+  });
+
+  describe('withTransaction', () => {
+    it('runs the work in a session and returns its result', async () => {
+      const session = {};
+      const transaction = mock.method(mongoose.connection, 'transaction', async fn => fn(session));
+
+      const result = await DbUtils.withTransaction(async (given) => {
+        assert.equal(given, session);
+        return 'done';
+      });
+
+      assert.equal(result, 'done');
+      assert.equal(transaction.mock.callCount(), 1);
+    });
+
+    it('rethrows the error of work that fails', async () => {
+      mock.method(mongoose.connection, 'transaction', async fn => fn({}));
+
+      await assert.rejects(DbUtils.withTransaction(async () => {
+        throw new Error('Insufficient balance');
+      }), /Insufficient balance/);
+    });
+
+    it('runs the work without a session when transactions are disabled', async () => {
+      process.env.MONGODB_TRANSACTIONS = 'false';
+      const transaction = mock.method(mongoose.connection, 'transaction');
+
+      const result = await DbUtils.withTransaction(async session => session);
+
+      assert.equal(result, null);
+      assert.equal(transaction.mock.callCount(), 0);
+    });
+  });
+});
@@ -161,6 +161,7 @@ class CryptoCrashClient {
                 this.playerInfo.style.display = 'block';
                 this.betBtn.disabled = false;
                 this.log(`Player registered: ${this.currentPlayerId}`, 'success');
+                this.loadAssets();
                 this.loadPlayerBalance();
                 break;
                 
@@ -215,6 +216,14 @@ class CryptoCrashClient {
                 }
                 break;
                 
+            case 'betting_suspended':
+                this.log(data.data.message, 'warning');
+                break;
+                
+            case 'betting_resumed':
+                this.log(`Betting resumed in ${data.data.cryptocurrencies.join(', ')}`, 'success');
+                break;
+                
             case 'cashout_success':
                 this.log(`Cashout successful: ${data.data.multiplier.toFixed(2)}x multiplier, $${data.data.amount.toFixed(2)} won`, 'success');
                 this.cashoutBtn.disabled = true;
@@ -347,6 +356,23 @@ class CryptoCrashClient {
         this.log('Requesting game state...', 'info');
     }
 
+    async loadAssets() {
+        try {
+            const response = await this.makeApiRequest('/api/crypto/supported', 'GET');
+            if (response.success) {
+                const selected = this.cryptocurrency.value;
+                this.cryptocurrency.innerHTML = response.data.assets
+                    .map(asset => `<option value="${asset.id}">${asset.name} (${asset.ticker})</option>`)
+                    .join('');
+                if (response.data.assets.some(asset => asset.id === selected)) {
+                    this.cryptocurrency.value = selected;
+                }
+            }
+        } catch (error) {
+            this.log(`Failed to load assets: ${error.message}`, 'error');
+        }
+    }
+
     async loadPlayerBalance() {
         if (!this.currentPlayerId) return;
         
@@ -364,16 +390,12 @@ class CryptoCrashClient {
     updateBalanceDisplay() {
         if (!this.playerBalance) return;
         
-        this.balanceDisplay.innerHTML = `
-            <div class="balance-item">
-                <div class="crypto">${this.playerBalance.wallet.bitcoin.amount.toFixed(6)} BTC</div>
-                <div class="usd">$${this.playerBalance.wallet.bitcoin.usdValue.toFixed(2)}</div>
-            </div>
+        this.balanceDisplay.innerHTML = Object.values(this.playerBalance.wallet).map(balance => `
             <div class="balance-item">
-                <div class="crypto">${this.playerBalance.wallet.ethereum.amount.toFixed(4)} ETH</div>
-                <div class="usd">$${this.playerBalance.wallet.ethereum.usdValue.toFixed(2)}</div>
+                <div class="crypto">${balance.display} ${balance.ticker}</div>
+                <div class="usd">$${balance.usdValue.toFixed(2)}</div>
             </div>
-        `;
+        `).join('');
     }
 
     async makeApiRequest(endpoint, method = 'GET', body = null) {
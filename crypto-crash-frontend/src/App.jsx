@@ -5,34 +5,66 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card.j
 import { Badge } from '@/components/ui/badge.jsx'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs.jsx'
-import { TrendingUp, TrendingDown, Wallet, History, Users, Bitcoin, Zap, DollarSign } from 'lucide-react'
+import { Wallet, History, Users, Bitcoin, Zap, DollarSign } from 'lucide-react'
 import { LineChart, Line, XAxis, YAxis, ResponsiveContainer } from 'recharts'
+import { multiplierAt } from '@/lib/multiplier.js'
 import './App.css'
 
 const API_BASE = 'http://localhost:3000/api'
 const WS_URL = 'ws://localhost:3000'
+const MAX_BETS_PER_PLAYER = 2
+const DEFAULT_ROOM_ID = 'main'
+
+// Used until the server's asset list arrives
+const DEFAULT_ASSETS = [
+  { id: 'bitcoin', ticker: 'BTC', name: 'Bitcoin' },
+  { id: 'ethereum', ticker: 'ETH', name: 'Ethereum' }
+]
+
+// Demo starting balances; assets the server doesn't support are left out
+const DEMO_BALANCES = { bitcoin: 0.01, ethereum: 1.0 }
+
+const ASSET_COLORS = { ethereum: 'bg-blue-500' }
+
+const EMPTY_BALANCE = { amount: 0, display: '0', usdValue: 0 }
+
+function AssetIcon({ assetId, className }) {
+  if (assetId === 'bitcoin') {
+    return <Bitcoin className={`${className} text-orange-500`} />
+  }
+  return <div className={`${className} ${ASSET_COLORS[assetId] || 'bg-gray-500'} rounded-full`} />
+}
 
 function App() {
   // Game state
   const [gameState, setGameState] = useState({
     roundId: null,
     status: 'waiting',
+    phase: null,
+    phaseDeadline: null,
     multiplier: 1.00,
+    curveProfile: null,
     isActive: false,
     startTime: null,
-    bets: 0
+    bets: 0,
+    suspendedCryptocurrencies: []
   })
   
   // Player state
   const [playerId, setPlayerId] = useState('player_' + Math.random().toString(36).substr(2, 9))
-  const [playerBalance, setPlayerBalance] = useState({ bitcoin: 0, ethereum: 0 })
+  const [playerBalance, setPlayerBalance] = useState({})
   const [betAmount, setBetAmount] = useState('')
+  const [autoCashoutAt, setAutoCashoutAt] = useState('')
   const [selectedCrypto, setSelectedCrypto] = useState('bitcoin')
-  const [hasBet, setHasBet] = useState(false)
-  const [canCashOut, setCanCashOut] = useState(false)
+  const [myBets, setMyBets] = useState([])
+
+  // Room state
+  const [rooms, setRooms] = useState([])
+  const [roomId, setRoomId] = useState(DEFAULT_ROOM_ID)
   
   // UI state
-  const [cryptoPrices, setCryptoPrices] = useState({ bitcoin: 67000, ethereum: 3500 })
+  const [assets, setAssets] = useState(DEFAULT_ASSETS)
+  const [cryptoPrices, setCryptoPrices] = useState({})
   const [gameHistory, setGameHistory] = useState([])
   const [multiplierHistory, setMultiplierHistory] = useState([])
   const [connectedPlayers, setConnectedPlayers] = useState(0)
@@ -41,11 +73,14 @@ function App() {
   // WebSocket
   const ws = useRef(null)
   const multiplierInterval = useRef(null)
+  const multiplierCurve = useRef(null)
+  const currentRoomId = useRef(DEFAULT_ROOM_ID)
 
   // Initialize player and connect to WebSocket
   useEffect(() => {
     initializePlayer()
     connectWebSocket()
+    fetchRooms()
     fetchCryptoPrices()
     fetchGameHistory()
     
@@ -61,6 +96,14 @@ function App() {
 
   const initializePlayer = async () => {
     try {
+      const supported = await fetchAssets()
+      const initialBalance = {}
+      for (const asset of supported) {
+        if (DEMO_BALANCES[asset.id]) {
+          initialBalance[asset.id] = DEMO_BALANCES[asset.id]
+        }
+      }
+
       // Create player if doesn't exist
       await fetch(`${API_BASE}/wallet/player`, {
         method: 'POST',
@@ -68,7 +111,7 @@ function App() {
         body: JSON.stringify({
           playerId,
           username: playerId,
-          initialBalance: { bitcoin: 0.01, ethereum: 1.0 }
+          initialBalance
         })
       })
       
@@ -92,6 +135,11 @@ function App() {
         type: 'register_player',
         playerId
       }))
+      // Rejoin the selected room after a reconnect
+      ws.current.send(JSON.stringify({
+        type: 'join_room',
+        roomId: currentRoomId.current
+      }))
     }
     
     ws.current.onmessage = (event) => {
@@ -112,6 +160,31 @@ function App() {
 
   const handleWebSocketMessage = (message) => {
     switch (message.type) {
+      case 'room_joined': {
+        const state = message.data.gameState
+        setGameState(prev => ({
+          ...prev,
+          roundId: state.roundId || null,
+          status: state.status,
+          phase: state.phase || null,
+          phaseDeadline: state.phaseDeadline || null,
+          multiplier: state.multiplier || 1.00,
+          curveProfile: state.curveProfile || null,
+          isActive: state.status === 'waiting' || state.status === 'active',
+          bets: state.bets || 0,
+          suspendedCryptocurrencies: state.suspendedCryptocurrencies || []
+        }))
+        if (state.multiplierStartTime) {
+          multiplierCurve.current = {
+            startTime: state.multiplierStartTime,
+            growthRate: state.growthRate,
+            clockOffset: state.serverTime - Date.now()
+          }
+          startMultiplierUpdates()
+        }
+        break
+      }
+
       case 'round_started':
         setGameState(prev => ({
           ...prev,
@@ -119,15 +192,28 @@ function App() {
           status: 'active',
           isActive: true,
           startTime: new Date(message.data.startTime),
-          multiplier: 1.00
+          multiplier: 1.00,
+          curveProfile: message.data.curveProfile
         }))
-        setHasBet(false)
-        setCanCashOut(false)
+        setMyBets([])
         setMultiplierHistory([])
         startMultiplierUpdates()
         break
         
+      case 'phase_changed':
+        setGameState(prev => ({
+          ...prev,
+          phase: message.data.phase,
+          phaseDeadline: message.data.deadline
+        }))
+        break
+        
       case 'multiplier_update':
+        multiplierCurve.current = {
+          startTime: message.data.multiplierStartTime,
+          growthRate: message.data.growthRate,
+          clockOffset: message.data.timestamp - Date.now()
+        }
         setGameState(prev => ({
           ...prev,
           multiplier: message.data.multiplier
@@ -145,15 +231,22 @@ function App() {
           isActive: false,
           multiplier: message.data.crashPoint
         }))
-        setCanCashOut(false)
         stopMultiplierUpdates()
+        multiplierCurve.current = null
         fetchGameHistory()
         break
         
       case 'bet_placed':
         if (message.data.playerId === playerId) {
-          setHasBet(true)
-          setCanCashOut(true)
+          setMyBets(prev => [...prev, {
+            betId: message.data.betId,
+            slot: message.data.slot,
+            usdAmount: message.data.usdAmount,
+            remainingUsdAmount: message.data.usdAmount,
+            cryptocurrency: message.data.cryptocurrency,
+            autoCashoutAt: message.data.autoCashoutAt,
+            cashoutMultiplier: null
+          }].sort((a, b) => a.slot - b.slot))
         }
         setGameState(prev => ({
           ...prev,
@@ -161,23 +254,55 @@ function App() {
         }))
         break
         
+      case 'bet_cancelled':
+        if (message.data.playerId === playerId) {
+          setMyBets(prev => prev.filter(bet => bet.betId !== message.data.betId))
+        }
+        setGameState(prev => ({
+          ...prev,
+          bets: Math.max(0, prev.bets - 1)
+        }))
+        break
+        
+      case 'betting_suspended':
+        setGameState(prev => ({
+          ...prev,
+          suspendedCryptocurrencies: message.data.cryptocurrencies
+        }))
+        break
+        
+      case 'betting_resumed':
+        setGameState(prev => ({
+          ...prev,
+          suspendedCryptocurrencies: []
+        }))
+        break
+        
       case 'player_cashed_out':
         if (message.data.playerId === playerId) {
-          setCanCashOut(false)
-          setHasBet(false)
+          setMyBets(prev => prev.map(bet => {
+            if (bet.betId !== message.data.betId) return bet
+            // Partial cashouts leave the rest of the stake riding
+            return message.data.partial
+              ? { ...bet, remainingUsdAmount: message.data.remainingUsdAmount }
+              : { ...bet, remainingUsdAmount: 0, cashoutMultiplier: message.data.multiplier }
+          }))
         }
         break
     }
   }
 
   const startMultiplierUpdates = () => {
+    stopMultiplierUpdates()
     multiplierInterval.current = setInterval(() => {
-      if (gameState.isActive && gameState.startTime) {
-        const elapsed = (Date.now() - new Date(gameState.startTime).getTime()) / 1000
-        const newMultiplier = 1 + (elapsed * 0.1) // Simple linear growth for demo
+      const curve = multiplierCurve.current
+      if (curve) {
+        // Follow the server's curve on the server's clock between updates
+        const elapsed = Date.now() + curve.clockOffset - curve.startTime
+        const newMultiplier = multiplierAt(elapsed, curve.growthRate)
         setGameState(prev => ({ ...prev, multiplier: newMultiplier }))
       }
-    }, 100)
+    }, 50)
   }
 
   const stopMultiplierUpdates = () => {
@@ -187,6 +312,23 @@ function App() {
     }
   }
 
+  const fetchAssets = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/crypto/supported`)
+      const data = await response.json()
+      if (data.success && data.data.assets.length > 0) {
+        setAssets(data.data.assets)
+        setSelectedCrypto(current =>
+          data.data.assets.some(asset => asset.id === current) ? current : data.data.assets[0].id
+        )
+        return data.data.assets
+      }
+    } catch (error) {
+      console.error('Failed to fetch supported assets:', error)
+    }
+    return DEFAULT_ASSETS
+  }
+
   const fetchCryptoPrices = async () => {
     try {
       const response = await fetch(`${API_BASE}/crypto/prices`)
@@ -199,9 +341,21 @@ function App() {
     }
   }
 
+  const fetchRooms = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/game/rooms`)
+      const data = await response.json()
+      if (data.success) {
+        setRooms(data.data.rooms)
+      }
+    } catch (error) {
+      console.error('Failed to fetch game rooms:', error)
+    }
+  }
+
   const fetchGameHistory = async () => {
     try {
-      const response = await fetch(`${API_BASE}/game/history?limit=10`)
+      const response = await fetch(`${API_BASE}/game/history?limit=10&roomId=${currentRoomId.current}`)
       const data = await response.json()
       if (data.success) {
         setGameHistory(data.data.rounds || [])
@@ -211,8 +365,29 @@ function App() {
     }
   }
 
+  const joinRoom = (nextRoomId) => {
+    if (nextRoomId === currentRoomId.current) return
+
+    currentRoomId.current = nextRoomId
+    setRoomId(nextRoomId)
+    setMyBets([])
+    setMultiplierHistory([])
+    stopMultiplierUpdates()
+    multiplierCurve.current = null
+
+    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
+      ws.current.send(JSON.stringify({ type: 'join_room', roomId: nextRoomId }))
+    }
+    fetchGameHistory()
+  }
+
+  const currentRoom = rooms.find(room => room.roomId === roomId)
+  const maxBets = currentRoom ? currentRoom.maxBetsPerPlayer : MAX_BETS_PER_PLAYER
+  // Bets in an asset without a fresh price are refused until prices recover
+  const bettingSuspended = gameState.suspendedCryptocurrencies.includes(selectedCrypto)
+
   const placeBet = async () => {
-    if (!betAmount || !gameState.isActive || hasBet) return
+    if (!betAmount || !gameState.isActive || myBets.length >= maxBets || bettingSuspended) return
     
     try {
       const response = await fetch(`${API_BASE}/game/bet`, {
@@ -220,8 +395,10 @@ function App() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           playerId,
+          roomId,
           usdAmount: parseFloat(betAmount),
-          cryptocurrency: selectedCrypto
+          cryptocurrency: selectedCrypto,
+          autoCashoutAt: autoCashoutAt ? parseFloat(autoCashoutAt) : null
         })
       })
       
@@ -236,14 +413,14 @@ function App() {
     }
   }
 
-  const cashOut = async () => {
-    if (!canCashOut) return
+  const cashOut = async (betId, fraction = 1) => {
+    if (gameState.phase !== 'running') return
     
     try {
       const response = await fetch(`${API_BASE}/game/cashout`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ playerId })
+        body: JSON.stringify({ playerId, roomId, betId, fraction })
       })
       
       const data = await response.json()
@@ -256,8 +433,29 @@ function App() {
     }
   }
 
-  const formatCrypto = (amount, crypto) => {
-    return crypto === 'bitcoin' ? `${amount.toFixed(8)} BTC` : `${amount.toFixed(6)} ETH`
+  const cancelBet = async (betId) => {
+    if (gameState.phase !== 'betting') return
+    
+    try {
+      const response = await fetch(`${API_BASE}/game/bet/cancel`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ playerId, roomId, betId })
+      })
+      
+      const data = await response.json()
+      if (data.success) {
+        // Refresh balance
+        initializePlayer()
+      }
+    } catch (error) {
+      console.error('Failed to cancel bet:', error)
+    }
+  }
+
+  // Balances come with an exact decimal string, so no float rounding is shown
+  const formatCrypto = (balance, asset) => {
+    return `${(balance || EMPTY_BALANCE).display} ${asset.ticker}`
   }
 
   const formatUSD = (amount) => {
@@ -278,6 +476,18 @@ function App() {
             </div>
             
             <div className="flex items-center space-x-4">
+              <Select value={roomId} onValueChange={joinRoom}>
+                <SelectTrigger className="w-40 bg-white/5 border-white/10">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {rooms.map((room) => (
+                    <SelectItem key={room.roomId} value={room.roomId}>
+                      {room.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
               <Badge variant={isConnected ? "default" : "destructive"}>
                 {isConnected ? "Connected" : "Disconnected"}
               </Badge>
@@ -299,8 +509,8 @@ function App() {
               <CardHeader>
                 <div className="flex items-center justify-between">
                   <CardTitle className="text-xl">Current Round</CardTitle>
-                  <Badge variant={gameState.status === 'active' ? 'default' : 'secondary'}>
-                    {gameState.status.toUpperCase()}
+                  <Badge variant={gameState.phase === 'running' ? 'default' : 'secondary'}>
+                    {(gameState.phase || gameState.status).toUpperCase()}
                   </Badge>
                 </div>
               </CardHeader>
@@ -331,6 +541,7 @@ function App() {
                   <div className="flex justify-center space-x-4 text-sm text-gray-400">
                     <span>Round: {gameState.roundId || 'Waiting...'}</span>
                     <span>Bets: {gameState.bets}</span>
+                    {gameState.curveProfile && <span>Curve: {gameState.curveProfile}</span>}
                   </div>
                 </div>
               </CardContent>
@@ -342,15 +553,29 @@ function App() {
                 <CardTitle>Place Your Bet</CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                   <div>
                     <label className="text-sm text-gray-400 mb-2 block">Amount (USD)</label>
                     <Input
                       type="number"
-                      placeholder="Enter bet amount"
+                      placeholder={currentRoom ? `${formatUSD(currentRoom.minBet)} - ${formatUSD(currentRoom.maxBet)}` : 'Enter bet amount'}
                       value={betAmount}
                       onChange={(e) => setBetAmount(e.target.value)}
-                      disabled={!gameState.isActive || hasBet}
+                      disabled={!gameState.isActive || myBets.length >= maxBets}
+                      className="bg-white/5 border-white/10"
+                    />
+                  </div>
+                  
+                  <div>
+                    <label className="text-sm text-gray-400 mb-2 block">Auto Cash Out (x)</label>
+                    <Input
+                      type="number"
+                      placeholder="Optional, e.g. 2.00"
+                      min="1.01"
+                      step="0.01"
+                      value={autoCashoutAt}
+                      onChange={(e) => setAutoCashoutAt(e.target.value)}
+                      disabled={!gameState.isActive || myBets.length >= maxBets}
                       className="bg-white/5 border-white/10"
                     />
                   </div>
@@ -362,18 +587,14 @@ function App() {
                         <SelectValue />
                       </SelectTrigger>
                       <SelectContent>
-                        <SelectItem value="bitcoin">
-                          <div className="flex items-center space-x-2">
-                            <Bitcoin className="h-4 w-4" />
-                            <span>Bitcoin</span>
-                          </div>
-                        </SelectItem>
-                        <SelectItem value="ethereum">
-                          <div className="flex items-center space-x-2">
-                            <div className="h-4 w-4 bg-blue-500 rounded-full" />
-                            <span>Ethereum</span>
-                          </div>
-                        </SelectItem>
+                        {assets.map(asset => (
+                          <SelectItem key={asset.id} value={asset.id}>
+                            <div className="flex items-center space-x-2">
+                              <AssetIcon assetId={asset.id} className="h-4 w-4" />
+                              <span>{asset.name}</span>
+                            </div>
+                          </SelectItem>
+                        ))}
                       </SelectContent>
                     </Select>
                   </div>
@@ -381,7 +602,7 @@ function App() {
                   <div className="flex items-end">
                     <Button 
                       onClick={placeBet}
-                      disabled={!gameState.isActive || hasBet || !betAmount}
+                      disabled={!gameState.isActive || myBets.length >= maxBets || !betAmount || bettingSuspended}
                       className="w-full bg-green-600 hover:bg-green-700"
                     >
                       Place Bet
@@ -389,15 +610,51 @@ function App() {
                   </div>
                 </div>
                 
-                {canCashOut && (
-                  <Button 
-                    onClick={cashOut}
-                    className="w-full bg-red-600 hover:bg-red-700 text-lg py-6"
-                    size="lg"
-                  >
-                    Cash Out at {gameState.multiplier.toFixed(2)}x
-                  </Button>
+                {bettingSuspended && (
+                  <div className="p-3 bg-yellow-500/10 border border-yellow-500/30 rounded-lg text-sm text-yellow-400">
+                    Betting in {selectedCrypto} is suspended until fresh prices arrive
+                  </div>
                 )}
+                
+                {myBets.map((bet) => (
+                  <div key={bet.betId} className="flex items-center justify-between gap-4 p-3 bg-white/5 rounded-lg">
+                    <div className="text-sm">
+                      <div className="font-semibold">Bet {bet.slot}</div>
+                      <div className="text-gray-400">
+                        {formatUSD(bet.remainingUsdAmount)} of {formatUSD(bet.usdAmount)} riding in {bet.cryptocurrency}
+                        {bet.autoCashoutAt && ` · auto ${bet.autoCashoutAt.toFixed(2)}x`}
+                      </div>
+                    </div>
+                    
+                    {bet.cashoutMultiplier ? (
+                      <Badge className="bg-green-600">Cashed out at {bet.cashoutMultiplier.toFixed(2)}x</Badge>
+                    ) : gameState.phase === 'betting' ? (
+                      <Button 
+                        onClick={() => cancelBet(bet.betId)}
+                        variant="outline"
+                        className="border-white/20"
+                      >
+                        Cancel
+                      </Button>
+                    ) : gameState.phase === 'running' ? (
+                      <div className="flex gap-2">
+                        <Button 
+                          onClick={() => cashOut(bet.betId, 0.5)}
+                          variant="outline"
+                          className="border-white/20"
+                        >
+                          Cash Out 50%
+                        </Button>
+                        <Button 
+                          onClick={() => cashOut(bet.betId)}
+                          className="bg-red-600 hover:bg-red-700"
+                        >
+                          Cash Out at {gameState.multiplier.toFixed(2)}x
+                        </Button>
+                      </div>
+                    ) : null}
+                  </div>
+                ))}
               </CardContent>
             </Card>
           </div>
@@ -414,25 +671,17 @@ function App() {
               </CardHeader>
               <CardContent className="space-y-4">
                 <div className="space-y-2">
-                  <div className="flex justify-between items-center">
-                    <span className="text-sm text-gray-400">Bitcoin</span>
-                    <div className="text-right">
-                      <div className="font-mono">{formatCrypto(playerBalance.bitcoin || 0, 'bitcoin')}</div>
-                      <div className="text-xs text-gray-400">
-                        {formatUSD((playerBalance.bitcoin || 0) * cryptoPrices.bitcoin)}
+                  {assets.map(asset => (
+                    <div key={asset.id} className="flex justify-between items-center">
+                      <span className="text-sm text-gray-400">{asset.name}</span>
+                      <div className="text-right">
+                        <div className="font-mono">{formatCrypto(playerBalance[asset.id], asset)}</div>
+                        <div className="text-xs text-gray-400">
+                          {formatUSD((playerBalance[asset.id] || EMPTY_BALANCE).amount * (cryptoPrices[asset.id] || 0))}
+                        </div>
                       </div>
                     </div>
-                  </div>
-                  
-                  <div className="flex justify-between items-center">
-                    <span className="text-sm text-gray-400">Ethereum</span>
-                    <div className="text-right">
-                      <div className="font-mono">{formatCrypto(playerBalance.ethereum || 0, 'ethereum')}</div>
-                      <div className="text-xs text-gray-400">
-                        {formatUSD((playerBalance.ethereum || 0) * cryptoPrices.ethereum)}
-                      </div>
-                    </div>
-                  </div>
+                  ))}
                 </div>
               </CardContent>
             </Card>
@@ -446,33 +695,20 @@ function App() {
                 </CardTitle>
               </CardHeader>
               <CardContent className="space-y-3">
-                <div className="flex justify-between items-center">
-                  <div className="flex items-center space-x-2">
-                    <Bitcoin className="h-5 w-5 text-orange-500" />
-                    <span>Bitcoin</span>
-                  </div>
-                  <div className="text-right">
-                    <div className="font-mono">{formatUSD(cryptoPrices.bitcoin)}</div>
-                    <div className="flex items-center text-xs text-green-400">
-                      <TrendingUp className="h-3 w-3 mr-1" />
-                      +2.4%
+                {assets.map(asset => (
+                  <div key={asset.id} className="flex justify-between items-center">
+                    <div className="flex items-center space-x-2">
+                      <AssetIcon assetId={asset.id} className="h-5 w-5" />
+                      <span>{asset.name}</span>
                     </div>
-                  </div>
-                </div>
-                
-                <div className="flex justify-between items-center">
-                  <div className="flex items-center space-x-2">
-                    <div className="h-5 w-5 bg-blue-500 rounded-full" />
-                    <span>Ethereum</span>
-                  </div>
-                  <div className="text-right">
-                    <div className="font-mono">{formatUSD(cryptoPrices.ethereum)}</div>
-                    <div className="flex items-center text-xs text-red-400">
-                      <TrendingDown className="h-3 w-3 mr-1" />
-                      -1.2%
+                    <div className="text-right">
+                      <div className="font-mono">
+                        {cryptoPrices[asset.id] ? formatUSD(cryptoPrices[asset.id]) : '—'}
+                      </div>
+                      <div className="text-xs text-gray-400">{asset.ticker}</div>
                     </div>
                   </div>
-                </div>
+                ))}
               </CardContent>
             </Card>
 
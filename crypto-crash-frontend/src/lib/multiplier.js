@@ -0,0 +1,8 @@
+// Same curve as the server's MultiplierUtils.multiplierAt: the multiplier is
+// floor(100 * e^(growthRate * t)) / 100 for t milliseconds since the round's
+// multiplier started. The server's value is authoritative; this only fills in
+// the display between multiplier_update messages.
+export function multiplierAt(elapsedMs, growthRate) {
+  const multiplier = Math.exp(growthRate * Math.max(0, elapsedMs));
+  return Math.floor(multiplier * 100 + 1e-9) / 100;
+}